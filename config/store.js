@@ -0,0 +1,47 @@
+// Store-wide settings
+module.exports = {
+  // IANA timezone the shop operates in. Every "day" in date filters,
+  // dashboard buckets and order IDs is a day in this zone, regardless of the
+  // server clock (UTC on Vercel).
+  timezone: process.env.STORE_TIMEZONE || "Asia/Phnom_Penh",
+
+  // Printed on invoices, labels and packing slips
+  name: process.env.STORE_NAME || "ShopPink",
+  phone: process.env.STORE_PHONE || "",
+  address: process.env.STORE_ADDRESS || "",
+  currency: process.env.STORE_CURRENCY_SYMBOL || "$",
+
+  // TTF/OTF font for printed documents. The built-in PDF fonts have no Khmer
+  // glyphs, so point this at e.g. Noto Sans Khmer to print Khmer names.
+  documentFont: process.env.DOCUMENT_FONT_PATH || null,
+
+  // Failed delivery attempts (no answer, refused, wrong address) after which
+  // a DELIVERING order is returned automatically. 0 turns the rule off.
+  maxFailedDeliveryAttempts: parseInt(
+    process.env.MAX_FAILED_DELIVERY_ATTEMPTS ?? "3",
+    10
+  ),
+
+  // Blacklist suggestions: phones with at least this many RETURNED or
+  // CANCELLED orders, making up at least this share of their finished
+  // orders, over the last `blacklistSuggestWindowDays` days
+  blacklistSuggestWindowDays: parseInt(
+    process.env.BLACKLIST_SUGGEST_WINDOW_DAYS ?? "90",
+    10
+  ),
+  blacklistSuggestMinFailed: parseInt(
+    process.env.BLACKLIST_SUGGEST_MIN_FAILED ?? "2",
+    10
+  ),
+  blacklistSuggestMinRatio: parseFloat(
+    process.env.BLACKLIST_SUGGEST_MIN_RATIO ?? "0.5"
+  ),
+
+  // What a delivery costs the shop when no delivery rate covers the order
+  defaultDeliveryCostPhnomPenh: parseFloat(
+    process.env.DEFAULT_DELIVERY_COST_PP ?? "1.5"
+  ),
+  defaultDeliveryCostProvince: parseFloat(
+    process.env.DEFAULT_DELIVERY_COST_PROVINCE ?? "2"
+  ),
+};
@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV helpers, enough for spreadsheet exports and imports
+// without pulling in a parser dependency.
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for a CSV cell when it contains a quote, comma or newline.
+ * Text that a spreadsheet would read as a formula (customer-entered names,
+ * addresses, remarks) is prefixed with `'` so it stays text; numbers are
+ * written as they are.
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * A cell's text without the `'` `csvCell` adds in front of formula-like
+ * text, so an edited export imports as it was
+ */
+const plainCell = (text) =>
+  text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+
+/**
+ * Parse CSV text into an array of rows, each an array of cell strings.
+ * Handles quoted cells with embedded commas, quotes and newlines, CRLF or LF
+ * line endings and a leading UTF-8 BOM. Blank lines are dropped.
+ */
+const parseCsv = (text) => {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((value) => value.trim() !== "")) {
+      rows.push(row);
+    }
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+module.exports = { csvCell, plainCell, parseCsv };
@@ -0,0 +1,48 @@
+// Errors thrown by services that routes translate into HTTP responses.
+// `status` is the HTTP status to answer with and `details` is merged into the
+// JSON body next to `message`.
+class ServiceError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Illegal order state change or a failed transition guard
+class OrderTransitionError extends ServiceError {}
+
+// One or more order lines cannot be covered by current stock.
+// `shortages` lists every short line, not just the first one.
+class InsufficientStockError extends ServiceError {
+  constructor(shortages) {
+    const summary = shortages
+      .map(
+        (item) =>
+          `${item.productName}: requested ${item.requestedQuantity}, available ${item.availableStock}`
+      )
+      .join("; ");
+    super(`Insufficient stock: ${summary}`, 400, { shortages });
+    this.shortages = shortages;
+  }
+}
+
+/**
+ * Send a ServiceError as a JSON response.
+ * Returns false for any other error so the caller can fall back to a 500.
+ */
+const sendServiceError = (res, error) => {
+  if (!(error instanceof ServiceError)) {
+    return false;
+  }
+  res.status(error.status).json({ message: error.message, ...error.details });
+  return true;
+};
+
+module.exports = {
+  ServiceError,
+  OrderTransitionError,
+  InsufficientStockError,
+  sendServiceError,
+};
@@ -0,0 +1,36 @@
+// Helpers for the option selections stored in OrderItem.optionDetails
+
+/**
+ * Flatten stored option selections into "Group: Option, Option; Group: Option".
+ * Handles both `{ variantId, selections }` and the legacy array of groups.
+ */
+const formatOptions = (optionDetails) => {
+  if (!optionDetails) return "";
+  const groups = Array.isArray(optionDetails)
+    ? optionDetails
+    : optionDetails.selections || [];
+
+  return groups
+    .map((group) => {
+      const options = (group.selectedOptions || [])
+        .map((option) => option.name || option.id)
+        .filter(Boolean)
+        .join(", ");
+      if (!options) return null;
+      const groupName = group.groupName || group.name;
+      return groupName ? `${groupName}: ${options}` : options;
+    })
+    .filter(Boolean)
+    .join("; ");
+};
+
+/**
+ * IDs of the options picked in a list of option groups
+ * (`[{ selectedOptions: [{ id }] }]`), as sent with order items
+ */
+const selectedOptionIds = (groups) =>
+  (groups || [])
+    .flatMap((group) => (group.selectedOptions || []).map((opt) => opt.id))
+    .filter(Boolean);
+
+module.exports = { formatOptions, selectedOptionIds };
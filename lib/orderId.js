@@ -0,0 +1,28 @@
+const { getZonedParts, STORE_TIMEZONE } = require("./timezone");
+
+const SUFFIX_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/**
+ * Custom order ID: SP + DDMMYY + HHMM + 5 random chars.
+ * The date and time are wall-clock time in the store timezone, not the
+ * server clock.
+ */
+const generateOrderId = (date = new Date(), timeZone = STORE_TIMEZONE) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+
+  // Generate 5 random alphanumeric characters (uppercase)
+  let randomSuffix = "";
+  for (let i = 0; i < 5; i++) {
+    randomSuffix += SUFFIX_CHARS.charAt(
+      Math.floor(Math.random() * SUFFIX_CHARS.length)
+    );
+  }
+
+  return `SP${pad2(day)}${pad2(month)}${String(year).slice(-2)}${pad2(
+    hour
+  )}${pad2(minute)}${randomSuffix}`;
+};
+
+module.exports = { generateOrderId };
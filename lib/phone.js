@@ -0,0 +1,5 @@
+// Phone numbers are compared by their digits only, so "012 345-678" and
+// "012345678" are the same number
+const normalizePhone = (phone) => (phone || "").replace(/[^0-9]/g, "");
+
+module.exports = { normalizePhone };
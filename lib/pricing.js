@@ -0,0 +1,107 @@
+// Line pricing shared by checkout quotes, order creation and variant
+// generation. Pure functions over plain product, variant and option rows so
+// the rules can be tested without a database.
+//
+// Option price rules (`ProductOption.priceType` / `priceValue`):
+//   FREE        adds nothing
+//   BASE        with a value, replaces the product's base price (the highest
+//               one wins); without one, adds nothing
+//   FIXED       adds `priceValue`
+//   PERCENTAGE  adds `priceValue`% of the base price
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pick the variant drawing stock for a set of selected option IDs: an exact
+ * match first, otherwise the largest variant whose options are all selected.
+ * Variants carry `variantOptions: [{ optionId }]`.
+ */
+const resolveVariant = (variants, optionIds) => {
+  if (!variants || variants.length === 0) return null;
+  if (!optionIds || optionIds.length === 0) return null;
+  const desired = new Set(optionIds);
+
+  let best = null;
+  let bestSize = -1;
+  for (const variant of variants) {
+    const variantOptionIds = variant.variantOptions.map((vo) => vo.optionId);
+    if (!variantOptionIds.every((id) => desired.has(id))) continue;
+    if (variantOptionIds.length === desired.size) return variant;
+    if (variantOptionIds.length > bestSize) {
+      best = variant;
+      bestSize = variantOptionIds.length;
+    }
+  }
+  return best;
+};
+
+/**
+ * Base price after any BASE options
+ */
+const resolveBasePrice = (basePrice, options = []) => {
+  const overrides = options
+    .filter((option) => option.priceType === "BASE")
+    .map((option) => option.priceValue)
+    .filter((value) => value != null);
+  return overrides.length > 0 ? Math.max(...overrides) : basePrice || 0;
+};
+
+/**
+ * What FIXED and PERCENTAGE options add on top of `base`
+ */
+const optionSurcharge = (base, options = []) =>
+  options.reduce((sum, option) => {
+    const value = option.priceValue || 0;
+    if (option.priceType === "FIXED") return sum + value;
+    if (option.priceType === "PERCENTAGE") return sum + (base * value) / 100;
+    return sum;
+  }, 0);
+
+/**
+ * Unit price of a product with a set of options and no variant
+ */
+const applyOptionRules = (basePrice, options = []) => {
+  const base = resolveBasePrice(basePrice, options);
+  return round2(base + optionSurcharge(base, options));
+};
+
+/**
+ * Price adjustment stored on a generated variant: the flat amount its FIXED
+ * options add. BASE and PERCENTAGE options depend on the product's price,
+ * so `priceLine` applies them when pricing instead.
+ */
+const variantAdjustment = (options = []) => round2(optionSurcharge(0, options));
+
+/**
+ * Unit price of an order line.
+ *
+ * BASE options, the variant's included, set the base price and PERCENTAGE
+ * options add their share of it, so both follow the product's current
+ * price. The variant's FIXED options are priced by its `priceAdjustment`,
+ * which staff may have changed since it was generated; any other selected
+ * FIXED option adds its own value.
+ */
+const priceLine = ({ basePrice, variant = null, options = [] }) => {
+  const covered = new Set(
+    (variant?.variantOptions || []).map((vo) => vo.optionId)
+  );
+  // The variant's FIXED options are in its adjustment; price the rest
+  const priced = options.filter(
+    (option) => !covered.has(option.id) || option.priceType !== "FIXED"
+  );
+
+  const base = resolveBasePrice(basePrice, options);
+  return round2(
+    base + (variant?.priceAdjustment || 0) + optionSurcharge(base, priced)
+  );
+};
+
+module.exports = {
+  round2,
+  resolveVariant,
+  resolveBasePrice,
+  optionSurcharge,
+  applyOptionRules,
+  variantAdjustment,
+  priceLine,
+};
@@ -0,0 +1,161 @@
+// Timezone helpers built on Intl, so no date library is needed.
+// Dates in the database are UTC instants; these helpers translate between
+// them and wall-clock time in the store timezone (or a `tz` override).
+const { timezone: STORE_TIMEZONE } = require("../config/store");
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The zone to report in: a valid `tz` override or the store timezone
+ */
+const resolveTimezone = (tz) => (isValidTimezone(tz) ? tz : STORE_TIMEZONE);
+
+/**
+ * Wall-clock parts of an instant in `timeZone`
+ */
+const getZonedParts = (date, timeZone = STORE_TIMEZONE) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = parseInt(value, 10);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Offset of `timeZone` from UTC at `date`, in milliseconds
+ */
+const getOffsetMs = (date, timeZone = STORE_TIMEZONE) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * UTC instant of a wall-clock time in `timeZone`. Month is 1-based; day and
+ * month overflow roll over like Date.UTC.
+ */
+const zonedTimeToUtc = (
+  { year, month, day, hour = 0, minute = 0, second = 0 },
+  timeZone = STORE_TIMEZONE
+) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes settle the offset across DST changes
+  let instant = guess - getOffsetMs(new Date(guess), timeZone);
+  instant = guess - getOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+};
+
+/**
+ * Calendar day of `value` in `timeZone`: a YYYY-MM-DD string is taken as is,
+ * anything else is read as an instant
+ */
+const toZonedDay = (value, timeZone = STORE_TIMEZONE) => {
+  const match = typeof value === "string" && value.match(DATE_ONLY);
+  if (match) {
+    return { year: +match[1], month: +match[2], day: +match[3] };
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return { year, month, day };
+};
+
+/**
+ * UTC instant at which a calendar day starts in `timeZone`
+ */
+const startOfDay = (value, timeZone = STORE_TIMEZONE) => {
+  const day = toZonedDay(value, timeZone);
+  return day ? zonedTimeToUtc(day, timeZone) : null;
+};
+
+/**
+ * Half-open [from, to) UTC range covering whole local days from `dateFrom`
+ * through `dateTo` (both inclusive). Either side may be omitted. Returns null
+ * when a date cannot be parsed.
+ */
+const getDayRange = (dateFrom, dateTo, timeZone = STORE_TIMEZONE) => {
+  const range = {};
+  if (dateFrom) {
+    range.from = startOfDay(dateFrom, timeZone);
+    if (!range.from) return null;
+  }
+  if (dateTo) {
+    const day = toZonedDay(dateTo, timeZone);
+    if (!day) return null;
+    range.to = zonedTimeToUtc({ ...day, day: day.day + 1 }, timeZone);
+  }
+  return range;
+};
+
+const pad2 = (value) => String(value).padStart(2, "0");
+
+/**
+ * "YYYY-MM-DD HH:mm" wall-clock time of an instant in `timeZone` (or just
+ * the date). Empty for a missing date.
+ */
+const formatZoned = (date, timeZone = STORE_TIMEZONE, dateOnly = false) => {
+  if (!date) return "";
+  const { year, month, day, hour, minute } = getZonedParts(
+    new Date(date),
+    timeZone
+  );
+  const datePart = `${year}-${pad2(month)}-${pad2(day)}`;
+  return dateOnly ? datePart : `${datePart} ${pad2(hour)}:${pad2(minute)}`;
+};
+
+module.exports = {
+  STORE_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  toZonedDay,
+  startOfDay,
+  getDayRange,
+  formatZoned,
+};
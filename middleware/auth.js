@@ -13,6 +13,9 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.userId) {
+      return res.status(401).json({ message: "Invalid token" });
+    }
 
     // Verify user still exists and is active
     const user = await prisma.user.findUnique({
@@ -0,0 +1,41 @@
+const jwt = require("jsonwebtoken");
+const driverAuthService = require("../services/driverAuthService");
+
+// Check the request carries a valid driver-app token and load the driver.
+// Staff tokens are not accepted here, and driver tokens not elsewhere.
+const authenticateDriver = async (req, res, next) => {
+  try {
+    const token = req.header("Authorization")?.replace("Bearer ", "");
+
+    if (!token) {
+      return res
+        .status(401)
+        .json({ message: "Access denied. No token provided." });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: driverAuthService.getAudience(),
+    });
+
+    const driver = await driverAuthService.resolveToken(decoded);
+    if (!driver) {
+      return res
+        .status(401)
+        .json({ message: "Invalid token or account deactivated." });
+    }
+
+    req.driver = driver;
+    next();
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ message: "Token expired" });
+    }
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({ message: "Invalid token." });
+    }
+    console.error("Driver auth middleware error:", error);
+    return res.status(500).json({ message: "Authentication error" });
+  }
+};
+
+module.exports = { authenticateDriver };
@@ -0,0 +1,35 @@
+const rateLimit = require("express-rate-limit");
+const orderTrackingService = require("../services/orderTrackingService");
+const { sendServiceError } = require("../lib/errors");
+
+// Failed lookups per IP, so tracking tokens and phone numbers cannot be
+// guessed by brute force. Shared by every route that accepts them.
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  skipSuccessfulRequests: true,
+  handler: (req, res) => {
+    res.status(429).json({
+      message: "Too many attempts, please try again later.",
+    });
+  },
+});
+
+// Customers prove they own an order with its tracking token (`X-Order-Token`
+// header or `token`) or with the phone number it was placed with (`phone`).
+// Sets req.trackedOrder.
+const requireOrderAccess = async (req, res, next) => {
+  try {
+    req.trackedOrder = await orderTrackingService.authorize(req.params.id, {
+      token: req.header("X-Order-Token") || req.query.token || req.body?.token,
+      phone: req.query.phone || req.body?.phone,
+    });
+    next();
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Customer order access error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+module.exports = { trackingLimiter, requireOrderAccess };
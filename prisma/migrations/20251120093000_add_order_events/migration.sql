@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "OrderEventType" AS ENUM ('CREATED', 'UPDATED', 'STATE_CHANGED', 'DRIVER_CHANGED', 'PROOF_UPLOADED');
+
+-- CreateEnum
+CREATE TYPE "OrderEventActor" AS ENUM ('USER', 'CUSTOMER', 'DRIVER', 'SYSTEM');
+
+-- CreateTable
+CREATE TABLE "order_events" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "type" "OrderEventType" NOT NULL,
+    "actorType" "OrderEventActor" NOT NULL DEFAULT 'USER',
+    "actorId" TEXT,
+    "actorName" TEXT,
+    "fromState" "OrderState",
+    "toState" "OrderState",
+    "fromDriverId" TEXT,
+    "toDriverId" TEXT,
+    "fromDriverName" TEXT,
+    "toDriverName" TEXT,
+    "changes" JSONB,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_events_orderId_createdAt_idx" ON "order_events"("orderId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "order_events" ADD CONSTRAINT "order_events_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_events" ADD CONSTRAINT "order_events_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
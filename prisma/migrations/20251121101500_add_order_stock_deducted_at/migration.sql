@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "stockDeductedAt" TIMESTAMP(3);
+
+-- Backfill: delivery orders that reached DELIVERING/COMPLETED had their stock
+-- deducted on driver assignment
+UPDATE "orders"
+SET "stockDeductedAt" = COALESCE("assignedAt", "updatedAt")
+WHERE "state" IN ('DELIVERING', 'COMPLETED')
+  AND "orderSource" <> 'PICKUP';
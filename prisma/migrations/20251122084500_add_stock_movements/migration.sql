@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "StockMovementReason" AS ENUM ('ORDER_DEDUCT', 'ORDER_RETURN', 'MANUAL_ADJUST', 'STOCKTAKE', 'IMPORT');
+
+-- CreateTable
+CREATE TABLE "stock_movements" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "delta" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "reason" "StockMovementReason" NOT NULL,
+    "orderId" TEXT,
+    "userId" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_movements_productId_variantId_createdAt_idx" ON "stock_movements"("productId", "variantId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "stock_movements_orderId_idx" ON "stock_movements"("orderId");
+
+-- CreateIndex
+CREATE INDEX "stock_movements_reason_createdAt_idx" ON "stock_movements"("reason", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: open the ledger with the current on-hand stock of every SKU so
+-- that the sum of deltas matches the balance from day one
+INSERT INTO "stock_movements" ("id", "productId", "variantId", "delta", "balanceAfter", "reason", "note")
+SELECT gen_random_uuid()::text, "id", NULL, "quantity", "quantity", 'STOCKTAKE', 'Opening balance'
+FROM "products"
+WHERE "quantity" <> 0;
+
+INSERT INTO "stock_movements" ("id", "productId", "variantId", "delta", "balanceAfter", "reason", "note")
+SELECT gen_random_uuid()::text, "productId", "id", "stock", "stock", 'STOCKTAKE', 'Opening balance'
+FROM "product_variants"
+WHERE "stock" <> 0;
@@ -0,0 +1,61 @@
+-- CreateTable
+CREATE TABLE "delivery_manifests" (
+    "id" TEXT NOT NULL,
+    "number" SERIAL NOT NULL,
+    "driverId" TEXT,
+    "driverName" TEXT NOT NULL,
+    "driverPhone" TEXT NOT NULL,
+    "deliveryDate" DATE NOT NULL,
+    "timezone" TEXT NOT NULL,
+    "orderCount" INTEGER NOT NULL,
+    "codTotal" DOUBLE PRECISION NOT NULL,
+    "companyDeliveryTotal" DOUBLE PRECISION NOT NULL,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "delivery_manifests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "delivery_manifest_orders" (
+    "id" TEXT NOT NULL,
+    "manifestId" TEXT NOT NULL,
+    "orderId" TEXT,
+    "sequence" INTEGER NOT NULL,
+    "customerName" TEXT NOT NULL,
+    "customerPhone" TEXT NOT NULL,
+    "customerLocation" TEXT NOT NULL,
+    "province" TEXT NOT NULL,
+    "remark" TEXT,
+    "isPaid" BOOLEAN NOT NULL,
+    "totalPrice" DOUBLE PRECISION NOT NULL,
+    "codAmount" DOUBLE PRECISION NOT NULL,
+    "companyDeliveryPrice" DOUBLE PRECISION NOT NULL,
+    "items" JSONB NOT NULL,
+
+    CONSTRAINT "delivery_manifest_orders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "delivery_manifests_number_key" ON "delivery_manifests"("number");
+
+-- CreateIndex
+CREATE INDEX "delivery_manifests_driverId_deliveryDate_idx" ON "delivery_manifests"("driverId", "deliveryDate");
+
+-- CreateIndex
+CREATE INDEX "delivery_manifest_orders_manifestId_sequence_idx" ON "delivery_manifest_orders"("manifestId", "sequence");
+
+-- CreateIndex
+CREATE INDEX "delivery_manifest_orders_orderId_idx" ON "delivery_manifest_orders"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "delivery_manifests" ADD CONSTRAINT "delivery_manifests_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "drivers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delivery_manifests" ADD CONSTRAINT "delivery_manifests_createdBy_fkey" FOREIGN KEY ("createdBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delivery_manifest_orders" ADD CONSTRAINT "delivery_manifest_orders_manifestId_fkey" FOREIGN KEY ("manifestId") REFERENCES "delivery_manifests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delivery_manifest_orders" ADD CONSTRAINT "delivery_manifest_orders_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
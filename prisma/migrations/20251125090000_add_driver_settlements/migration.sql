@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "SettlementStatus" AS ENUM ('OPEN', 'CLOSED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "settlementId" TEXT,
+ADD COLUMN "settledAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "driver_settlements" (
+    "id" TEXT NOT NULL,
+    "number" SERIAL NOT NULL,
+    "driverId" TEXT,
+    "driverName" TEXT NOT NULL,
+    "status" "SettlementStatus" NOT NULL DEFAULT 'OPEN',
+    "orderCount" INTEGER NOT NULL DEFAULT 0,
+    "codCollected" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "deliveryFees" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "amountDue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "amountReceived" DOUBLE PRECISION,
+    "difference" DOUBLE PRECISION,
+    "note" TEXT,
+    "openedBy" TEXT,
+    "closedBy" TEXT,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closedAt" TIMESTAMP(3),
+
+    CONSTRAINT "driver_settlements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "driver_settlements_number_key" ON "driver_settlements"("number");
+
+-- CreateIndex
+CREATE INDEX "driver_settlements_driverId_status_idx" ON "driver_settlements"("driverId", "status");
+
+-- CreateIndex
+CREATE INDEX "orders_driverId_settlementId_idx" ON "orders"("driverId", "settlementId");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_settlementId_fkey" FOREIGN KEY ("settlementId") REFERENCES "driver_settlements"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "driver_settlements" ADD CONSTRAINT "driver_settlements_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "drivers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "driver_settlements" ADD CONSTRAINT "driver_settlements_openedBy_fkey" FOREIGN KEY ("openedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "driver_settlements" ADD CONSTRAINT "driver_settlements_closedBy_fkey" FOREIGN KEY ("closedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
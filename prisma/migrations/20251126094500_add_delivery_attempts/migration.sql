@@ -0,0 +1,37 @@
+-- AlterEnum
+ALTER TYPE "OrderEventType" ADD VALUE 'DELIVERY_ATTEMPTED';
+
+-- CreateEnum
+CREATE TYPE "DeliveryOutcome" AS ENUM ('DELIVERED', 'NO_ANSWER', 'REFUSED', 'WRONG_ADDRESS', 'RESCHEDULED');
+
+-- CreateTable
+CREATE TABLE "delivery_attempts" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "driverId" TEXT,
+    "driverName" TEXT,
+    "province" TEXT NOT NULL,
+    "outcome" "DeliveryOutcome" NOT NULL,
+    "note" TEXT,
+    "rescheduledFor" TIMESTAMP(3),
+    "attemptedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "recordedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "delivery_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "delivery_attempts_orderId_createdAt_idx" ON "delivery_attempts"("orderId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "delivery_attempts_attemptedAt_province_idx" ON "delivery_attempts"("attemptedAt", "province");
+
+-- AddForeignKey
+ALTER TABLE "delivery_attempts" ADD CONSTRAINT "delivery_attempts_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delivery_attempts" ADD CONSTRAINT "delivery_attempts_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "drivers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "delivery_attempts" ADD CONSTRAINT "delivery_attempts_recordedBy_fkey" FOREIGN KEY ("recordedBy") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
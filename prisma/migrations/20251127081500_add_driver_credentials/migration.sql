@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "delivery_attempts" ADD COLUMN "proofUrl" TEXT,
+ADD COLUMN "signatureUrl" TEXT;
+
+-- CreateTable
+CREATE TABLE "driver_credentials" (
+    "id" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "pinHash" TEXT NOT NULL,
+    "tokenVersion" INTEGER NOT NULL DEFAULT 0,
+    "lastLogin" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "driver_credentials_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "driver_credentials_driverId_key" ON "driver_credentials"("driverId");
+
+-- AddForeignKey
+ALTER TABLE "driver_credentials" ADD CONSTRAINT "driver_credentials_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "drivers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
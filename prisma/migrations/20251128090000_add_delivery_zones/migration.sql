@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "delivery_zones" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "province" TEXT NOT NULL,
+    "districts" TEXT[],
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "delivery_zones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "driver_zones" (
+    "id" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "zoneId" TEXT NOT NULL,
+
+    CONSTRAINT "driver_zones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "delivery_zones_name_key" ON "delivery_zones"("name");
+
+-- CreateIndex
+CREATE INDEX "driver_zones_zoneId_idx" ON "driver_zones"("zoneId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "driver_zones_driverId_zoneId_key" ON "driver_zones"("driverId", "zoneId");
+
+-- AddForeignKey
+ALTER TABLE "driver_zones" ADD CONSTRAINT "driver_zones_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "drivers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "driver_zones" ADD CONSTRAINT "driver_zones_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "delivery_zones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
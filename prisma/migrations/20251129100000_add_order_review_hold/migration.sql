@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "OrderEventType" ADD VALUE 'BLACKLIST_OVERRIDDEN';
+ALTER TYPE "OrderEventType" ADD VALUE 'HOLD_RELEASED';
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "heldForReview" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "holdReason" TEXT;
+
+-- CreateIndex
+CREATE INDEX "orders_heldForReview_idx" ON "orders"("heldForReview");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "blacklisted_phones" ADD COLUMN     "expiresAt" TIMESTAMP(3);
@@ -0,0 +1,53 @@
+-- Customers are keyed by normalized phone; email becomes optional
+UPDATE "customers" SET "phone" = NULLIF(regexp_replace("phone", '[^0-9]', '', 'g'), '');
+
+-- AlterTable
+ALTER TABLE "customers" ALTER COLUMN "email" DROP NOT NULL,
+ADD COLUMN     "lastOrderAt" TIMESTAMP(3);
+
+-- Phones written differently ("012 345 678", "012345678") are now equal.
+-- Merge such customers into the oldest one: it takes over their orders and
+-- fills its blank details from theirs, then they are removed.
+CREATE TEMP TABLE "customer_merges" AS
+SELECT "id", "survivorId"
+FROM (
+    SELECT "id",
+           first_value("id") OVER (PARTITION BY "phone" ORDER BY "createdAt", "id") AS "survivorId"
+    FROM "customers"
+    WHERE "phone" IS NOT NULL
+) AS ranked
+WHERE "id" <> "survivorId";
+
+UPDATE "orders" AS o
+SET "customerId" = m."survivorId"
+FROM "customer_merges" AS m
+WHERE o."customerId" = m."id";
+
+CREATE TEMP TABLE "merged_customers" AS
+SELECT DISTINCT ON (m."survivorId") m."survivorId", c."email", c."address", c."city", c."province", c."postalCode"
+FROM "customers" AS c
+JOIN "customer_merges" AS m ON m."id" = c."id"
+ORDER BY m."survivorId", c."createdAt", c."id";
+
+DELETE FROM "customers" WHERE "id" IN (SELECT "id" FROM "customer_merges");
+
+UPDATE "customers" AS c
+SET "email" = COALESCE(c."email", d."email"),
+    "address" = COALESCE(c."address", d."address"),
+    "city" = COALESCE(c."city", d."city"),
+    "province" = COALESCE(c."province", d."province"),
+    "postalCode" = COALESCE(c."postalCode", d."postalCode")
+FROM "merged_customers" AS d
+WHERE c."id" = d."survivorId";
+
+DROP TABLE "merged_customers";
+DROP TABLE "customer_merges";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "customers_phone_key" ON "customers"("phone");
+
+-- CreateIndex
+CREATE INDEX "customers_lastOrderAt_idx" ON "customers"("lastOrderAt");
+
+-- CreateIndex
+CREATE INDEX "orders_customerId_idx" ON "orders"("customerId");
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "deliveryOverride" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "delivery_rates" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "zoneId" TEXT,
+    "province" TEXT,
+    "minWeight" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "maxWeight" DOUBLE PRECISION,
+    "price" DOUBLE PRECISION NOT NULL,
+    "cost" DOUBLE PRECISION NOT NULL,
+    "freeAbove" DOUBLE PRECISION,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "delivery_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "delivery_rates_isActive_idx" ON "delivery_rates"("isActive");
+
+-- AddForeignKey
+ALTER TABLE "delivery_rates" ADD CONSTRAINT "delivery_rates_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "delivery_zones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- Cancel all but the oldest open settlement of each driver. Open
+-- settlements hold no orders until they are closed, so nothing is lost.
+UPDATE "driver_settlements" AS s
+SET "status" = 'CANCELLED', "closedAt" = CURRENT_TIMESTAMP
+WHERE s."status" = 'OPEN'
+  AND EXISTS (
+    SELECT 1 FROM "driver_settlements" AS older
+    WHERE older."driverId" = s."driverId"
+      AND older."status" = 'OPEN'
+      AND older."number" < s."number"
+  );
+
+-- CreateIndex
+-- At most one OPEN settlement per driver (not expressible in the schema)
+CREATE UNIQUE INDEX "driver_settlements_driverId_open_key" ON "driver_settlements"("driverId") WHERE "status" = 'OPEN';
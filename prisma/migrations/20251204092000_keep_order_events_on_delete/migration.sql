@@ -0,0 +1,15 @@
+-- AlterEnum
+ALTER TYPE "OrderEventType" ADD VALUE 'DELETED';
+
+-- DropForeignKey
+ALTER TABLE "order_events" DROP CONSTRAINT "order_events_orderId_fkey";
+
+-- AlterTable
+ALTER TABLE "order_events" ADD COLUMN     "deletedOrderId" TEXT,
+ALTER COLUMN "orderId" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "order_events_deletedOrderId_idx" ON "order_events"("deletedOrderId");
+
+-- AddForeignKey
+ALTER TABLE "order_events" ADD CONSTRAINT "order_events_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- Variant price adjustments now hold only the flat amount of their FIXED
+-- options; BASE and PERCENTAGE options are priced against the product's
+-- current price when an order line is priced. Variants with such options
+-- had them folded into the stored adjustment, which would now be counted
+-- twice, so reset those to the sum of their FIXED options.
+UPDATE "product_variants" AS v
+SET "priceAdjustment" = COALESCE((
+  SELECT SUM(o."priceValue")
+  FROM "product_variant_options" vo
+  JOIN "product_options" o ON o."id" = vo."optionId"
+  WHERE vo."variantId" = v."id" AND o."priceType" = 'FIXED'
+), 0)
+WHERE EXISTS (
+  SELECT 1
+  FROM "product_variant_options" vo
+  JOIN "product_options" o ON o."id" = vo."optionId"
+  WHERE vo."variantId" = v."id"
+    AND (
+      o."priceType" = 'PERCENTAGE'
+      OR (o."priceType" = 'BASE' AND o."priceValue" IS NOT NULL)
+    )
+);
@@ -0,0 +1,4 @@
+-- Removing a driver's PIN clears the hash and bumps tokenVersion instead of
+-- deleting the row, so tokens issued before the removal stay revoked.
+-- AlterTable
+ALTER TABLE "driver_credentials" ALTER COLUMN "pinHash" DROP NOT NULL;
@@ -6,7 +6,10 @@ const {
   requireViewOrders,
   requireEditOrders,
 } = require("../middleware/permissions");
-const { cacheMiddleware } = require("../middleware/cache");
+const { cacheMiddleware, clearCache } = require("../middleware/cache");
+const { normalizePhone } = require("../lib/phone");
+const { sendServiceError } = require("../lib/errors");
+const blacklistService = require("../services/blacklistService");
 
 const router = express.Router();
 const prisma = getPrismaClient();
@@ -14,7 +17,26 @@ const prisma = getPrismaClient();
 // All routes require authentication
 router.use(authenticateUser);
 
-const normalizePhone = (p) => (p || "").replace(/[^0-9]/g, "");
+// A temporary ban lapses on its own after `expiresAt`
+const expiresAtValidation = body("expiresAt")
+  .optional({ nullable: true })
+  .isISO8601()
+  .withMessage("Expiry must be a valid ISO 8601 date")
+  .custom((value) => new Date(value) > new Date())
+  .withMessage("Expiry must be in the future");
+
+// Overrides for the blacklist suggestion criteria (see config/store.js)
+const suggestionCriteria = (source) => [
+  source("windowDays").optional().isInt({ min: 1, max: 3650 }).toInt(),
+  source("minFailed").optional().isInt({ min: 1 }).toInt(),
+  source("minRatio").optional().isFloat({ min: 0, max: 1 }).toFloat(),
+];
+
+const pickCriteria = ({ windowDays, minFailed, minRatio }) => ({
+  windowDays,
+  minFailed,
+  minRatio,
+});
 
 // GET /api/blacklist-phones - list entries with caching
 router.get("/", cacheMiddleware(300), requireViewOrders, async (req, res) => {
@@ -22,13 +44,99 @@ router.get("/", cacheMiddleware(300), requireViewOrders, async (req, res) => {
     const entries = await prisma.blacklistedPhone.findMany({
       orderBy: { createdAt: "desc" },
     });
-    res.json({ data: { entries } });
+    const now = new Date();
+    res.json({
+      data: {
+        entries: entries.map((entry) => ({
+          ...entry,
+          isExpired: blacklistService.isExpired(entry, now),
+        })),
+      },
+    });
   } catch (error) {
     console.error("Get blacklist phones error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
+// GET /api/blacklist-phones/suggestions - phones with a history of returned
+// or cancelled orders that are not blacklisted yet, worst first
+router.get(
+  "/suggestions",
+  requireViewOrders,
+  [
+    ...suggestionCriteria(query),
+    query("limit").optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res
+          .status(400)
+          .json({ message: "Validation failed", errors: errors.array() });
+      }
+
+      const criteria = blacklistService.resolveCriteria(
+        pickCriteria(req.query)
+      );
+      const suggestions = await blacklistService.getSuggestions(criteria, {
+        limit: req.query.limit || 100,
+      });
+      res.json({ data: { criteria, suggestions } });
+    } catch (error) {
+      console.error("Get blacklist suggestions error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/blacklist-phones/suggestions/apply - blacklist suggested phones
+// with the reason filled in from their order history. Phones are checked
+// against the same criteria again, so stale suggestions are skipped.
+router.post(
+  "/suggestions/apply",
+  requireEditOrders,
+  [
+    body("phones")
+      .isArray({ min: 1 })
+      .withMessage("At least one phone is required"),
+    body("phones.*").isString().trim().isLength({ min: 3 }),
+    ...suggestionCriteria(body),
+    expiresAtValidation,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res
+          .status(400)
+          .json({ message: "Validation failed", errors: errors.array() });
+      }
+
+      const { phones, expiresAt } = req.body;
+      const result = await blacklistService.applySuggestions(
+        phones,
+        pickCriteria(req.body),
+        {
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+          actor: req.user,
+        }
+      );
+      clearCache("/blacklist-phones");
+
+      res.json({
+        message: `${result.blacklisted.length} phone(s) blacklisted`,
+        data: result,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Apply blacklist suggestions error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 // POST /api/blacklist-phones - add entry
 router.post(
   "/",
@@ -36,6 +144,7 @@ router.post(
   [
     body("phone").isString().trim().isLength({ min: 3 }).withMessage("Phone is required"),
     body("reason").optional().isString().trim().isLength({ max: 300 }),
+    expiresAtValidation,
   ],
   async (req, res) => {
     try {
@@ -44,7 +153,7 @@ router.post(
         return res.status(400).json({ message: "Validation failed", errors: errors.array() });
       }
 
-      const { phone, reason } = req.body;
+      const { phone, reason, expiresAt } = req.body;
       const normalized = normalizePhone(phone);
       if (!normalized) {
         return res.status(400).json({ message: "Invalid phone" });
@@ -57,13 +166,16 @@ router.post(
           phone: normalized,
           rawPhone: phone,
           reason: reason || null,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
           createdBy: req.user?.id || null,
         },
         update: {
           rawPhone: phone,
           reason: reason || null,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
         },
       });
+      clearCache("/blacklist-phones");
 
       res.status(201).json({ message: "Phone blacklisted", data: { entry } });
     } catch (error) {
@@ -95,6 +207,7 @@ router.delete(
       }
 
       await prisma.blacklistedPhone.delete({ where: { id } });
+      clearCache("/blacklist-phones");
       res.json({ message: "Entry deleted" });
     } catch (error) {
       console.error("Delete blacklist phone error:", error);
@@ -115,9 +228,7 @@ router.get(
       if (!errors.isEmpty()) {
         return res.status(400).json({ message: "Validation failed", errors: errors.array() });
       }
-      const normalized = normalizePhone(req.query.phone);
-      if (!normalized) return res.json({ data: { blacklisted: false } });
-      const entry = await prisma.blacklistedPhone.findUnique({ where: { phone: normalized } });
+      const entry = await blacklistService.check(req.query.phone);
       res.json({ data: { blacklisted: !!entry, entry } });
     } catch (error) {
       console.error("Check blacklist phone error:", error);
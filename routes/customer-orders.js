@@ -1,6 +1,33 @@
 const express = require("express");
 const { body, validationResult, query } = require("express-validator");
 const getPrismaClient = require("../lib/prisma");
+const {
+  authenticateUser,
+  requireViewOrders,
+  requireEditOrders,
+  requireDeleteOrders,
+} = require("../middleware/permissions");
+const {
+  trackingLimiter,
+  requireOrderAccess,
+} = require("../middleware/orderAccess");
+const orderHistoryService = require("../services/orderHistoryService");
+const orderLifecycleService = require("../services/orderLifecycleService");
+const reservationService = require("../services/reservationService");
+const blacklistService = require("../services/blacklistService");
+const customerService = require("../services/customerService");
+const orderTrackingService = require("../services/orderTrackingService");
+const checkoutService = require("../services/checkoutService");
+const deliveryRateService = require("../services/deliveryRateService");
+const { ServiceError, sendServiceError } = require("../lib/errors");
+const { generateOrderId } = require("../lib/orderId");
+const { normalizePhone } = require("../lib/phone");
+const { round2 } = require("../lib/pricing");
+const {
+  isValidTimezone,
+  resolveTimezone,
+  getDayRange,
+} = require("../lib/timezone");
 const multer = require("multer");
 const { v2: cloudinary } = require("cloudinary");
 
@@ -54,8 +81,8 @@ const uploadToCloudinary = (buffer, originalname) => {
   });
 };
 
-// Validation rules for customer orders
-const customerOrderValidation = [
+// Customer and delivery fields shared by order creation and staff edits
+const orderDetailsValidation = [
   body("customerName")
     .trim()
     .isLength({ min: 1 })
@@ -73,6 +100,25 @@ const customerOrderValidation = [
     .isIn(["Phnom Penh", "Province"])
     .withMessage("Province must be either 'Phnom Penh' or 'Province'"),
   body("remark").optional().trim(),
+];
+
+const itemValidation = [
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("At least one item is required"),
+  body("items.*.productId").isString().withMessage("Product ID is required"),
+  body("items.*.quantity")
+    .isInt({ min: 1 })
+    .withMessage("Quantity must be at least 1"),
+  body("items.*.optionDetails")
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage("Option details must be an array"),
+];
+
+// Validation rules for customer orders
+const customerOrderValidation = [
+  ...orderDetailsValidation,
   body("subtotalPrice")
     .isFloat({ min: 0 })
     .withMessage("Subtotal price must be positive"),
@@ -82,13 +128,7 @@ const customerOrderValidation = [
   body("totalPrice")
     .isFloat({ min: 0 })
     .withMessage("Total price must be positive"),
-  body("items")
-    .isArray({ min: 1 })
-    .withMessage("At least one item is required"),
-  body("items.*.productId").isString().withMessage("Product ID is required"),
-  body("items.*.quantity")
-    .isInt({ min: 1 })
-    .withMessage("Quantity must be at least 1"),
+  ...itemValidation,
   body("items.*.price")
     .isFloat({ min: 0 })
     .withMessage("Price must be positive"),
@@ -97,6 +137,59 @@ const customerOrderValidation = [
     .withMessage("Weight must be positive"),
 ];
 
+// Staff edits are priced on the server, so no prices or totals are needed;
+// staff may set a line's price by hand, which is recorded in the history.
+// A missing weight is the product's.
+const staffOrderValidation = [
+  ...orderDetailsValidation,
+  ...itemValidation,
+  body("items.*.weight")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Weight must be positive"),
+  body("items.*.priceOverride")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Price override must be positive"),
+];
+
+// Customers are not told that their order is held for review, nor shown
+// what the delivery costs the shop or who on staff touched it
+const toCustomerOrder = ({
+  heldForReview,
+  holdReason,
+  trackingTokenHash,
+  companyDeliveryPrice,
+  createdBy,
+  creator,
+  ...order
+}) => order;
+
+// Delivery details a customer may change while their order is PLACED
+const customerEditValidation = [
+  body("customerName")
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage("Customer name cannot be empty"),
+  body("customerPhone")
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage("Customer phone cannot be empty"),
+  body("customerLocation")
+    .optional()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage("Customer location cannot be empty"),
+  body("province")
+    .optional()
+    .trim()
+    .isIn(["Phnom Penh", "Province"])
+    .withMessage("Province must be either 'Phnom Penh' or 'Province'"),
+  body("remark").optional().trim(),
+];
+
 // Middleware to parse items before validation
 const parseItemsMiddleware = (req, res, next) => {
   if (req.body.items && typeof req.body.items === "string") {
@@ -134,14 +227,38 @@ router.post(
         customerLocation,
         province,
         remark,
-        subtotalPrice,
-        deliveryPrice,
-        totalPrice,
         items,
       } = req.body;
 
-      // Items are already parsed by middleware
-      const parsedItems = items;
+      // Prices, stock and delivery fee as the storefront quoted them. The
+      // order is only taken at those prices so the customer pays what they
+      // were shown.
+      const quote = await checkoutService.quote({
+        items,
+        province,
+        customerLocation,
+      });
+      const publicQuote = checkoutService.toPublicQuote(quote);
+      if (!quote.valid) {
+        return res.status(400).json({
+          message: "Some items cannot be ordered as selected",
+          quote: publicQuote,
+        });
+      }
+      if (!quote.available) {
+        return res.status(409).json({
+          message: "Some items are out of stock",
+          quote: publicQuote,
+        });
+      }
+      const mismatches = checkoutService.findMismatches(quote, req.body);
+      if (mismatches.length > 0) {
+        return res.status(409).json({
+          message: "Prices have changed, please review your order",
+          mismatches,
+          quote: publicQuote,
+        });
+      }
 
       // Upload payment proof to Cloudinary
       let paymentProofUrl = null;
@@ -159,69 +276,33 @@ router.post(
         }
       }
 
-      // Optimized product validation with selective loading
-      const uniqueProductIds = [
-        ...new Set(parsedItems.map((item) => item.productId)),
-      ];
-
-      const products = await prisma.product.findMany({
-        where: {
-          id: { in: uniqueProductIds },
-          isActive: true,
-        },
-        select: {
-          id: true,
-          name: true,
-          price: true,
-          quantity: true,
-          hasOptions: true,
-          isActive: true,
-        },
-      });
-
-      if (products.length !== uniqueProductIds.length) {
-        return res.status(400).json({
-          message: "One or more products not found or inactive",
-        });
-      }
+      // Orders from blacklisted numbers are taken as usual but held for
+      // staff to review, so the customer is not told they are blocked
+      const blacklisted = await blacklistService.check(customerPhone);
+      const holdReason = blacklisted
+        ? `Blacklisted phone${
+            blacklisted.reason ? `: ${blacklisted.reason}` : ""
+          }`
+        : null;
 
-      // Create product lookup map for O(1) access
-      const productMap = new Map(products.map((p) => [p.id, p]));
-
-      // Note: Stock validation is not performed here since stock will be checked when driver is assigned
-
-      // Calculate company delivery price (internal cost)
-      const companyDeliveryPrice = province === "Phnom Penh" ? 1.5 : 2.0;
-
-      // Generate custom order ID with timestamp + random: SP + DDMMYY + HHMM + 5 random chars
-      const generateCustomOrderId = () => {
-        const now = new Date();
-        const day = String(now.getDate()).padStart(2, "0");
-        const month = String(now.getMonth() + 1).padStart(2, "0");
-        const year = String(now.getFullYear()).slice(-2);
-        const hours = String(now.getHours()).padStart(2, "0");
-        const minutes = String(now.getMinutes()).padStart(2, "0");
-
-        // Generate 5 random alphanumeric characters (uppercase)
-        const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-        let randomSuffix = "";
-        for (let i = 0; i < 5; i++) {
-          randomSuffix += chars.charAt(
-            Math.floor(Math.random() * chars.length)
-          );
-        }
-
-        return `SP${day}${month}${year}${hours}${minutes}${randomSuffix}`;
-      };
+      // Handed to the customer once; only its hash is stored
+      const tracking = orderTrackingService.createToken();
 
       // Create order with retry mechanism to handle potential ID collisions
       const createOrderWithRetry = async (maxRetries = 3) => {
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
           try {
-            const customOrderId = generateCustomOrderId();
+            const customOrderId = generateOrderId();
 
             // Create order with transaction
             return await prisma.$transaction(async (tx) => {
+              const customerId = await customerService.upsertFromOrder(tx, {
+                customerName,
+                customerPhone,
+                customerLocation,
+                province,
+              });
+
               // Create the order with custom ID
               const newOrder = await tx.order.create({
                 data: {
@@ -230,130 +311,53 @@ router.post(
                   customerPhone,
                   customerLocation,
                   province,
+                  customerId,
                   remark: remark || null,
                   state: "PLACED",
-                  subtotalPrice: 0,
-                  companyDeliveryPrice,
-                  deliveryPrice: parseFloat(deliveryPrice),
-                  totalPrice: 0,
+                  subtotalPrice: quote.subtotal,
+                  companyDeliveryPrice: quote.deliveryCost,
+                  deliveryPrice: quote.deliveryFee,
+                  totalPrice: quote.total,
                   isPaid: !!paymentProofUrl,
                   orderSource: "CUSTOMER",
                   paymentProofUrl,
+                  trackingTokenHash: tracking.hash,
+                  heldForReview: !!blacklisted,
+                  holdReason,
                   createdBy: null, // No admin user for customer orders
                 },
               });
 
-              // Helper to resolve variant by selected option IDs
-              const resolveVariantId = async (productId, optionIds) => {
-                if (!optionIds || optionIds.length === 0) return null;
-                const variants = await tx.productVariant.findMany({
-                  where: { productId },
-                  include: { variantOptions: true },
-                });
-                if (!variants || variants.length === 0) return null;
-                const desired = new Set(optionIds);
-
-                // Prefer exact match first
-                for (const v of variants) {
-                  const voSet = new Set(
-                    v.variantOptions.map((vo) => vo.optionId)
-                  );
-                  if (voSet.size === desired.size) {
-                    let exact = true;
-                    for (const id of desired) {
-                      if (!voSet.has(id)) {
-                        exact = false;
-                        break;
-                      }
-                    }
-                    if (exact) return v.id;
-                  }
-                }
-
-                // Fallback: subset match (all variant options contained in selected)
-                let best = null;
-                let bestSize = -1;
-                for (const v of variants) {
-                  const voSet = new Set(
-                    v.variantOptions.map((vo) => vo.optionId)
-                  );
-                  let subset = true;
-                  for (const id of voSet) {
-                    if (!desired.has(id)) {
-                      subset = false;
-                      break;
-                    }
-                  }
-                  if (subset && voSet.size > bestSize) {
-                    best = v.id;
-                    bestSize = voSet.size;
-                  }
-                }
-                return best;
-              };
-
-              // Create order items and update product quantities
-              let serverSubtotal = 0;
-              for (const item of parsedItems) {
-                // Flatten selected option IDs (customer payload may include optionDetails grouped similarly)
-                const selectedOptionIds = (item.optionDetails || [])
-                  .flatMap((group) =>
-                    (group.selectedOptions || []).map((opt) => opt.id)
-                  )
-                  .filter(Boolean);
-
-                const variantId = await resolveVariantId(
-                  item.productId,
-                  selectedOptionIds
-                );
-
-                // Compute safe server-side price using pre-fetched product data
-                const baseProduct = productMap.get(item.productId);
-                let computedPrice = baseProduct?.price || 0;
-
-                // Add variant price adjustment if applicable
-                if (variantId) {
-                  const variant = await tx.productVariant.findUnique({
-                    where: { id: variantId },
-                    select: { priceAdjustment: true },
-                  });
-                  computedPrice += variant?.priceAdjustment || 0;
-                }
-
+              for (const line of quote.lines) {
                 await tx.orderItem.create({
                   data: {
                     orderId: newOrder.id,
-                    productId: item.productId,
-                    quantity: parseInt(item.quantity),
-                    price: computedPrice,
-                    weight: parseFloat(item.weight),
-                    optionDetails:
-                      item.optionDetails && item.optionDetails.length > 0
-                        ? {
-                            variantId: variantId,
-                            selections: item.optionDetails,
-                          }
-                        : null,
+                    productId: line.productId,
+                    quantity: line.quantity,
+                    price: line.unitPrice,
+                    weight: line.weight,
+                    optionDetails: line.optionDetails && {
+                      variantId: line.variantId,
+                      selections: line.optionDetails,
+                    },
                   },
                 });
-
-                serverSubtotal += computedPrice * parseInt(item.quantity);
-
-                // Note: Stock is NOT deducted here - it will be deducted when driver is assigned
               }
 
-              // Update order totals based on computed item prices
-              const computedSubtotal = serverSubtotal;
-              const computedTotal =
-                computedSubtotal + parseFloat(deliveryPrice);
-              await tx.order.update({
-                where: { id: newOrder.id },
-                data: {
-                  subtotalPrice: computedSubtotal,
-                  totalPrice: computedTotal,
-                },
+              await orderHistoryService.record(tx, {
+                orderId: newOrder.id,
+                type: "CREATED",
+                actorType: "CUSTOMER",
+                actor: { name: customerName },
+                toState: "PLACED",
+                note: holdReason && `Held for review: ${holdReason}`,
               });
 
+              // Stock is reserved, not deducted: the reservation stops the
+              // storefront selling the items and is turned into a deduction
+              // when a driver is assigned
+              await reservationService.reserveForOrder(newOrder.id, tx);
+
               return newOrder;
             });
           } catch (error) {
@@ -387,10 +391,12 @@ router.post(
       res.status(201).json({
         message: "Order created successfully",
         data: {
-          order: completeOrder,
+          order: toCustomerOrder(completeOrder),
+          trackingToken: tracking.token,
         },
       });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error("Failed to create customer order:", error);
       res.status(500).json({
         message: "Failed to create order",
@@ -404,6 +410,8 @@ router.post(
 // GET /api/customer-orders - Get all customer orders (admin only)
 router.get(
   "/",
+  authenticateUser,
+  requireViewOrders,
   [
     query("page")
       .optional()
@@ -417,6 +425,7 @@ router.get(
       .optional()
       .isIn(["PLACED", "DELIVERING", "RETURNED", "COMPLETED", "CANCELLED"]),
     query("search").optional().trim(),
+    query("heldForReview").optional().isBoolean(),
     query("sortBy")
       .optional()
       .isIn([
@@ -435,6 +444,10 @@ router.get(
     query("dateTo")
       .optional()
       .matches(/^\d{4}-\d{2}-\d{2}$/),
+    query("tz")
+      .optional()
+      .custom(isValidTimezone)
+      .withMessage("Invalid timezone"),
   ],
   async (req, res) => {
     try {
@@ -473,6 +486,10 @@ router.get(
         where.state = state;
       }
 
+      if (req.query.heldForReview !== undefined) {
+        where.heldForReview = req.query.heldForReview === "true";
+      }
+
       if (search) {
         where.OR = [
           { id: { contains: search, mode: "insensitive" } },
@@ -488,29 +505,22 @@ router.get(
         const dateField = "orderAt";
         where[dateField] = {};
 
-        if (dateFrom) {
-          // Validate and parse dateFrom
-          const fromDate = new Date(dateFrom);
-          if (isNaN(fromDate.getTime())) {
-            return res.status(400).json({
-              message: "Invalid dateFrom format. Use YYYY-MM-DD",
-            });
-          }
-          // Set to start of day in UTC
-          fromDate.setHours(0, 0, 0, 0);
-          where[dateField].gte = fromDate;
+        // Whole days in the store timezone (or the `tz` override)
+        const range = getDayRange(
+          dateFrom,
+          dateTo,
+          resolveTimezone(req.query.tz)
+        );
+        if (!range) {
+          return res.status(400).json({
+            message: "Invalid date format. Use YYYY-MM-DD",
+          });
         }
-        if (dateTo) {
-          // Validate and parse dateTo
-          const toDate = new Date(dateTo);
-          if (isNaN(toDate.getTime())) {
-            return res.status(400).json({
-              message: "Invalid dateTo format. Use YYYY-MM-DD",
-            });
-          }
-          // Set to end of day in UTC
-          toDate.setHours(23, 59, 59, 999);
-          where[dateField].lte = toDate;
+        if (range.from) {
+          where[dateField].gte = range.from;
+        }
+        if (range.to) {
+          where[dateField].lt = range.to;
         }
       }
 
@@ -608,16 +618,12 @@ router.get(
   }
 );
 
-// GET /api/customer-orders/:id - Get order by ID (for customer tracking)
-router.get("/:id", async (req, res) => {
+// GET /api/customer-orders/:id - Get order by ID (for customer tracking).
+// Needs the order's tracking token or phone number.
+router.get("/:id", trackingLimiter, requireOrderAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-
     const order = await prisma.order.findUnique({
-      where: {
-        id,
-        orderSource: "CUSTOMER", // Only allow access to customer orders
-      },
+      where: { id: req.trackedOrder.id },
       include: {
         orderItems: {
           include: {
@@ -647,7 +653,7 @@ router.get("/:id", async (req, res) => {
     }
 
     res.json({
-      data: { order },
+      data: { order: toCustomerOrder(order) },
     });
   } catch (error) {
     console.error("Failed to fetch order:", error);
@@ -658,12 +664,14 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-// PUT /api/customer-orders/:id - Update customer order
+// PUT /api/customer-orders/:id - Update customer order (staff)
 router.put(
   "/:id",
+  authenticateUser,
+  requireEditOrders,
   upload.single("paymentProof"),
   parseItemsMiddleware,
-  customerOrderValidation,
+  staffOrderValidation,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -681,15 +689,43 @@ router.put(
         customerLocation,
         province,
         remark,
-        subtotalPrice,
-        deliveryPrice,
-        totalPrice,
         items,
         isPaid: isPaidRaw,
       } = req.body;
 
-      // Items are already parsed by middleware
-      const parsedItems = items;
+      // Lines are repriced from the catalogue, withdrawn products and
+      // options included, unless staff override a line's price explicitly;
+      // the totals and delivery follow them
+      const pricedItems = await checkoutService.priceItems(
+        items.map((item) => ({
+          productId: item.productId,
+          quantity: parseInt(item.quantity),
+          weight: parseFloat(item.weight),
+          optionDetails: item.optionDetails || null,
+          priceOverride: item.priceOverride,
+        })),
+        prisma,
+        { includeInactive: true }
+      );
+      const priceOverrides = checkoutService.applyPriceOverrides(pricedItems);
+      const orderItems = pricedItems.map((item) => ({
+        productId: item.productId,
+        quantity: item.quantity,
+        price: item.unitPrice,
+        weight: Number.isFinite(item.weight)
+          ? item.weight
+          : item.product.weight || 0,
+        optionDetails:
+          item.optionDetails && item.optionDetails.length > 0
+            ? {
+                variantId: item.variant?.id || null,
+                selections: item.optionDetails,
+              }
+            : null,
+      }));
+      const subtotalPrice = round2(
+        orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0)
+      );
 
       // Check if order exists and is customer order
       const existingOrder = await prisma.order.findFirst({
@@ -706,6 +742,14 @@ router.put(
         });
       }
 
+      // Prices and items of a settled order are part of a closed cash handover
+      if (existingOrder.settlementId) {
+        return res.status(409).json({
+          message:
+            "Order has been settled with its driver and can no longer be edited",
+        });
+      }
+
       // Upload payment proof to Cloudinary if new file provided
       let paymentProofUrl = existingOrder.paymentProofUrl;
       if (req.file) {
@@ -733,63 +777,86 @@ router.put(
           ? isPaidFromBody
           : existingOrder.isPaid || !!paymentProofUrl;
 
+      const delivery = await deliveryRateService.quoteForItems({
+        orderSource: "CUSTOMER",
+        province,
+        customerLocation,
+        subtotal: subtotalPrice,
+        items: orderItems,
+      });
+
       // Update order and items in transaction
       const updatedOrder = await prisma.$transaction(async (tx) => {
-        // Delete existing order items
-        await tx.orderItem.deleteMany({
-          where: { orderId: id },
-        });
-
-        // Restore product quantities from old items
-        for (const oldItem of existingOrder.orderItems) {
-          await tx.product.update({
-            where: { id: oldItem.productId },
-            data: {
-              quantity: {
-                increment: oldItem.quantity,
-              },
-            },
-          });
-        }
+        // A new phone number moves the order to that number's customer
+        const customerId =
+          existingOrder.customerId &&
+          normalizePhone(customerPhone) ===
+            normalizePhone(existingOrder.customerPhone)
+            ? existingOrder.customerId
+            : await customerService.upsertFromOrder(tx, {
+                customerName,
+                customerPhone,
+                customerLocation,
+                province,
+                orderAt: existingOrder.orderAt,
+              });
 
-        // Update the order
-        const order = await tx.order.update({
-          where: { id },
+        // Update the order, only while unsettled: a settlement may have
+        // closed since the check above
+        const { count } = await tx.order.updateMany({
+          where: { id, settlementId: null },
           data: {
             customerName,
             customerPhone,
             customerLocation,
             province,
+            customerId,
             remark,
-            subtotalPrice: parseFloat(subtotalPrice),
-            deliveryPrice: parseFloat(deliveryPrice),
-            totalPrice: parseFloat(totalPrice),
+            subtotalPrice,
+            companyDeliveryPrice: delivery.companyDeliveryPrice,
+            deliveryPrice: delivery.deliveryPrice,
+            totalPrice: round2(subtotalPrice + delivery.deliveryPrice),
             paymentProofUrl,
             isPaid: finalIsPaid,
           },
         });
+        if (count === 0) {
+          throw new ServiceError(
+            "Order has been settled with its driver and can no longer be edited",
+            409
+          );
+        }
+        const order = await tx.order.findUnique({ where: { id } });
 
-        // Create new order items and update product quantities
-        for (const item of parsedItems) {
-          await tx.orderItem.create({
-            data: {
-              orderId: order.id,
-              productId: item.productId,
-              quantity: parseInt(item.quantity),
-              price: parseFloat(item.price),
-              weight: parseFloat(item.weight),
-              optionDetails: item.optionDetails || null,
-            },
-          });
+        // Replace order items; stock is re-balanced only if the order holds it
+        const newItems = await orderLifecycleService.replaceItems(
+          tx,
+          id,
+          orderItems,
+          { userId: req.user.id }
+        );
+
+        const changes = orderHistoryService.diffOrder(existingOrder, order);
+        const itemChanges = orderHistoryService.diffItems(
+          existingOrder.orderItems,
+          newItems
+        );
+        if (itemChanges) {
+          changes.items = itemChanges;
+        }
+        await orderHistoryService.record(tx, {
+          orderId: id,
+          type: "UPDATED",
+          actor: req.user,
+          changes,
+        });
 
-          // Update product quantity
-          await tx.product.update({
-            where: { id: item.productId },
-            data: {
-              quantity: {
-                decrement: parseInt(item.quantity),
-              },
-            },
+        if (Object.keys(priceOverrides).length > 0) {
+          await orderHistoryService.record(tx, {
+            orderId: id,
+            type: "PRICE_OVERRIDDEN",
+            actor: req.user,
+            changes: priceOverrides,
           });
         }
 
@@ -801,6 +868,7 @@ router.put(
         data: { order: updatedOrder },
       });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error("Failed to update customer order:", error);
       res.status(500).json({
         message: "Failed to update customer order",
@@ -811,8 +879,182 @@ router.put(
   }
 );
 
-// DELETE /api/customer-orders/:id - Delete customer order
-router.delete("/:id", async (req, res) => {
+// PATCH /api/customer-orders/:id - Customer changes their delivery details
+// or uploads a payment proof. Needs the order's tracking token or phone
+// number and is only allowed while the order is PLACED. Access is checked
+// before the upload is read, so a multipart request passes its token or
+// phone in the `X-Order-Token` header or the query string.
+router.patch(
+  "/:id",
+  trackingLimiter,
+  requireOrderAccess,
+  upload.single("paymentProof"),
+  customerEditValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { id } = req.trackedOrder;
+      const existingOrder = await prisma.order.findUnique({ where: { id } });
+      if (existingOrder.state !== "PLACED") {
+        return res.status(409).json({
+          message:
+            "This order is already on its way and can no longer be changed",
+        });
+      }
+
+      const data = {};
+      for (const field of [
+        "customerName",
+        "customerPhone",
+        "customerLocation",
+        "province",
+        "remark",
+      ]) {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      }
+
+      // A new address may change the delivery price
+      if (data.province !== undefined || data.customerLocation !== undefined) {
+        const items = await prisma.orderItem.findMany({
+          where: { orderId: id },
+          select: { productId: true, quantity: true, weight: true },
+        });
+        const delivery = await deliveryRateService.quoteForItems({
+          orderSource: existingOrder.orderSource,
+          province: data.province ?? existingOrder.province,
+          customerLocation:
+            data.customerLocation ?? existingOrder.customerLocation,
+          subtotal: existingOrder.subtotalPrice,
+          items,
+        });
+        data.deliveryPrice = delivery.deliveryPrice;
+        data.companyDeliveryPrice = delivery.companyDeliveryPrice;
+        data.totalPrice = round2(
+          existingOrder.subtotalPrice + delivery.deliveryPrice
+        );
+      }
+
+      if (req.file) {
+        try {
+          data.paymentProofUrl = await uploadToCloudinary(
+            req.file.buffer,
+            req.file.originalname
+          );
+          data.isPaid = true;
+        } catch (uploadError) {
+          console.error("Failed to upload payment proof:", uploadError);
+          return res.status(500).json({
+            message: "Failed to upload payment proof",
+          });
+        }
+      }
+
+      const updatedOrder = await prisma.$transaction(async (tx) => {
+        const next = { ...existingOrder, ...data };
+        if (
+          normalizePhone(next.customerPhone) !==
+            normalizePhone(existingOrder.customerPhone) ||
+          !existingOrder.customerId
+        ) {
+          data.customerId = await customerService.upsertFromOrder(tx, next);
+        }
+
+        // Only change a still PLACED order
+        const { count } = await tx.order.updateMany({
+          where: { id, state: "PLACED" },
+          data,
+        });
+        if (count === 0) {
+          throw new ServiceError(
+            "This order is already on its way and can no longer be changed",
+            409
+          );
+        }
+
+        const order = await tx.order.findUnique({ where: { id } });
+        await orderHistoryService.record(tx, {
+          orderId: id,
+          type: "UPDATED",
+          actorType: "CUSTOMER",
+          actor: { name: order.customerName },
+          changes: orderHistoryService.diffOrder(existingOrder, order),
+        });
+        return order;
+      });
+
+      res.json({
+        message: "Order updated successfully",
+        data: { order: toCustomerOrder(updatedOrder) },
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Failed to update customer order details:", error);
+      res.status(500).json({ message: "Failed to update order" });
+    }
+  }
+);
+
+// POST /api/customer-orders/:id/cancel - Customer cancels their order.
+// Needs the order's tracking token or phone number; only a PLACED order can
+// be cancelled this way.
+router.post(
+  "/:id/cancel",
+  trackingLimiter,
+  requireOrderAccess,
+  [body("reason").optional().isString().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      if (req.trackedOrder.state !== "PLACED") {
+        return res.status(409).json({
+          message:
+            "This order is already on its way and can no longer be cancelled online",
+        });
+      }
+
+      const order = await orderLifecycleService.transition(
+        req.trackedOrder.id,
+        "CANCELLED",
+        {
+          actorType: "CUSTOMER",
+          actor: { name: req.trackedOrder.customerName },
+          fromState: "PLACED",
+          note: req.body.reason
+            ? `Cancelled by customer: ${req.body.reason}`
+            : "Cancelled by customer",
+        }
+      );
+
+      res.json({
+        message: "Order cancelled",
+        data: { order: toCustomerOrder(order) },
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Failed to cancel customer order:", error);
+      res.status(500).json({ message: "Failed to cancel order" });
+    }
+  }
+);
+
+const staffDelete = [authenticateUser, requireDeleteOrders];
+
+// DELETE /api/customer-orders/:id - Delete customer order (staff)
+router.delete("/:id", staffDelete, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -822,7 +1064,7 @@ router.delete("/:id", async (req, res) => {
         id,
         orderSource: "CUSTOMER", // Only customer orders
       },
-      include: { orderItems: true },
+      select: { id: true },
     });
 
     if (!existingOrder) {
@@ -831,35 +1073,20 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
-    // Delete order and restore product quantities in transaction
-    await prisma.$transaction(async (tx) => {
-      // Restore product quantities
-      for (const item of existingOrder.orderItems) {
-        await tx.product.update({
-          where: { id: item.productId },
-          data: {
-            quantity: {
-              increment: item.quantity,
-            },
-          },
-        });
-      }
-
-      // Delete order items first (due to foreign key constraint)
-      await tx.orderItem.deleteMany({
-        where: { orderId: id },
-      });
-
-      // Delete the order
-      await tx.order.delete({
-        where: { id },
-      });
-    });
+    // Delete order and restore any stock it holds in transaction; settled
+    // orders cannot be deleted
+    await prisma.$transaction((tx) =>
+      orderLifecycleService.deleteOrder(tx, id, {
+        restoreStock: true,
+        actor: req.user,
+      })
+    );
 
     res.json({
       message: "Customer order deleted successfully",
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error("Failed to delete customer order:", error);
     res.status(500).json({
       message: "Failed to delete customer order",
@@ -0,0 +1,73 @@
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const {
+  authenticateUser,
+  requireViewOrders,
+  requireEditOrders,
+} = require("../middleware/permissions");
+const customerService = require("../services/customerService");
+const { sendServiceError } = require("../lib/errors");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateUser);
+
+// GET /api/customers - Customer directory with order totals
+router.get(
+  "/",
+  requireViewOrders,
+  [
+    query("search").optional().trim(),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+    query("sortBy").optional().isIn(["lastOrderAt", "name", "createdAt"]),
+    query("sortOrder").optional().isIn(["asc", "desc"]),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const result = await customerService.list(req.query);
+      res.json(result);
+    } catch (error) {
+      console.error("Get customers error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/customers/backfill - Link orders placed before the customer
+// directory existed. Also available as `npm run customers:backfill`.
+router.post("/backfill", requireEditOrders, async (req, res) => {
+  try {
+    const result = await customerService.backfill();
+    res.json({
+      message: `Linked ${result.linked} order(s) to customers`,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Backfill customers error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/customers/:id - One customer with their order history
+router.get("/:id", requireViewOrders, async (req, res) => {
+  try {
+    const customer = await customerService.getCustomer(req.params.id);
+    res.json({ customer });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Get customer error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = router;
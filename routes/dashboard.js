@@ -1,10 +1,15 @@
 const express = require("express");
+const { query, validationResult } = require("express-validator");
 const getPrismaClient = require("../lib/prisma");
 const {
   authenticateUser,
   requireDashboardAccess,
 } = require("../middleware/permissions");
 const { cacheMiddleware } = require("../middleware/cache");
+const analyticsService = require("../services/analyticsService");
+const deliveryAttemptService = require("../services/deliveryAttemptService");
+const { sendServiceError } = require("../lib/errors");
+const { isValidTimezone, resolveTimezone } = require("../lib/timezone");
 
 const router = express.Router();
 const prisma = getPrismaClient();
@@ -12,72 +17,90 @@ const prisma = getPrismaClient();
 // All routes require authentication
 router.use(authenticateUser);
 
+// Reports use the store timezone unless `tz` overrides it
+const timezoneValidation = query("tz")
+  .optional()
+  .custom(isValidTimezone)
+  .withMessage("Invalid timezone");
+
+// Shared validation for date-range analytics endpoints
+const rangeValidation = [
+  timezoneValidation,
+  query("dateFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format for dateFrom. Use YYYY-MM-DD"),
+  query("dateTo")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format for dateTo. Use YYYY-MM-DD"),
+  query("granularity")
+    .optional()
+    .isIn(["day", "week", "month"])
+    .withMessage("Granularity must be day, week or month"),
+];
+
 // GET /api/dashboard/stats - Get dashboard statistics
-router.get("/stats", cacheMiddleware(120), requireDashboardAccess, async (req, res) => {
+router.get("/stats", cacheMiddleware(120), requireDashboardAccess, [timezoneValidation], async (req, res) => {
   try {
-    const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const startOfLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-    const endOfLastMonth = new Date(now.getFullYear(), now.getMonth(), 0);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    // Calendar months in the store timezone
+    const timeZone = resolveTimezone(req.query.tz);
+    const currentMonth = analyticsService.getMonthRange(0, 1, timeZone);
+    const previousMonth = analyticsService.getMonthRange(1, 1, timeZone);
 
-    // Get current month stats
     const [
       totalProducts,
       activeProducts,
       lowStockProducts,
       totalOrders,
-      monthlyOrders,
-      lastMonthOrders,
-      monthlyRevenue,
-      lastMonthRevenue,
+      pendingOrdersCount,
+      thisMonth,
+      lastMonth,
       recentOrders,
       topProducts,
     ] = await Promise.all([
       // Product stats
       prisma.product.count(),
       prisma.product.count({ where: { isActive: true } }),
-      prisma.product.count({
-        where: { quantity: { lte: 10 }, isActive: true },
-      }),
+      // Low on what the storefront can still sell: stock held for placed
+      // orders is not counted
+      prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "count"
+        FROM "products"
+        WHERE "isActive" AND "quantity" - "reservedQuantity" <= 10`.then(
+        ([row]) => row.count
+      ),
 
       // Order stats
       prisma.order.count(),
-      prisma.order.count({
-        where: {
-          createdAt: { gte: startOfMonth },
-          state: { not: "CANCELLED" },
-        },
-      }),
-      prisma.order.count({
-        where: {
-          createdAt: { gte: startOfLastMonth, lte: endOfLastMonth },
-          state: { not: "CANCELLED" },
-        },
-      }),
+      prisma.order.count({ where: { state: "PLACED" } }),
 
-      // Revenue stats
-      prisma.order.aggregate({
-        where: {
-          createdAt: { gte: startOfMonth },
-          status: { not: "CANCELLED" },
-        },
-        _sum: { totalAmount: true },
-      }),
-      prisma.order.aggregate({
-        where: {
-          createdAt: { gte: startOfLastMonth, lte: endOfLastMonth },
-          status: { not: "CANCELLED" },
-        },
-        _sum: { totalAmount: true },
-      }),
+      // Revenue stats, one grouped query per month
+      analyticsService.getSummary(currentMonth),
+      analyticsService.getSummary(previousMonth),
 
       // Recent orders
       prisma.order.findMany({
         take: 5,
-        orderBy: { createdAt: "desc" },
-        include: {
-          customer: {
-            select: { name: true, email: true },
+        orderBy: { orderAt: "desc" },
+        select: {
+          id: true,
+          customerName: true,
+          customerPhone: true,
+          state: true,
+          orderSource: true,
+          totalPrice: true,
+          orderAt: true,
+          driver: {
+            select: { id: true, name: true },
           },
         },
       }),
@@ -111,46 +134,29 @@ router.get("/stats", cacheMiddleware(120), requireDashboardAccess, async (req, r
       };
     });
 
-    // Calculate growth percentages
-    const orderGrowth =
-      lastMonthOrders > 0
-        ? (((monthlyOrders - lastMonthOrders) / lastMonthOrders) * 100).toFixed(
-            1
-          )
-        : monthlyOrders > 0
-        ? 100
-        : 0;
-
-    const revenueGrowth =
-      (lastMonthRevenue._sum.totalAmount || 0) > 0
-        ? (
-            (((monthlyRevenue._sum.totalAmount || 0) -
-              (lastMonthRevenue._sum.totalAmount || 0)) /
-              (lastMonthRevenue._sum.totalAmount || 0)) *
-            100
-          ).toFixed(1)
-        : (monthlyRevenue._sum.totalAmount || 0) > 0
-        ? 100
-        : 0;
-
     res.json({
       overview: {
         totalProducts,
         activeProducts,
         lowStockProducts,
         totalOrders,
-        monthlyRevenue: monthlyRevenue._sum.totalAmount || 0,
-        monthlyOrders,
-        orderGrowth: parseFloat(orderGrowth),
-        revenueGrowth: parseFloat(revenueGrowth),
+        monthlyRevenue: thisMonth.revenue,
+        monthlyOrders: thisMonth.revenueOrders,
+        monthlyDeliveryMargin: thisMonth.deliveryMargin,
+        orderGrowth: analyticsService.growth(
+          thisMonth.revenueOrders,
+          lastMonth.revenueOrders
+        ),
+        revenueGrowth: analyticsService.growth(
+          thisMonth.revenue,
+          lastMonth.revenue
+        ),
       },
       recentOrders,
       topProducts: topProductsWithDetails,
       alerts: {
         lowStockCount: lowStockProducts,
-        pendingOrdersCount: await prisma.order.count({
-          where: { status: "PENDING" },
-        }),
+        pendingOrdersCount,
       },
     });
   } catch (error) {
@@ -159,59 +165,165 @@ router.get("/stats", cacheMiddleware(120), requireDashboardAccess, async (req, r
   }
 });
 
-// GET /api/dashboard/charts/revenue - Get revenue chart data
-router.get("/charts/revenue", cacheMiddleware(300), requireDashboardAccess, async (req, res) => {
-  try {
-    const now = new Date();
-    const last12Months = [];
-
-    // Generate last 12 months data
-    for (let i = 11; i >= 0; i--) {
-      const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const nextMonth = new Date(now.getFullYear(), now.getMonth() - i + 1, 1);
-
-      const revenue = await prisma.order.aggregate({
-        where: {
-          createdAt: { gte: date, lt: nextMonth },
-          status: { not: "CANCELLED" },
+// GET /api/dashboard/analytics - Revenue, delivery margin, state/source
+// breakdowns and a bucketed series for any date range (default: last 30 days)
+router.get(
+  "/analytics",
+  cacheMiddleware(120),
+  requireDashboardAccess,
+  rangeValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const granularity = req.query.granularity || "day";
+      const range = analyticsService.resolveRange(
+        req.query,
+        30,
+        resolveTimezone(req.query.tz)
+      );
+
+      const [summary, byState, bySource, series] = await Promise.all([
+        analyticsService.getSummary(range),
+        analyticsService.getOrdersByState(range),
+        analyticsService.getOrdersBySource(range),
+        analyticsService.getTimeSeries(range, granularity),
+      ]);
+
+      res.json({
+        range: {
+          from: range.from,
+          to: range.to,
+          timeZone: range.timeZone,
+          granularity,
         },
-        _sum: { totalAmount: true },
+        summary,
+        byState,
+        bySource,
+        series,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get dashboard analytics error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/dashboard/delivery-failures - Delivery attempt outcomes per
+// province for attempts made in a date range (default: last 30 days)
+router.get(
+  "/delivery-failures",
+  cacheMiddleware(120),
+  requireDashboardAccess,
+  [...rangeValidation, query("driverId").optional().isString().trim()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const range = analyticsService.resolveRange(
+        req.query,
+        30,
+        resolveTimezone(req.query.tz)
+      );
+      const report = await deliveryAttemptService.getFailureReport(range, {
+        driverId: req.query.driverId,
       });
 
-      last12Months.push({
-        month: date.toLocaleDateString("en-US", {
-          month: "short",
-          year: "numeric",
-        }),
-        revenue: revenue._sum.totalAmount || 0,
+      res.json({
+        range: { from: range.from, to: range.to, timeZone: range.timeZone },
+        ...report,
       });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get delivery failures error:", error);
+      res.status(500).json({ message: "Internal server error" });
     }
+  }
+);
 
-    res.json({ revenueData: last12Months });
-  } catch (error) {
-    console.error("Get revenue chart error:", error);
-    res.status(500).json({ message: "Internal server error" });
+// GET /api/dashboard/charts/revenue - Get revenue chart data
+// (default: last 12 months by month)
+router.get(
+  "/charts/revenue",
+  cacheMiddleware(300),
+  requireDashboardAccess,
+  rangeValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const timeZone = resolveTimezone(req.query.tz);
+      const range =
+        req.query.dateFrom || req.query.dateTo
+          ? analyticsService.resolveRange(req.query, 30, timeZone)
+          : analyticsService.getMonthRange(11, 12, timeZone);
+
+      const revenueData = await analyticsService.getTimeSeries(
+        range,
+        req.query.granularity || "month"
+      );
+
+      res.json({ revenueData });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get revenue chart error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
   }
-});
+);
 
-// GET /api/dashboard/charts/orders - Get orders chart data
-router.get("/charts/orders", cacheMiddleware(180), requireDashboardAccess, async (req, res) => {
-  try {
-    const orderStatusCounts = await prisma.order.groupBy({
-      by: ["status"],
-      _count: { status: true },
-    });
+// GET /api/dashboard/charts/orders - Get orders chart data by state and source
+router.get(
+  "/charts/orders",
+  cacheMiddleware(180),
+  requireDashboardAccess,
+  rangeValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-    const chartData = orderStatusCounts.map((item) => ({
-      status: item.status,
-      count: item._count.status,
-    }));
+      const range = analyticsService.resolveRange(
+        req.query,
+        30,
+        resolveTimezone(req.query.tz)
+      );
+      const [orderStateData, orderSourceData] = await Promise.all([
+        analyticsService.getOrdersByState(range),
+        analyticsService.getOrdersBySource(range),
+      ]);
 
-    res.json({ orderStatusData: chartData });
-  } catch (error) {
-    console.error("Get orders chart error:", error);
-    res.status(500).json({ message: "Internal server error" });
+      res.json({ orderStateData, orderSourceData });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get orders chart error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,221 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const {
+  authenticateUser,
+  requireViewOrders,
+  requireEditOrders,
+} = require("../middleware/permissions");
+const deliveryRateService = require("../services/deliveryRateService");
+const { sendServiceError } = require("../lib/errors");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateUser);
+
+const RATE_FIELDS = [
+  "name",
+  "zoneId",
+  "province",
+  "minWeight",
+  "maxWeight",
+  "price",
+  "cost",
+  "freeAbove",
+  "isActive",
+];
+
+const rateData = (body) =>
+  Object.fromEntries(
+    RATE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
+const rateValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  // Blank clears the field; null matches anything
+  const nullable = (name) =>
+    body(name)
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .customSanitizer((value) => value || null);
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Rate name is required"),
+    nullable("zoneId"),
+    nullable("province"),
+    body("minWeight")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Minimum weight must be positive")
+      .toFloat(),
+    body("maxWeight")
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage("Maximum weight must be positive")
+      .toFloat(),
+    field("price")
+      .isFloat({ min: 0 })
+      .withMessage("Price must be positive")
+      .toFloat(),
+    field("cost")
+      .isFloat({ min: 0 })
+      .withMessage("Cost must be positive")
+      .toFloat(),
+    body("freeAbove")
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage("Free delivery threshold must be positive")
+      .toFloat(),
+    body("isActive").optional().isBoolean().toBoolean(),
+  ];
+};
+
+// GET /api/delivery-rates - All delivery rates with their zones
+router.get("/", requireViewOrders, async (req, res) => {
+  try {
+    const rates = await deliveryRateService.listRates();
+    res.json({ rates });
+  } catch (error) {
+    console.error("Get delivery rates error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/delivery-rates/quote - Delivery price and cost the server will
+// charge for an order, for the order form to show before saving
+router.post(
+  "/quote",
+  requireViewOrders,
+  [
+    body("province")
+      .isString()
+      .trim()
+      .isLength({ min: 1 })
+      .withMessage("Province is required"),
+    body("customerLocation").optional().isString().trim(),
+    body("orderSource").optional().isIn(["ADMIN", "CUSTOMER", "PICKUP"]),
+    body("subtotal")
+      .isFloat({ min: 0 })
+      .withMessage("Subtotal must be positive")
+      .toFloat(),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.productId").isString().withMessage("Product ID is required"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be positive")
+      .toInt(),
+    body("items.*.weight")
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage("Weight must be positive"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { province, customerLocation, orderSource, subtotal, items } =
+        req.body;
+      const delivery = await deliveryRateService.quoteForItems({
+        province,
+        customerLocation,
+        orderSource,
+        subtotal,
+        items,
+      });
+      res.json({ delivery });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Delivery quote error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/delivery-rates/:id - One delivery rate
+router.get("/:id", requireViewOrders, async (req, res) => {
+  try {
+    const rate = await deliveryRateService.getRate(req.params.id);
+    res.json({ rate });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Get delivery rate error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/delivery-rates - Create a delivery rate
+router.post("/", requireEditOrders, rateValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const rate = await deliveryRateService.createRate(rateData(req.body));
+    res.status(201).json({ message: "Delivery rate created", rate });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Create delivery rate error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// PUT /api/delivery-rates/:id - Update a delivery rate
+router.put(
+  "/:id",
+  requireEditOrders,
+  rateValidation(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const rate = await deliveryRateService.updateRate(
+        req.params.id,
+        rateData(req.body)
+      );
+      res.json({ message: "Delivery rate updated", rate });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Update delivery rate error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// DELETE /api/delivery-rates/:id - Delete a delivery rate
+router.delete("/:id", requireEditOrders, async (req, res) => {
+  try {
+    await deliveryRateService.deleteRate(req.params.id);
+    res.json({ message: "Delivery rate deleted" });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Delete delivery rate error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const {
+  authenticateUser,
+  requireDriversForOrders,
+  requireEditDrivers,
+} = require("../middleware/permissions");
+const deliveryZoneService = require("../services/deliveryZoneService");
+const { sendServiceError } = require("../lib/errors");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateUser);
+
+const zoneValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Zone name is required"),
+    field("province")
+      .isString()
+      .trim()
+      .isLength({ min: 1 })
+      .withMessage("Province is required"),
+    body("districts")
+      .optional()
+      .isArray()
+      .withMessage("Districts must be an array"),
+    body("districts.*").isString().trim(),
+    body("isActive").optional().isBoolean(),
+    body("driverIds")
+      .optional()
+      .isArray()
+      .withMessage("Driver IDs must be an array"),
+    body("driverIds.*").isString(),
+  ];
+};
+
+// GET /api/delivery-zones - Zones with their drivers
+router.get("/", requireDriversForOrders, async (req, res) => {
+  try {
+    const zones = await deliveryZoneService.listZones();
+    res.json({ zones });
+  } catch (error) {
+    console.error("Get delivery zones error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/delivery-zones/:id - One zone with its drivers
+router.get("/:id", requireDriversForOrders, async (req, res) => {
+  try {
+    const zone = await deliveryZoneService.getZone(req.params.id);
+    res.json({ zone });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Get delivery zone error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/delivery-zones - Create a zone (optionally with driverIds)
+router.post(
+  "/",
+  requireEditDrivers,
+  zoneValidation(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { name, province, districts, isActive, driverIds } = req.body;
+      const zone = await deliveryZoneService.createZone({
+        name,
+        province,
+        districts,
+        isActive,
+        driverIds,
+      });
+
+      res.status(201).json({ message: "Delivery zone created", zone });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Create delivery zone error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// PUT /api/delivery-zones/:id - Update a zone; driverIds replaces its drivers
+router.put(
+  "/:id",
+  requireEditDrivers,
+  zoneValidation(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { name, province, districts, isActive, driverIds } = req.body;
+      const zone = await deliveryZoneService.updateZone(req.params.id, {
+        name,
+        province,
+        districts,
+        isActive,
+        driverIds,
+      });
+
+      res.json({ message: "Delivery zone updated", zone });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Update delivery zone error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// DELETE /api/delivery-zones/:id - Delete a zone
+router.delete("/:id", requireEditDrivers, async (req, res) => {
+  try {
+    await deliveryZoneService.deleteZone(req.params.id);
+    res.json({ message: "Delivery zone deleted" });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Delete delivery zone error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = router;
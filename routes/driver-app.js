@@ -0,0 +1,387 @@
+const express = require("express");
+const { body, validationResult, query } = require("express-validator");
+const rateLimit = require("express-rate-limit");
+const getPrismaClient = require("../lib/prisma");
+const { authenticateDriver } = require("../middleware/driverAuth");
+const driverAuthService = require("../services/driverAuthService");
+const deliveryAttemptService = require("../services/deliveryAttemptService");
+const { sendServiceError } = require("../lib/errors");
+const multer = require("multer");
+const { v2: cloudinary } = require("cloudinary");
+
+const router = express.Router();
+const prisma = getPrismaClient();
+
+// Configure multer for delivery photos and signatures
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith("image/")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only image files are allowed"), false);
+    }
+  },
+});
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Upload image to Cloudinary
+const uploadToCloudinary = (buffer, originalname, prefix) => {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        resource_type: "image",
+        folder: "delivery-proofs",
+        public_id: `${prefix}-${Date.now()}-${originalname.split(".")[0]}`,
+        transformation: [
+          { width: 800, height: 800, crop: "limit" },
+          { quality: "auto" },
+        ],
+      },
+      (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result.secure_url);
+        }
+      }
+    );
+    uploadStream.end(buffer);
+  });
+};
+
+// A 4-6 digit PIN is easy to guess, so login attempts are throttled hard
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  handler: (req, res) => {
+    res.status(429).json({
+      message: "Too many login attempts, please try again later.",
+    });
+  },
+});
+
+const proofUpload = upload.fields([
+  { name: "photo", maxCount: 1 },
+  { name: "signature", maxCount: 1 },
+]);
+
+// Upload whichever proof images came with the request
+const uploadProofs = async (files = {}) => {
+  const [photo] = files.photo || [];
+  const [signature] = files.signature || [];
+  const [proofUrl, signatureUrl] = await Promise.all([
+    photo
+      ? uploadToCloudinary(photo.buffer, photo.originalname, "delivery")
+      : null,
+    signature
+      ? uploadToCloudinary(
+          signature.buffer,
+          signature.originalname,
+          "signature"
+        )
+      : null,
+  ]);
+  return { proofUrl, signatureUrl };
+};
+
+// What a driver sees of an order
+const DRIVER_ORDER_SELECT = {
+  id: true,
+  customerName: true,
+  customerPhone: true,
+  customerLocation: true,
+  province: true,
+  remark: true,
+  state: true,
+  isPaid: true,
+  totalPrice: true,
+  assignedAt: true,
+  completedAt: true,
+  returnedAt: true,
+  orderItems: {
+    select: {
+      quantity: true,
+      price: true,
+      optionDetails: true,
+      product: { select: { name: true, imageUrl: true } },
+    },
+  },
+  deliveryAttempts: {
+    orderBy: { attemptedAt: "asc" },
+    select: {
+      id: true,
+      outcome: true,
+      note: true,
+      rescheduledFor: true,
+      proofUrl: true,
+      signatureUrl: true,
+      attemptedAt: true,
+    },
+  },
+};
+
+// Cash the driver has to collect at the door
+const toDriverOrder = (order) => ({
+  ...order,
+  codAmount: order.isPaid ? 0 : order.totalPrice,
+});
+
+// POST /api/driver-app/login - Exchange phone + PIN for a driver token
+router.post(
+  "/login",
+  loginLimiter,
+  [
+    body("phone").trim().notEmpty().withMessage("Phone number is required"),
+    body("pin").isString().notEmpty().withMessage("PIN is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { driver, token } = await driverAuthService.login(
+        req.body.phone,
+        req.body.pin
+      );
+
+      res.json({ message: "Login successful", driver, token });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Driver login error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Everything below is for a logged-in driver
+router.use(authenticateDriver);
+
+// GET /api/driver-app/me - The logged-in driver
+router.get("/me", (req, res) => {
+  res.json({ driver: req.driver });
+});
+
+// GET /api/driver-app/orders - The driver's own orders, DELIVERING by default
+router.get(
+  "/orders",
+  [
+    query("state")
+      .optional()
+      .isIn(["DELIVERING", "COMPLETED", "RETURNED"])
+      .withMessage("State must be DELIVERING, COMPLETED or RETURNED"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const state = req.query.state || "DELIVERING";
+      const where = { driverId: req.driver.id, state };
+
+      const [orders, total] = await Promise.all([
+        prisma.order.findMany({
+          where,
+          orderBy:
+            state === "DELIVERING"
+              ? [{ assignedAt: "asc" }, { id: "asc" }]
+              : [{ assignedAt: "desc" }, { id: "desc" }],
+          skip: (page - 1) * limit,
+          take: limit,
+          select: DRIVER_ORDER_SELECT,
+        }),
+        prisma.order.count({ where }),
+      ]);
+
+      res.json({
+        orders: orders.map(toDriverOrder),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      console.error("Get driver orders error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/driver-app/orders/:id - One of the driver's orders
+router.get("/orders/:id", async (req, res) => {
+  try {
+    const order = await prisma.order.findFirst({
+      where: { id: req.params.id, driverId: req.driver.id },
+      select: DRIVER_ORDER_SELECT,
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.json({ order: toDriverOrder(order) });
+  } catch (error) {
+    console.error("Get driver order error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/driver-app/orders/:id/deliver - Mark an order delivered with a
+// delivery photo and/or the customer's signature (multipart: photo,
+// signature). Completes the order.
+router.post(
+  "/orders/:id/deliver",
+  proofUpload,
+  [body("note").optional().isString().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      // Reject before uploading anything
+      await deliveryAttemptService.getAttemptableOrder(req.params.id, {
+        driverId: req.driver.id,
+      });
+
+      if (!req.files?.photo && !req.files?.signature) {
+        return res
+          .status(400)
+          .json({ message: "A delivery photo or signature is required" });
+      }
+
+      let proofs;
+      try {
+        proofs = await uploadProofs(req.files);
+      } catch (uploadError) {
+        console.error("Cloudinary upload error:", uploadError);
+        return res
+          .status(500)
+          .json({ message: "Failed to upload proof of delivery" });
+      }
+
+      const result = await deliveryAttemptService.record(req.params.id, {
+        outcome: "DELIVERED",
+        note: req.body.note || null,
+        ...proofs,
+        actor: req.driver,
+        actorType: "DRIVER",
+      });
+
+      res.status(201).json({
+        message: "Order delivered successfully",
+        ...result,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Driver deliver order error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/driver-app/orders/:id/fail - Log a failed or rescheduled
+// delivery (multipart: optional photo). Too many failures return the order.
+router.post(
+  "/orders/:id/fail",
+  upload.single("photo"),
+  [
+    body("outcome")
+      .isIn(["NO_ANSWER", "REFUSED", "WRONG_ADDRESS", "RESCHEDULED"])
+      .withMessage(
+        "Outcome must be NO_ANSWER, REFUSED, WRONG_ADDRESS or RESCHEDULED"
+      ),
+    body("note").optional().isString().trim().isLength({ max: 500 }),
+    body("rescheduledFor")
+      .optional()
+      .isISO8601()
+      .withMessage("Rescheduled date must be a valid ISO 8601 date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      await deliveryAttemptService.getAttemptableOrder(req.params.id, {
+        driverId: req.driver.id,
+      });
+
+      let proofUrl = null;
+      if (req.file) {
+        try {
+          proofUrl = await uploadToCloudinary(
+            req.file.buffer,
+            req.file.originalname,
+            "attempt"
+          );
+        } catch (uploadError) {
+          console.error("Cloudinary upload error:", uploadError);
+          return res.status(500).json({ message: "Failed to upload photo" });
+        }
+      }
+
+      const { outcome, note, rescheduledFor } = req.body;
+      const result = await deliveryAttemptService.record(req.params.id, {
+        outcome,
+        note: note || null,
+        rescheduledFor: rescheduledFor ? new Date(rescheduledFor) : null,
+        proofUrl,
+        actor: req.driver,
+        actorType: "DRIVER",
+      });
+
+      res.status(201).json({
+        message: result.autoReturned
+          ? "Delivery attempt logged; order returned after too many failed attempts"
+          : "Delivery attempt logged successfully",
+        ...result,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Driver failed delivery error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require("express");
-const { body, validationResult, query } = require("express-validator");
+const { body, param, validationResult, query } = require("express-validator");
 const getPrismaClient = require("../lib/prisma");
 const {
   authenticateUser,
@@ -8,8 +8,17 @@ const {
   requireEditDrivers,
   requireDeleteDrivers,
   requireDriversForOrders,
+  requireViewOrders,
+  requireEditOrders,
 } = require("../middleware/permissions");
 const { cacheMiddleware, clearCache } = require("../middleware/cache");
+const manifestService = require("../services/manifestService");
+const settlementService = require("../services/settlementService");
+const analyticsService = require("../services/analyticsService");
+const driverAuthService = require("../services/driverAuthService");
+const orderDocumentService = require("../services/orderDocumentService");
+const { sendServiceError } = require("../lib/errors");
+const { isValidTimezone, resolveTimezone } = require("../lib/timezone");
 
 const router = express.Router();
 const prisma = getPrismaClient();
@@ -132,6 +141,550 @@ router.get("/all", cacheMiddleware(600), requireDriversForOrders, async (req, re
   }
 });
 
+const manifestDayValidation = [
+  query("date")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("Invalid date format. Use YYYY-MM-DD"),
+  query("tz")
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage("Invalid timezone"),
+  query("format").optional().isIn(["json", "pdf"]),
+];
+
+// Answer with a manifest as JSON, or as a printable PDF with ?format=pdf
+const sendManifest = async (req, res, manifest, status = 200) => {
+  if (req.query.format !== "pdf") {
+    return res.status(status).json({ manifest });
+  }
+  const pdf = await orderDocumentService.renderManifest(manifest);
+  const name = manifest.number
+    ? `manifest-${manifest.number}`
+    : `run-sheet-${manifest.date}`;
+  res.status(status);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${name}.pdf"`);
+  res.setHeader("Cache-Control", "no-store");
+  res.send(pdf);
+};
+
+// GET /api/drivers/manifests - Frozen manifests, newest first
+router.get(
+  "/manifests",
+  requireViewOrders,
+  [
+    query("driverId").optional().isString().trim(),
+    query("date")
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage("Invalid date format. Use YYYY-MM-DD"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const result = await manifestService.listManifests({
+        driverId: req.query.driverId,
+        date: req.query.date,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error("Get manifests error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/drivers/manifests/:number - One frozen manifest (?format=pdf)
+router.get(
+  "/manifests/:number",
+  requireViewOrders,
+  [
+    param("number")
+      .isInt({ min: 1 })
+      .withMessage("Manifest number must be a positive integer"),
+    query("format").optional().isIn(["json", "pdf"]),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const manifest = await manifestService.getManifest(
+        parseInt(req.params.number)
+      );
+      await sendManifest(req, res, manifest);
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get manifest error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/drivers/:id/manifest - The driver's DELIVERING orders assigned on
+// a store-timezone day (today by default), with totals (?format=pdf)
+router.get(
+  "/:id/manifest",
+  requireViewOrders,
+  manifestDayValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const manifest = await manifestService.getLiveManifest(req.params.id, {
+        date: req.query.date,
+        timeZone: resolveTimezone(req.query.tz),
+      });
+      await sendManifest(req, res, manifest);
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get driver manifest error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/drivers/:id/manifests - Freeze the driver's dispatched orders
+// for a day (?date, default today) into a numbered manifest (?format=pdf to
+// print it)
+router.post(
+  "/:id/manifests",
+  requireEditOrders,
+  manifestDayValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const manifest = await manifestService.freeze(req.params.id, {
+        date: req.query.date,
+        timeZone: resolveTimezone(req.query.tz),
+        actor: req.user,
+      });
+      await sendManifest(req, res, manifest, 201);
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Freeze driver manifest error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+const settlementNumberValidation = [
+  param("number")
+    .isInt({ min: 1 })
+    .withMessage("Settlement number must be a positive integer"),
+];
+
+// GET /api/drivers/balances - Cash each driver owes: unsettled orders plus
+// shortfalls carried over from closed settlements
+router.get("/balances", requireViewOrders, async (req, res) => {
+  try {
+    const balances = await settlementService.getBalances();
+    res.json({ balances });
+  } catch (error) {
+    console.error("Get driver balances error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/drivers/settlements - Settlements, newest first
+router.get(
+  "/settlements",
+  requireViewOrders,
+  [
+    query("driverId").optional().isString().trim(),
+    query("status").optional().isIn(["OPEN", "CLOSED", "CANCELLED"]),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const result = await settlementService.listSettlements({
+        driverId: req.query.driverId,
+        status: req.query.status,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error("Get settlements error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/drivers/settlements/:number - Settlement with its orders
+router.get(
+  "/settlements/:number",
+  requireViewOrders,
+  settlementNumberValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const settlement = await settlementService.getSettlement(
+        parseInt(req.params.number)
+      );
+      res.json({ settlement });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get settlement error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/drivers/settlements/:number/close - Record the cash received and
+// settle the driver's orders (all unsettled ones, or `orderIds`)
+router.post(
+  "/settlements/:number/close",
+  requireEditOrders,
+  [
+    ...settlementNumberValidation,
+    body("amountReceived")
+      .isFloat({ min: 0 })
+      .withMessage("Amount received must be a positive number"),
+    body("orderIds").optional().isArray({ min: 1 }),
+    body("orderIds.*").optional().isString(),
+    body("note").optional().isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const settlement = await settlementService.close(
+        parseInt(req.params.number),
+        {
+          amountReceived: parseFloat(req.body.amountReceived),
+          orderIds: req.body.orderIds || null,
+          note: req.body.note,
+          actor: req.user,
+        }
+      );
+
+      res.json({ message: "Settlement closed successfully", settlement });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Close settlement error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/drivers/settlements/:number/cancel - Abandon an open settlement
+router.post(
+  "/settlements/:number/cancel",
+  requireEditOrders,
+  settlementNumberValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const settlement = await settlementService.cancel(
+        parseInt(req.params.number),
+        { actor: req.user }
+      );
+
+      res.json({ message: "Settlement cancelled successfully", settlement });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Cancel settlement error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/drivers/:id/unsettled - The driver's COMPLETED and RETURNED
+// orders not yet settled, with the cash owed for them
+router.get("/:id/unsettled", requireViewOrders, async (req, res) => {
+  try {
+    const result = await settlementService.getUnsettled(req.params.id);
+    res.json(result);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Get unsettled orders error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/drivers/:id/balance - Outstanding balance for one driver
+router.get("/:id/balance", requireViewOrders, async (req, res) => {
+  try {
+    const [balance] = await settlementService.getBalances({
+      driverId: req.params.id,
+    });
+    res.json({ balance });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Get driver balance error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/drivers/:id/settlements - Open a settlement for the driver
+router.post(
+  "/:id/settlements",
+  requireEditOrders,
+  [body("note").optional().isString().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const settlement = await settlementService.open(req.params.id, {
+        actor: req.user,
+        note: req.body.note || null,
+      });
+
+      res.status(201).json({
+        message: "Settlement opened successfully",
+        settlement,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Open settlement error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// Date range (store-timezone days, default last 30) for performance stats
+const performanceValidation = [
+  query("dateFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format for dateFrom. Use YYYY-MM-DD"),
+  query("dateTo")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format for dateTo. Use YYYY-MM-DD"),
+  query("tz")
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage("Invalid timezone"),
+];
+
+// GET /api/drivers/performance - Drivers ranked on orders assigned in a date
+// range, optionally within one province
+router.get(
+  "/performance",
+  cacheMiddleware(120),
+  requireViewDrivers,
+  [
+    ...performanceValidation,
+    query("sort")
+      .optional()
+      .isIn([
+        "completed",
+        "assigned",
+        "revenue",
+        "returnRate",
+        "averageDeliveryHours",
+      ])
+      .withMessage(
+        "Sort must be completed, assigned, revenue, returnRate or averageDeliveryHours"
+      ),
+    query("province").optional().isString().trim(),
+    query("minOrders")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("minOrders must be a non-negative integer"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const range = analyticsService.resolveRange(
+        req.query,
+        30,
+        resolveTimezone(req.query.tz)
+      );
+      const sort = req.query.sort || "completed";
+      const leaderboard = await analyticsService.getDriverLeaderboard(range, {
+        sort,
+        province: req.query.province,
+        minOrders: parseInt(req.query.minOrders) || 0,
+      });
+
+      res.json({
+        range: { from: range.from, to: range.to, timeZone: range.timeZone },
+        sort,
+        province: req.query.province || null,
+        leaderboard,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get driver leaderboard error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/drivers/:id/performance - One driver's delivery stats for orders
+// assigned in a date range, with a province breakdown
+router.get(
+  "/:id/performance",
+  cacheMiddleware(120),
+  requireViewDrivers,
+  performanceValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const range = analyticsService.resolveRange(
+        req.query,
+        30,
+        resolveTimezone(req.query.tz)
+      );
+      const performance = await analyticsService.getDriverPerformance(
+        req.params.id,
+        range
+      );
+
+      res.json({
+        range: { from: range.from, to: range.to, timeZone: range.timeZone },
+        ...performance,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get driver performance error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// PUT /api/drivers/:id/pin - Set or replace the driver's app login PIN.
+// Replacing it signs the driver out of the app.
+router.put(
+  "/:id/pin",
+  requireEditDrivers,
+  [
+    body("pin")
+      .matches(/^\d{4,6}$/)
+      .withMessage("PIN must be 4 to 6 digits"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const result = await driverAuthService.setPin(
+        req.params.id,
+        req.body.pin
+      );
+
+      res.json({ message: "Driver PIN set successfully", ...result });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Set driver PIN error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// DELETE /api/drivers/:id/pin - Revoke the driver's app access
+router.delete("/:id/pin", requireEditDrivers, async (req, res) => {
+  try {
+    await driverAuthService.clearPin(req.params.id);
+    res.json({ message: "Driver PIN removed successfully" });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Remove driver PIN error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 // GET /api/drivers/:id - Get single driver
 router.get("/:id", requireDriversForOrders, async (req, res) => {
   try {
@@ -143,7 +696,6 @@ router.get("/:id", requireDriversForOrders, async (req, res) => {
         orders: {
           select: {
             id: true,
-            orderNumber: true,
             customerName: true,
             state: true,
             totalPrice: true,
@@ -152,6 +704,9 @@ router.get("/:id", requireDriversForOrders, async (req, res) => {
           orderBy: { orderAt: "desc" },
           take: 10,
         },
+        credential: {
+          select: { pinHash: true, lastLogin: true, updatedAt: true },
+        },
         _count: {
           select: { orders: true },
         },
@@ -162,7 +717,10 @@ router.get("/:id", requireDriversForOrders, async (req, res) => {
       return res.status(404).json({ message: "Driver not found" });
     }
 
-    res.json({ driver });
+    // A removed PIN leaves its credential row behind; report it as unset
+    const { credential, ...rest } = driver;
+    const { pinHash, ...login } = credential || {};
+    res.json({ driver: { ...rest, credential: pinHash ? login : null } });
   } catch (error) {
     console.error("Get driver error:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -267,19 +825,24 @@ router.delete("/:id", requireDeleteDrivers, async (req, res) => {
       return res.status(404).json({ message: "Driver not found" });
     }
 
-    // Store the driver name in orders before deleting
-    // This allows us to display "Deleted Driver: [name]" after deletion
-    if (existingDriver._count.orders > 0) {
-      await prisma.order.updateMany({
-        where: { driverId: id },
-        data: { deletedDriverName: existingDriver.name },
-      });
-    }
+    await prisma.$transaction(async (tx) => {
+      // Orders whose cash is still owed must stay on the driver until settled
+      await settlementService.assertNothingOutstanding(id, tx);
 
-    // Now delete the driver
-    // The driverId will be automatically set to null due to foreign key constraint
-    await prisma.driver.delete({
-      where: { id },
+      // Store the driver name in orders before deleting
+      // This allows us to display "Deleted Driver: [name]" after deletion
+      if (existingDriver._count.orders > 0) {
+        await tx.order.updateMany({
+          where: { driverId: id },
+          data: { deletedDriverName: existingDriver.name },
+        });
+      }
+
+      // Now delete the driver
+      // The driverId will be automatically set to null due to foreign key constraint
+      await tx.driver.delete({
+        where: { id },
+      });
     });
 
     // Clear driver cache
@@ -290,6 +853,7 @@ router.delete("/:id", requireDeleteDrivers, async (req, res) => {
       ordersAffected: existingDriver._count.orders
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error("Delete driver error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
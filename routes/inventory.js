@@ -0,0 +1,281 @@
+const express = require("express");
+const { body, validationResult, query } = require("express-validator");
+const {
+  authenticateUser,
+  requireViewProducts,
+  requireEditProducts,
+} = require("../middleware/permissions");
+const inventoryLedgerService = require("../services/inventoryLedgerService");
+const reservationService = require("../services/reservationService");
+const { sendServiceError } = require("../lib/errors");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateUser);
+
+const MOVEMENT_REASONS = [
+  "ORDER_DEDUCT",
+  "ORDER_RETURN",
+  "MANUAL_ADJUST",
+  "STOCKTAKE",
+  "IMPORT",
+];
+
+// Reasons staff may use for hand-made movements; order reasons are reserved
+// for the order lifecycle
+const MANUAL_REASONS = ["MANUAL_ADJUST", "STOCKTAKE", "IMPORT"];
+
+// A SKU is addressed by productId, variantId or both
+const skuValidation = [
+  body("productId").optional().isString().trim().notEmpty(),
+  body("variantId").optional().isString().trim().notEmpty(),
+  body().custom((value) => {
+    if (!value.productId && !value.variantId) {
+      throw new Error("productId or variantId is required");
+    }
+    return true;
+  }),
+];
+
+// GET /api/inventory/movements - Stock movement history, newest first
+router.get(
+  "/movements",
+  requireViewProducts,
+  [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage("Limit must be between 1 and 200"),
+    query("productId").optional().isString().trim(),
+    query("variantId").optional().isString().trim(),
+    query("orderId").optional().isString().trim(),
+    query("reason").optional().isIn(MOVEMENT_REASONS),
+    query("dateFrom")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid date format for dateFrom"),
+    query("dateTo")
+      .optional()
+      .isISO8601()
+      .withMessage("Invalid date format for dateTo"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const result = await inventoryLedgerService.getMovements({
+        ...req.query,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error("Get stock movements error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/inventory/reconcile - Compare on-hand stock with the ledger.
+// With productId/variantId: one SKU. Without: every SKU that drifted.
+router.get("/reconcile", requireViewProducts, async (req, res) => {
+  try {
+    const { productId, variantId } = req.query;
+
+    if (!productId && !variantId) {
+      const drift = await inventoryLedgerService.findDrift();
+      return res.json({ isBalanced: drift.length === 0, drift });
+    }
+
+    const result = await inventoryLedgerService.reconcile({
+      productId,
+      variantId,
+    });
+    res.json(result);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Reconcile stock error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/inventory/reconcile - Book a SKU's drift as a STOCKTAKE movement
+router.post(
+  "/reconcile",
+  requireEditProducts,
+  [
+    ...skuValidation,
+    body("note").optional().isString().trim().isLength({ max: 300 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { productId, variantId, note } = req.body;
+      const result = await inventoryLedgerService.reconcile({
+        productId,
+        variantId,
+        apply: true,
+        userId: req.user.id,
+        note,
+      });
+
+      res.json({
+        message: result.correction
+          ? "Ledger reconciled"
+          : "Ledger already matches stock",
+        ...result,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Apply stock reconciliation error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/inventory/adjust - Add or remove stock by a delta
+router.post(
+  "/adjust",
+  requireEditProducts,
+  [
+    ...skuValidation,
+    body("delta")
+      .isInt()
+      .custom((value) => parseInt(value) !== 0)
+      .withMessage("Delta must be a non-zero integer"),
+    body("reason").optional().isIn(MANUAL_REASONS),
+    body("note").optional().isString().trim().isLength({ max: 300 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { productId, variantId, delta, reason, note } = req.body;
+      const { sku, movement } = await inventoryLedgerService.adjustStock({
+        productId,
+        variantId,
+        delta: parseInt(delta),
+        reason,
+        userId: req.user.id,
+        note,
+      });
+
+      res.status(201).json({ message: "Stock adjusted", sku, movement });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Adjust stock error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/inventory/stocktake - Set a SKU to the physically counted quantity
+router.post(
+  "/stocktake",
+  requireEditProducts,
+  [
+    ...skuValidation,
+    body("quantity")
+      .isInt({ min: 0 })
+      .withMessage("Quantity must be a non-negative integer"),
+    body("note").optional().isString().trim().isLength({ max: 300 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { productId, variantId, quantity, note } = req.body;
+      const { sku, movement } = await inventoryLedgerService.setStock({
+        productId,
+        variantId,
+        quantity: parseInt(quantity),
+        reason: "STOCKTAKE",
+        userId: req.user.id,
+        note,
+      });
+
+      res.json({
+        message: movement ? "Stock updated" : "Stock already matches count",
+        sku,
+        movement,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Stocktake error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/inventory/reservations - Active stock reservations
+router.get(
+  "/reservations",
+  requireViewProducts,
+  [
+    query("productId").optional().isString().trim(),
+    query("variantId").optional().isString().trim(),
+    query("orderId").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const reservations = await reservationService.getActive(req.query);
+      res.json({ reservations });
+    } catch (error) {
+      console.error("Get reservations error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/inventory/reservations/expire - Release reservations past expiry.
+// Also available as `npm run reservations:expire` for cron.
+router.post("/reservations/expire", requireEditProducts, async (req, res) => {
+  try {
+    const expired = await reservationService.expireStale();
+    res.json({ message: `Expired ${expired} reservation(s)`, expired });
+  } catch (error) {
+    console.error("Expire reservations error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require("express");
-const { body, validationResult, query } = require("express-validator");
+const { body, param, validationResult, query } = require("express-validator");
 const getPrismaClient = require("../lib/prisma");
 const {
   authenticateUser,
@@ -8,7 +8,30 @@ const {
   requireEditOrders,
   requireDeleteOrders,
 } = require("../middleware/permissions");
-const stockManagementService = require("../services/stockManagementService");
+const orderHistoryService = require("../services/orderHistoryService");
+const orderLifecycleService = require("../services/orderLifecycleService");
+const reservationService = require("../services/reservationService");
+const orderExportService = require("../services/orderExportService");
+const orderImportService = require("../services/orderImportService");
+const orderDocumentService = require("../services/orderDocumentService");
+const deliveryAttemptService = require("../services/deliveryAttemptService");
+const driverAssignmentService = require("../services/driverAssignmentService");
+const orderBulkService = require("../services/orderBulkService");
+const blacklistService = require("../services/blacklistService");
+const customerService = require("../services/customerService");
+const deliveryRateService = require("../services/deliveryRateService");
+const checkoutService = require("../services/checkoutService");
+const { ServiceError, sendServiceError } = require("../lib/errors");
+const { generateOrderId } = require("../lib/orderId");
+const { normalizePhone } = require("../lib/phone");
+const { round2 } = require("../lib/pricing");
+const {
+  STORE_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getDayRange,
+  formatZoned,
+} = require("../lib/timezone");
 const { cacheMiddleware } = require("../middleware/cache");
 const multer = require("multer");
 const { v2: cloudinary } = require("cloudinary");
@@ -26,6 +49,23 @@ const upload = multer({
   },
 });
 
+// CSV uploads for bulk order import
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype === "text/csv" ||
+      file.mimetype === "application/vnd.ms-excel" ||
+      file.originalname.toLowerCase().endsWith(".csv")
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only CSV files are allowed"), false);
+    }
+  },
+});
+
 // Configure Cloudinary
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -86,16 +126,22 @@ const orderValidation = [
   body("state")
     .optional()
     .isIn(["PLACED", "DELIVERING", "RETURNED", "COMPLETED", "CANCELLED"]),
+  // Totals and delivery are computed on the server; older clients still
+  // send them
   body("subtotalPrice")
+    .optional()
     .isFloat({ min: 0 })
     .withMessage("Subtotal price must be positive"),
   body("companyDeliveryPrice")
+    .optional()
     .isFloat({ min: 0 })
     .withMessage("Company delivery price must be positive"),
   body("deliveryPrice")
+    .optional()
     .isFloat({ min: 0 })
     .withMessage("Delivery price must be positive"),
   body("totalPrice")
+    .optional()
     .isFloat({ min: 0 })
     .withMessage("Total price must be positive"),
   body("isPaid").optional().isBoolean(),
@@ -108,11 +154,147 @@ const orderValidation = [
   body("products.*.quantity")
     .isInt({ min: 1 })
     .withMessage("Quantity must be positive"),
+  // Lines are priced on the server; older clients still send a price
   body("products.*.price")
+    .optional()
     .isFloat({ min: 0 })
     .withMessage("Price must be positive"),
+  // Manual line price on edits, recorded in the order history
+  body("products.*.priceOverride")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Price override must be positive"),
+  body("overrideBlacklist").optional().isBoolean(),
+];
+
+// Filters shared by the order list and the order export
+const orderFilterValidation = [
+  query("state")
+    .optional()
+    .isIn(["PLACED", "DELIVERING", "RETURNED", "COMPLETED", "CANCELLED"]),
+  query("search").optional().trim(),
+  query("sortBy")
+    .optional()
+    .isIn([
+      "id",
+      "orderAt",
+      "customerName",
+      "province",
+      "subtotalPrice",
+      "totalPrice",
+      "state",
+    ]),
+  query("sortOrder").optional().isIn(["asc", "desc"]),
+  query("dateFrom")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/),
+  query("dateTo")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/),
+  query("tz")
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage("Invalid timezone"),
+  query("assignedOnly").optional().isBoolean(),
+  query("allSources").optional().isBoolean(),
+  query("orderSource").optional().isIn(["ADMIN", "CUSTOMER", "PICKUP"]),
+  query("heldForReview").optional().isBoolean(),
 ];
 
+/**
+ * Build the Prisma `where` and `orderBy` for the order list filters.
+ * Throws a ServiceError when the date range cannot be parsed.
+ */
+const buildOrderQuery = (params) => {
+  const state = params.state;
+  const search = params.search;
+  const sortBy = params.sortBy || "orderAt";
+  const sortOrder = params.sortOrder || "desc";
+  const dateFrom = params.dateFrom;
+  const dateTo = params.dateTo;
+  const assignedOnly = params.assignedOnly === "true";
+  const allSources = params.allSources === "true";
+  const orderSource = params.orderSource;
+
+  // Build where clause
+  const where = {};
+
+  // Handle orderSource filtering
+  // 1. If orderSource param is provided, use it explicitly (for pickup-orders page)
+  // 2. Otherwise, only filter by orderSource if not fetching assigned orders or all sources
+  // When assignedOnly is true, we want all orders (ADMIN + CUSTOMER) that have assignedAt
+  // When allSources is true, we want all orders regardless of source (for dashboard)
+  if (orderSource) {
+    where.orderSource = orderSource; // Explicit filter (e.g., PICKUP for pickup-orders page)
+  } else if (!assignedOnly && !allSources) {
+    where.orderSource = "ADMIN"; // Only admin created orders for regular orders page
+  }
+
+  if (state) {
+    where.state = state;
+  }
+
+  if (params.heldForReview !== undefined) {
+    where.heldForReview = params.heldForReview === "true";
+  }
+
+  if (search) {
+    where.OR = [
+      { id: { contains: search, mode: "insensitive" } },
+      { customerName: { contains: search, mode: "insensitive" } },
+      { customerPhone: { contains: search, mode: "insensitive" } },
+      { customerLocation: { contains: search, mode: "insensitive" } },
+      { province: { contains: search, mode: "insensitive" } },
+    ];
+  }
+
+  // Date filtering
+  if (dateFrom || dateTo) {
+    const dateField = assignedOnly ? "assignedAt" : "orderAt";
+    where[dateField] = {};
+
+    // Whole days in the store timezone (or the `tz` override)
+    const range = getDayRange(dateFrom, dateTo, resolveTimezone(params.tz));
+    if (!range) {
+      throw new ServiceError("Invalid date format. Use YYYY-MM-DD");
+    }
+    if (range.from) {
+      where[dateField].gte = range.from;
+    }
+    if (range.to) {
+      where[dateField].lt = range.to;
+    }
+  }
+
+  // Filter for assigned orders only
+  if (assignedOnly) {
+    where.assignedAt = {
+      ...where.assignedAt,
+      not: null,
+    };
+  }
+
+  // Build orderBy object
+  const orderBy = {};
+
+  // Map frontend sort fields to database fields
+  const sortFieldMap = {
+    id: "id",
+    orderAt: "orderAt",
+    assignedAt: "assignedAt",
+    customerName: "customerName",
+    province: "province",
+    subtotalPrice: "subtotalPrice",
+    totalPrice: "totalPrice",
+    state: "state",
+  };
+
+  const dbSortField = sortFieldMap[sortBy] || "orderAt";
+  orderBy[dbSortField] = sortOrder.toLowerCase() === "asc" ? "asc" : "desc";
+
+  return { where, orderBy };
+};
+
 // GET /api/orders - Get all orders with pagination and filtering
 router.get(
   "/",
@@ -126,31 +308,7 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 5000 })
       .withMessage("Limit must be between 1 and 5000"),
-    query("state")
-      .optional()
-      .isIn(["PLACED", "DELIVERING", "RETURNED", "COMPLETED", "CANCELLED"]),
-    query("search").optional().trim(),
-    query("sortBy")
-      .optional()
-      .isIn([
-        "id",
-        "orderAt",
-        "customerName",
-        "province",
-        "subtotalPrice",
-        "totalPrice",
-        "state",
-      ]),
-    query("sortOrder").optional().isIn(["asc", "desc"]),
-    query("dateFrom")
-      .optional()
-      .matches(/^\d{4}-\d{2}-\d{2}$/),
-    query("dateTo")
-      .optional()
-      .matches(/^\d{4}-\d{2}-\d{2}$/),
-    query("assignedOnly").optional().isBoolean(),
-    query("allSources").optional().isBoolean(),
-    query("orderSource").optional().isIn(["ADMIN", "CUSTOMER", "PICKUP"]),
+    ...orderFilterValidation,
   ],
   async (req, res) => {
     try {
@@ -165,108 +323,16 @@ router.get(
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
       const skip = (page - 1) * limit;
-      const state = req.query.state;
-      const search = req.query.search;
-      const sortBy = req.query.sortBy || "orderAt";
-      const sortOrder = req.query.sortOrder || "desc";
-      const dateFrom = req.query.dateFrom;
-      const dateTo = req.query.dateTo;
-      const assignedOnly = req.query.assignedOnly === "true";
-      const allSources = req.query.allSources === "true";
-      const orderSource = req.query.orderSource;
 
       // Prevent large queries without date filtering
-      if (limit > 500 && !dateFrom && !dateTo) {
+      if (limit > 500 && !req.query.dateFrom && !req.query.dateTo) {
         return res.status(400).json({
           message:
             "Large limit requests require date filtering for performance",
         });
       }
 
-      // Build where clause
-      const where = {};
-
-      // Handle orderSource filtering
-      // 1. If orderSource param is provided, use it explicitly (for pickup-orders page)
-      // 2. Otherwise, only filter by orderSource if not fetching assigned orders or all sources
-      // When assignedOnly is true, we want all orders (ADMIN + CUSTOMER) that have assignedAt
-      // When allSources is true, we want all orders regardless of source (for dashboard)
-      if (orderSource) {
-        where.orderSource = orderSource; // Explicit filter (e.g., PICKUP for pickup-orders page)
-      } else if (!assignedOnly && !allSources) {
-        where.orderSource = "ADMIN"; // Only admin created orders for regular orders page
-      }
-
-      if (state) {
-        where.state = state;
-      }
-
-      if (search) {
-        where.OR = [
-          { id: { contains: search, mode: "insensitive" } },
-          { customerName: { contains: search, mode: "insensitive" } },
-          { customerPhone: { contains: search, mode: "insensitive" } },
-          { customerLocation: { contains: search, mode: "insensitive" } },
-          { province: { contains: search, mode: "insensitive" } },
-        ];
-      }
-
-      // Date filtering
-      if (dateFrom || dateTo) {
-        const dateField = assignedOnly ? "assignedAt" : "orderAt";
-        where[dateField] = {};
-
-        if (dateFrom) {
-          // Validate and parse dateFrom
-          const fromDate = new Date(dateFrom);
-          if (isNaN(fromDate.getTime())) {
-            return res.status(400).json({
-              message: "Invalid dateFrom format. Use YYYY-MM-DD",
-            });
-          }
-          // Set to start of day in UTC
-          fromDate.setHours(0, 0, 0, 0);
-          where[dateField].gte = fromDate;
-        }
-        if (dateTo) {
-          // Validate and parse dateTo
-          const toDate = new Date(dateTo);
-          if (isNaN(toDate.getTime())) {
-            return res.status(400).json({
-              message: "Invalid dateTo format. Use YYYY-MM-DD",
-            });
-          }
-          // Set to end of day in UTC
-          toDate.setHours(23, 59, 59, 999);
-          where[dateField].lte = toDate;
-        }
-      }
-
-      // Filter for assigned orders only
-      if (assignedOnly) {
-        where.assignedAt = {
-          ...where.assignedAt,
-          not: null,
-        };
-      }
-
-      // Build orderBy object
-      const orderBy = {};
-
-      // Map frontend sort fields to database fields
-      const sortFieldMap = {
-        id: "id",
-        orderAt: "orderAt",
-        assignedAt: "assignedAt",
-        customerName: "customerName",
-        province: "province",
-        subtotalPrice: "subtotalPrice",
-        totalPrice: "totalPrice",
-        state: "state",
-      };
-
-      const dbSortField = sortFieldMap[sortBy] || "orderAt";
-      orderBy[dbSortField] = sortOrder.toLowerCase() === "asc" ? "asc" : "desc";
+      const { where, orderBy } = buildOrderQuery(req.query);
 
       // Get orders with pagination - optimized includes and parallel execution
       const queries = [
@@ -337,12 +403,63 @@ router.get(
         },
       });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error("Get orders error:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   }
 );
 
+// GET /api/orders/export - Download the filtered order list as CSV or XLSX,
+// one line per order (mode=order) or per order item (mode=item)
+router.get(
+  "/export",
+  requireViewOrders,
+  [
+    ...orderFilterValidation,
+    query("format")
+      .optional()
+      .isIn(["csv", "xlsx"])
+      .withMessage("Format must be csv or xlsx"),
+    query("mode")
+      .optional()
+      .isIn(["order", "item"])
+      .withMessage("Mode must be order or item"),
+    query("columns").optional().isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { where, orderBy } = buildOrderQuery(req.query);
+
+      await orderExportService.streamExport(res, {
+        where,
+        orderBy,
+        format: req.query.format || "csv",
+        mode: req.query.mode || "order",
+        columns: req.query.columns,
+        timeZone: resolveTimezone(req.query.tz),
+      });
+    } catch (error) {
+      // Once the file has started there is no way to report a JSON error
+      if (res.headersSent) {
+        console.error("Export orders stream error:", error);
+        return res.destroy(error);
+      }
+      if (sendServiceError(res, error)) return;
+      console.error("Export orders error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 // GET /api/orders/:id - Get single order
 router.get("/:id", requireViewOrders, async (req, res) => {
   try {
@@ -379,6 +496,99 @@ router.get("/:id", requireViewOrders, async (req, res) => {
   }
 });
 
+// GET /api/orders/:id/history - Get the audit timeline of an order
+router.get("/:id/history", requireViewOrders, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [order, events] = await Promise.all([
+      prisma.order.findUnique({
+        where: { id },
+        select: { id: true, state: true, orderSource: true },
+      }),
+      orderHistoryService.getHistory(id),
+    ]);
+
+    // A deleted order has no row but keeps its history
+    if (!order && events.length === 0) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.json({ order, deleted: !order, events });
+  } catch (error) {
+    console.error("Get order history error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// GET /api/orders/:id/attempts - Delivery attempts on an order, oldest first
+router.get("/:id/attempts", requireViewOrders, async (req, res) => {
+  try {
+    const result = await deliveryAttemptService.listForOrder(req.params.id);
+    res.json(result);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error("Get delivery attempts error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// POST /api/orders/:id/attempts - Log a delivery attempt on a DELIVERING
+// order. DELIVERED completes the order; too many failures return it.
+router.post(
+  "/:id/attempts",
+  requireEditOrders,
+  [
+    body("outcome")
+      .isIn(deliveryAttemptService.getOutcomes())
+      .withMessage(
+        `Outcome must be one of: ${deliveryAttemptService
+          .getOutcomes()
+          .join(", ")}`
+      ),
+    body("note").optional().isString().trim().isLength({ max: 500 }),
+    body("attemptedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Attempted date must be a valid ISO 8601 date"),
+    body("rescheduledFor")
+      .optional()
+      .isISO8601()
+      .withMessage("Rescheduled date must be a valid ISO 8601 date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { outcome, note, attemptedAt, rescheduledFor } = req.body;
+      const result = await deliveryAttemptService.record(req.params.id, {
+        outcome,
+        note: note || null,
+        attemptedAt: attemptedAt ? new Date(attemptedAt) : null,
+        rescheduledFor: rescheduledFor ? new Date(rescheduledFor) : null,
+        actor: req.user,
+      });
+
+      res.status(201).json({
+        message: result.autoReturned
+          ? "Delivery attempt logged; order returned after too many failed attempts"
+          : "Delivery attempt logged successfully",
+        ...result,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Log delivery attempt error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 // POST /api/orders - Create new order
 router.post("/", requireCreateOrders, orderValidation, async (req, res) => {
   try {
@@ -397,45 +607,20 @@ router.post("/", requireCreateOrders, orderValidation, async (req, res) => {
       province,
       remark,
       state = "PLACED",
-      subtotalPrice: subtotalPriceStr,
-      companyDeliveryPrice: companyDeliveryPriceStr,
-      deliveryPrice: deliveryPriceStr,
-      totalPrice: totalPriceStr,
       isPaid: isPaidRaw,
       driverId,
       orderSource = "ADMIN",
       products,
+      overrideBlacklist: overrideBlacklistRaw,
     } = req.body;
 
-    // Convert string values to correct types
-    const subtotalPrice = parseFloat(subtotalPriceStr);
-    const companyDeliveryPrice = parseFloat(companyDeliveryPriceStr);
-    const deliveryPrice = parseFloat(deliveryPriceStr);
-    const totalPrice = parseFloat(totalPriceStr);
     const isPaid = isPaidRaw === true || isPaidRaw === "true";
 
-    // Validate converted values
-    if (isNaN(subtotalPrice) || subtotalPrice < 0) {
-      return res.status(400).json({ message: "Invalid subtotal price value" });
-    }
-    if (isNaN(companyDeliveryPrice) || companyDeliveryPrice < 0) {
-      return res
-        .status(400)
-        .json({ message: "Invalid company delivery price value" });
-    }
-    if (isNaN(deliveryPrice) || deliveryPrice < 0) {
-      return res.status(400).json({ message: "Invalid delivery price value" });
-    }
-    if (isNaN(totalPrice) || totalPrice < 0) {
-      return res.status(400).json({ message: "Invalid total price value" });
-    }
-
-    // Convert product prices and quantities
+    // Convert product quantities and weights
     const convertedProducts = products.map((product) => ({
       ...product,
       quantity: parseInt(product.quantity),
-      price: parseFloat(product.price),
-      weight: parseFloat(product.weight) || 0,
+      weight: parseFloat(product.weight),
       optionDetails: product.optionDetails || null,
     }));
 
@@ -446,246 +631,110 @@ router.post("/", requireCreateOrders, orderValidation, async (req, res) => {
           message: `Invalid quantity for product ${product.productId}`,
         });
       }
-      if (isNaN(product.price) || product.price < 0) {
-        return res
-          .status(400)
-          .json({ message: `Invalid price for product ${product.productId}` });
-      }
     }
 
-    // Batch validate driver and products to reduce database queries
-    const productIds = [...new Set(convertedProducts.map((p) => p.productId))];
-    const queries = [];
-
-    // Add driver validation query if needed
-    if (driverId) {
-      queries.push(
-        prisma.driver.findUnique({
-          where: { id: driverId },
-          select: { id: true, name: true, isActive: true },
-        })
-      );
-    } else {
-      queries.push(Promise.resolve(null));
+    // Blacklisted numbers need an explicit override, which is recorded
+    const blacklisted = await blacklistService.check(customerPhone);
+    const overrideBlacklist =
+      overrideBlacklistRaw === true || overrideBlacklistRaw === "true";
+    if (blacklisted && !overrideBlacklist) {
+      return res.status(409).json({
+        message: `Phone ${customerPhone} is blacklisted${
+          blacklisted.reason ? `: ${blacklisted.reason}` : ""
+        }. Send overrideBlacklist to create the order anyway.`,
+        blacklisted,
+        requiresOverride: true,
+      });
     }
 
-    // Optimized product fetch with selective includes
-    queries.push(
-      prisma.product.findMany({
-        where: {
-          id: { in: productIds },
-          isActive: true,
-        },
-        select: {
-          id: true,
-          name: true,
-          price: true,
-          quantity: true,
-          hasOptions: true,
-          isActive: true,
-          optionGroups: {
-            where: { isActive: true },
-            select: {
-              id: true,
-              name: true,
-              options: {
-                where: { isAvailable: true },
-                select: {
-                  id: true,
-                  name: true,
-                  priceType: true,
-                  priceValue: true,
-                },
-              },
-            },
-          },
-        },
-      })
-    );
-
-    const [driver, productsData] = await Promise.all(queries);
+    // Lines are priced by the catalogue and the selected options' rules,
+    // whatever price the client sent
+    const [driver, pricedProducts] = await Promise.all([
+      driverId
+        ? prisma.driver.findUnique({
+            where: { id: driverId },
+            select: { id: true, name: true, isActive: true },
+          })
+        : null,
+      checkoutService.priceItems(convertedProducts),
+    ]);
 
     // Validate driver
     if (driverId && !driver) {
       return res.status(400).json({ message: "Invalid driver ID" });
     }
 
-    // Create product lookup map for O(1) access
-    const productMap = new Map(productsData.map((p) => [p.id, p]));
-
-    // Validate all products exist
-    for (const product of convertedProducts) {
-      const productExists = productMap.get(product.productId);
-      if (!productExists) {
-        return res
-          .status(400)
-          .json({ message: `Product with ID ${product.productId} not found` });
-      }
-
-      // Store product for stock validation later
-      product._productData = productExists;
-    }
-
-    // Optimized batch fetch of variants with selective loading
-    const productsWithOptions = convertedProducts.filter(
-      (p) =>
-        p._productData.hasOptions &&
-        p.optionDetails &&
-        p.optionDetails.length > 0
+    // Orders always start PLACED; choosing a driver dispatches them straight away
+    const targetState = driverId && state === "PLACED" ? "DELIVERING" : state;
+    orderLifecycleService.assertTransition(
+      { state: "PLACED", orderSource, driverId: null },
+      targetState,
+      { driverId }
     );
 
-    const variantsByProduct = new Map();
-    if (productsWithOptions.length > 0) {
-      const variantProductIds = [
-        ...new Set(productsWithOptions.map((p) => p.productId)),
-      ];
-
-      // Fetch variants with optimized select and joins
-      const allVariants = await prisma.productVariant.findMany({
-        where: {
-          productId: { in: variantProductIds },
-          isActive: true,
-        },
-        select: {
-          id: true,
-          productId: true,
-          stock: true,
-          priceAdjustment: true,
-          variantOptions: {
-            select: {
-              optionId: true,
-            },
-          },
-        },
-      });
-
-      // Group variants by product ID efficiently
-      for (const variant of allVariants) {
-        if (!variantsByProduct.has(variant.productId)) {
-          variantsByProduct.set(variant.productId, []);
-        }
-        variantsByProduct.get(variant.productId).push(variant);
-      }
-    }
-
-    // Now validate stock for all products
-    for (const product of convertedProducts) {
-      const productExists = product._productData;
+    // Now validate stock for all products. This is an early, friendly check
+    // against available-to-sell; the reservation made with the order is the
+    // authoritative one.
+    for (const product of pricedProducts) {
+      const productExists = product.product;
+      if (isNaN(product.weight)) product.weight = productExists.weight || 0;
 
       // Check stock based on whether product has options
-      if (
-        productExists.hasOptions &&
-        product.optionDetails &&
-        product.optionDetails.length > 0
-      ) {
-        // For products with options, validate against the matched variant stock
-        // 1) Collect selected option IDs
-        const selectedOptionIds = (product.optionDetails || [])
-          .flatMap((group) =>
-            (group.selectedOptions || []).map((opt) => opt.id)
-          )
-          .filter(Boolean);
-
-        // 2) Get variants from cache
-        const variants = variantsByProduct.get(product.productId) || [];
-
-        if (!variants || variants.length === 0) {
-          // If no variants exist, skip strict validation (legacy); stock is enforced on assignment
-          // Alternatively, you can return an error. We choose to allow creation to keep UX consistent.
-        } else {
-          const desired = new Set(selectedOptionIds);
-          let matchedVariant = null;
-
-          // Prefer exact match
-          for (const v of variants) {
-            const voSet = new Set(v.variantOptions.map((vo) => vo.optionId));
-            if (voSet.size === desired.size) {
-              let exact = true;
-              for (const id of desired) {
-                if (!voSet.has(id)) {
-                  exact = false;
-                  break;
-                }
-              }
-              if (exact) {
-                matchedVariant = v;
-                break;
-              }
-            }
-          }
-
-          // Fallback: largest subset match (variant options ⊆ selected options)
-          if (!matchedVariant) {
-            let bestSize = -1;
-            for (const v of variants) {
-              const voSet = new Set(v.variantOptions.map((vo) => vo.optionId));
-              let subset = true;
-              for (const id of voSet) {
-                if (!desired.has(id)) {
-                  subset = false;
-                  break;
-                }
-              }
-              if (subset && voSet.size > bestSize) {
-                matchedVariant = v;
-                bestSize = voSet.size;
-              }
-            }
-          }
-
-          if (
-            matchedVariant &&
-            (matchedVariant.stock || 0) < product.quantity
-          ) {
-            return res.status(400).json({
-              message: `Insufficient stock for ${
-                productExists.name
-              }. Available: ${matchedVariant.stock || 0}, Requested: ${
-                product.quantity
-              }`,
-            });
-          }
+      if (productExists.hasOptions && product.options.length > 0) {
+        // For products with options, validate against the matched variant
+        // stock. Without variants (legacy) stock is enforced on assignment.
+        const matchedVariant = product.variant;
+        const available = matchedVariant
+          ? reservationService.availableToSell(matchedVariant)
+          : null;
+        if (matchedVariant && available < product.quantity) {
+          return res.status(400).json({
+            message: `Insufficient stock for ${productExists.name}. Available: ${available}, Requested: ${product.quantity}`,
+          });
         }
       } else {
         // For products without options, check main product stock
-        if (productExists.quantity < product.quantity) {
+        const available = reservationService.availableToSell(productExists);
+        if (available < product.quantity) {
           return res.status(400).json({
-            message: `Insufficient stock for product ${productExists.name}. Available: ${productExists.quantity}, Requested: ${product.quantity}`,
+            message: `Insufficient stock for product ${productExists.name}. Available: ${available}, Requested: ${product.quantity}`,
           });
         }
       }
-
-      // Clean up temporary data
-      delete product._productData;
     }
 
-    // Generate custom order ID with timestamp + random: SP + DDMMYY + HHMM + 5 random chars
-    const generateCustomOrderId = () => {
-      const now = new Date();
-      const day = String(now.getDate()).padStart(2, "0");
-      const month = String(now.getMonth() + 1).padStart(2, "0");
-      const year = String(now.getFullYear()).slice(-2);
-      const hours = String(now.getHours()).padStart(2, "0");
-      const minutes = String(now.getMinutes()).padStart(2, "0");
-
-      // Generate 5 random alphanumeric characters (uppercase)
-      const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-      let randomSuffix = "";
-      for (let i = 0; i < 5; i++) {
-        randomSuffix += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-
-      return `SP${day}${month}${year}${hours}${minutes}${randomSuffix}`;
-    };
+    // Totals and delivery follow the server-side line prices
+    const subtotalPrice = round2(
+      pricedProducts.reduce(
+        (sum, product) => sum + product.unitPrice * product.quantity,
+        0
+      )
+    );
+    const { deliveryPrice, companyDeliveryPrice } =
+      await deliveryRateService.quoteForItems({
+        orderSource,
+        province,
+        customerLocation,
+        subtotal: subtotalPrice,
+        items: pricedProducts,
+      });
+    const totalPrice = round2(subtotalPrice + deliveryPrice);
 
     // Create order with retry mechanism to handle potential ID collisions
     const createOrderWithRetry = async (maxRetries = 3) => {
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-          const customOrderId = generateCustomOrderId();
+          const customOrderId = generateOrderId();
 
           // Create order with transaction
           return await prisma.$transaction(async (tx) => {
+            const customerId = await customerService.upsertFromOrder(tx, {
+              customerName,
+              customerPhone,
+              customerLocation,
+              province,
+            });
+
             // Create the order with custom ID
             const newOrder = await tx.order.create({
               data: {
@@ -694,103 +743,34 @@ router.post("/", requireCreateOrders, orderValidation, async (req, res) => {
                 customerPhone,
                 customerLocation,
                 province,
+                customerId,
                 remark,
-                state,
+                state: "PLACED",
                 subtotalPrice,
                 companyDeliveryPrice,
                 deliveryPrice,
                 totalPrice,
                 isPaid,
-                driverId,
                 orderSource,
                 createdBy: req.user.id,
-                assignedAt: driverId ? new Date() : null,
               },
             });
 
-            // Helper to resolve variant by selected option IDs using pre-fetched data
-            const resolveVariantId = (productId, optionIds) => {
-              if (!optionIds || optionIds.length === 0) return null;
-              const variants = variantsByProduct.get(productId) || [];
-              if (!variants || variants.length === 0) return null;
-              const desired = new Set(optionIds);
-
-              // 1) Prefer exact match (variant option set equals selected options)
-              for (const v of variants) {
-                const voSet = new Set(
-                  v.variantOptions.map((vo) => vo.optionId)
-                );
-                if (voSet.size === desired.size) {
-                  let exact = true;
-                  for (const id of desired) {
-                    if (!voSet.has(id)) {
-                      exact = false;
-                      break;
-                    }
-                  }
-                  if (exact) return v.id;
-                }
-              }
-
-              // 2) Fallback: accept variant if all its options are contained in selected options (subset)
-              let best = null;
-              let bestSize = -1;
-              for (const v of variants) {
-                const voSet = new Set(
-                  v.variantOptions.map((vo) => vo.optionId)
-                );
-                let subset = true;
-                for (const id of voSet) {
-                  if (!desired.has(id)) {
-                    subset = false;
-                    break;
-                  }
-                }
-                if (subset && voSet.size > bestSize) {
-                  best = v.id;
-                  bestSize = voSet.size;
-                }
-              }
-              return best; // may be null if no match
-            };
-
             // Pre-compute all order items data to avoid queries inside transaction
             const orderItemsData = [];
 
             // Process all products in batch for better performance
-            for (const product of convertedProducts) {
-              // Flatten selected option IDs from optionDetails
-              const selectedOptionIds = (product.optionDetails || [])
-                .flatMap((group) =>
-                  (group.selectedOptions || []).map((opt) => opt.id)
-                )
-                .filter(Boolean);
-
-              const variantId = resolveVariantId(
-                product.productId,
-                selectedOptionIds
-              );
-
-              // Use pre-fetched product data to compute price efficiently
-              const productData = productMap.get(product.productId);
-              const variants = variantsByProduct.get(product.productId) || [];
-              const variant = variantId
-                ? variants.find((v) => v.id === variantId)
-                : null;
-
-              const computedPrice =
-                (productData?.price || 0) + (variant?.priceAdjustment || 0);
-
+            for (const product of pricedProducts) {
               orderItemsData.push({
                 orderId: newOrder.id,
                 productId: product.productId,
                 quantity: product.quantity,
-                price: computedPrice,
+                price: product.unitPrice,
                 weight: product.weight || 0,
                 optionDetails:
                   product.optionDetails && product.optionDetails.length > 0
                     ? {
-                        variantId: variantId,
+                        variantId: product.variant?.id || null,
                         selections: product.optionDetails,
                       }
                     : null,
@@ -802,7 +782,44 @@ router.post("/", requireCreateOrders, orderValidation, async (req, res) => {
               data: orderItemsData,
             });
 
-            // Note: Stock is NOT deducted here - it will be deducted when driver is assigned
+            await orderHistoryService.record(tx, {
+              orderId: newOrder.id,
+              type: "CREATED",
+              actor: req.user,
+              toState: "PLACED",
+            });
+
+            if (blacklisted) {
+              await orderHistoryService.record(tx, {
+                orderId: newOrder.id,
+                type: "BLACKLIST_OVERRIDDEN",
+                actor: req.user,
+                note: `Created for blacklisted phone ${blacklisted.rawPhone}${
+                  blacklisted.reason ? ` (${blacklisted.reason})` : ""
+                }`,
+              });
+            }
+
+            // Promise the items to this order. Orders created straight into
+            // a stock-holding state reserve too, so they cannot take units
+            // already promised to queued orders; the lifecycle then turns the
+            // reservation into a deduction.
+            if (
+              targetState === "PLACED" ||
+              orderLifecycleService.holdsStock(targetState)
+            ) {
+              await reservationService.reserveForOrder(newOrder.id, tx);
+            }
+
+            // Stock is deducted by the lifecycle only once the order leaves PLACED
+            if (targetState !== "PLACED") {
+              await orderLifecycleService.transition(
+                newOrder.id,
+                targetState,
+                { actor: req.user, driverId },
+                tx
+              );
+            }
 
             // Fetch the complete order with relations in the same transaction
             const completeOrder = await tx.order.findUnique({
@@ -846,19 +863,33 @@ router.post("/", requireCreateOrders, orderValidation, async (req, res) => {
       order: completeOrder,
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error("Create order error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
-// PUT /api/orders/:id/state - Update order state
-router.put(
-  "/:id/state",
-  requireEditOrders,
+// POST /api/orders/import - Bulk create orders from a CSV file (`file`) or
+// CSV text (`csv`). Runs as a dry run reporting per-row errors, stock
+// shortfalls and blacklisted phones unless `dryRun` is false. A commit that
+// runs short of time leaves the orders it did not reach PENDING.
+router.post(
+  "/import",
+  requireCreateOrders,
+  (req, res, next) =>
+    csvUpload.single("file")(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      next();
+    }),
   [
-    body("state")
-      .isIn(["PLACED", "DELIVERING", "RETURNED", "COMPLETED", "CANCELLED"])
-      .withMessage("Invalid state"),
+    body("dryRun").optional().isBoolean().withMessage("dryRun must be boolean"),
+    body("orderSource")
+      .optional()
+      .isIn(["ADMIN", "PICKUP"])
+      .withMessage("Imported orders must be ADMIN or PICKUP orders"),
+    body("csv").optional().isString(),
   ],
   async (req, res) => {
     try {
@@ -870,91 +901,121 @@ router.put(
         });
       }
 
-      const { id } = req.params;
-      const { state } = req.body;
-
-      // Check if order exists
-      const existingOrder = await prisma.order.findUnique({
-        where: { id },
-      });
-
-      if (!existingOrder) {
-        return res.status(404).json({ message: "Order not found" });
-      }
-
-      // Prevent changing from CANCELLED to DELIVERING
-      if (existingOrder.state === "CANCELLED" && state === "DELIVERING") {
-        return res.status(400).json({
-          message: "Cannot change a cancelled order to delivering",
-        });
+      const text = req.file ? req.file.buffer.toString("utf8") : req.body.csv;
+      if (!text) {
+        return res.status(400).json({ message: "No CSV file provided" });
       }
 
-      // Prevent changing PICKUP orders to DELIVERING
-      if (existingOrder.orderSource === "PICKUP" && state === "DELIVERING") {
-        return res.status(400).json({
-          message:
-            "Cannot change a pickup order to delivering. Pickup orders can only be PLACED, COMPLETED, or CANCELLED.",
-        });
-      }
+      const dryRun = String(req.body.dryRun) !== "false";
+      const orderSource = req.body.orderSource || "ADMIN";
 
-      const updateData = { state };
+      const result = dryRun
+        ? await orderImportService.validate(text, { orderSource })
+        : await orderImportService.commit(text, {
+            orderSource,
+            actor: req.user,
+          });
 
-      // Set completion time if state is COMPLETED
-      if (state === "COMPLETED") {
-        updateData.completedAt = new Date();
+      let message = dryRun
+        ? `${result.summary.valid} of ${result.summary.orders} orders can be imported`
+        : `Imported ${result.summary.imported} of ${result.summary.orders} orders`;
+      if (result.summary.pending > 0) {
+        message += `. Time ran out before ${result.summary.pending} orders: import their rows again to finish`;
       }
 
-      // Set returned time if state is RETURNED
-      if (state === "RETURNED") {
-        updateData.returnedAt = new Date();
-      }
-
-      const order = await prisma.order.update({
-        where: { id },
-        data: updateData,
-        include: {
-          driver: true,
-          creator: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-              role: true,
-            },
-          },
-          orderItems: {
-            include: {
-              product: true,
-            },
-          },
+      res.json({
+        message,
+        data: {
+          dryRun,
+          summary: result.summary,
+          orders: result.orders.map((order) =>
+            orderImportService.toReport(order)
+          ),
         },
       });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Import orders error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
 
-      // Apply stock changes strictly based on state transition
-      if (state === "DELIVERING" && existingOrder.state !== "DELIVERING") {
-        await stockManagementService.deductStockForOrder(id);
-      } else if (state === "RETURNED" && existingOrder.state !== "RETURNED") {
-        await stockManagementService.restoreStockForOrder(id);
+// POST /api/orders/auto-assign - Assign PLACED orders to the least busy
+// active driver of the zone covering each one. Returns the plan without
+// assigning anything unless `dryRun` is false.
+router.post(
+  "/auto-assign",
+  requireEditOrders,
+  [
+    body("orderIds")
+      .isArray({ min: 1, max: 200 })
+      .withMessage("orderIds must be an array of 1 to 200 order IDs"),
+    body("orderIds.*").isString().withMessage("Order IDs must be strings"),
+    body("dryRun").optional().isBoolean().withMessage("dryRun must be boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
       }
 
+      const dryRun = String(req.body.dryRun) !== "false";
+      const result = await driverAssignmentService.autoAssign(
+        [...new Set(req.body.orderIds)],
+        { dryRun, actor: req.user }
+      );
+
       res.json({
-        message: "Order state updated successfully",
-        order,
+        message: dryRun
+          ? `${result.summary.assigned} of ${req.body.orderIds.length} orders can be assigned`
+          : `Assigned ${result.summary.assigned} orders`,
+        data: result,
       });
     } catch (error) {
-      console.error("Update order state error:", error);
+      if (sendServiceError(res, error)) return;
+      console.error("Auto-assign drivers error:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   }
 );
 
-// PUT /api/orders/:id/driver - Assign driver to order
-router.put(
-  "/:id/driver",
-  requireEditOrders,
+// Bulk actions need the permission of their single-order endpoint
+const requireBulkPermission = (req, res, next) => {
+  const { action, isPrinted } = req.body;
+  if (action === "delete") return requireDeleteOrders(req, res, next);
+  // Like PUT /:id/mark-printed, anyone may mark orders printed
+  if (action === "mark-printed" && isPrinted !== false) return next();
+  return requireEditOrders(req, res, next);
+};
+
+// POST /api/orders/bulk - Apply one action to many orders:
+// state ({state}), assign-driver ({driverId|null, assignedAt}),
+// mark-printed ({isPrinted}) or delete. Reports which orders succeeded and
+// why the others failed.
+router.post(
+  "/bulk",
+  requireBulkPermission,
   [
+    body("action")
+      .isIn(orderBulkService.getActions())
+      .withMessage(
+        `Action must be one of: ${orderBulkService.getActions().join(", ")}`
+      ),
+    body("orderIds")
+      .isArray({ min: 1, max: 500 })
+      .withMessage("orderIds must be an array of 1 to 500 order IDs"),
+    body("orderIds.*").isString().withMessage("Order IDs must be strings"),
+    body("state")
+      .if(body("action").equals("state"))
+      .isIn(["PLACED", "DELIVERING", "RETURNED", "COMPLETED", "CANCELLED"])
+      .withMessage("Invalid state"),
     body("driverId")
-      .optional({ nullable: true })
+      .if(body("action").equals("assign-driver"))
       .custom((value) => {
         if (value === null || typeof value === "string") {
           return true;
@@ -965,6 +1026,10 @@ router.put(
       .optional()
       .isISO8601()
       .withMessage("Assigned date must be a valid ISO 8601 date"),
+    body("isPrinted")
+      .optional()
+      .isBoolean()
+      .withMessage("isPrinted must be a boolean"),
   ],
   async (req, res) => {
     try {
@@ -976,150 +1041,149 @@ router.put(
         });
       }
 
-      const { id } = req.params;
-      const { driverId, assignedAt } = req.body;
-
-      // Check if order exists
-      const existingOrder = await prisma.order.findUnique({
-        where: { id },
+      const { action, orderIds, state, driverId, assignedAt, isPrinted } =
+        req.body;
+      const result = await orderBulkService.run(action, orderIds, {
+        state,
+        driverId,
+        assignedAt,
+        isPrinted,
+        actor: req.user,
       });
 
-      if (!existingOrder) {
-        return res.status(404).json({ message: "Order not found" });
-      }
+      res.json({
+        message: `${result.summary.succeeded} of ${result.summary.requested} orders processed`,
+        data: result,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Bulk order action error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
 
-      // Prevent assigning driver to cancelled orders (would change state to DELIVERING)
-      if (
-        existingOrder.state === "CANCELLED" &&
-        driverId !== null &&
-        driverId !== undefined
-      ) {
+// PUT /api/orders/:id/state - Update order state
+router.put(
+  "/:id/state",
+  requireEditOrders,
+  [
+    body("state")
+      .isIn(["PLACED", "DELIVERING", "RETURNED", "COMPLETED", "CANCELLED"])
+      .withMessage("Invalid state"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
-          message: "Cannot assign driver to a cancelled order",
+          message: "Validation failed",
+          errors: errors.array(),
         });
       }
 
-      // Prevent assigning driver to PICKUP orders
-      if (
-        existingOrder.orderSource === "PICKUP" &&
-        driverId !== null &&
-        driverId !== undefined
-      ) {
-        return res.status(400).json({
-          message:
-            "Cannot assign driver to a pickup order. Pickup orders are for walk-in customers.",
-        });
-      }
+      const { id } = req.params;
+      const { state } = req.body;
 
-      // Validate driver if provided (not null)
-      if (driverId !== null && driverId !== undefined) {
-        const driver = await prisma.driver.findUnique({
-          where: { id: driverId },
-        });
-        if (!driver) {
-          return res.status(400).json({ message: "Invalid driver ID" });
-        }
-      }
+      const order = await orderLifecycleService.transition(id, state, {
+        actor: req.user,
+      });
 
-      // Handle stock management based on state changes
-      const willBeAssigned = driverId !== null && driverId !== undefined;
-      const currentState = existingOrder.state;
-
-      // Determine the assigned date
-      let assignedAtDate = null;
-      if (willBeAssigned) {
-        if (assignedAt) {
-          // Use custom date if provided
-          assignedAtDate = new Date(assignedAt);
-        } else {
-          // Use current date if no custom date provided
-          assignedAtDate = new Date();
+      res.json({
+        message: "Order state updated successfully",
+        order,
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Update order state error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// PUT /api/orders/:id/driver - Assign driver to order
+router.put(
+  "/:id/driver",
+  requireEditOrders,
+  [
+    body("driverId")
+      .optional({ nullable: true })
+      .custom((value) => {
+        if (value === null || typeof value === "string") {
+          return true;
         }
+        throw new Error("Driver ID must be a string or null");
+      }),
+    body("assignedAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Assigned date must be a valid ISO 8601 date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
       }
 
-      // Auto-set state based on driver assignment (driver assignment endpoint)
-      const newState = willBeAssigned ? "DELIVERING" : "PLACED";
+      const { id } = req.params;
+      const { driverId, assignedAt } = req.body;
 
-      // Validate stock only if state is changing TO "DELIVERING"
-      const needsStockValidation =
-        newState === "DELIVERING" && currentState !== "DELIVERING";
+      // Assigning a driver dispatches the order; unassigning puts it back in the queue
+      const willBeAssigned = driverId !== null && driverId !== undefined;
 
-      // Validate stock if state will change to DELIVERING
-      if (needsStockValidation) {
-        const stockValidation =
-          await stockManagementService.validateStockForOrder(id);
-        if (!stockValidation.isValid) {
-          const insufficientItems = stockValidation.results.filter(
-            (r) => !r.isValid
-          );
-          const errorMessage = insufficientItems
-            .map(
-              (item) =>
-                `${item.productName}: requested ${item.requestedQuantity}, available ${item.availableStock}`
-            )
-            .join("; ");
-          return res.status(400).json({
-            message: `Insufficient stock: ${errorMessage}`,
-            stockValidation,
-          });
+      const order = await orderLifecycleService.transition(
+        id,
+        willBeAssigned ? "DELIVERING" : "PLACED",
+        {
+          actor: req.user,
+          driverId: willBeAssigned ? driverId : null,
+          assignedAt: willBeAssigned ? assignedAt : undefined,
         }
-      }
+      );
 
-      const order = await prisma.order.update({
-        where: { id },
-        data: {
-          driverId: willBeAssigned ? driverId : null,
-          assignedAt: willBeAssigned ? assignedAtDate : null,
-          state: newState,
-        },
-        include: {
-          driver: true,
-          creator: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-              role: true,
-            },
-          },
-          orderItems: {
-            include: {
-              product: true,
-            },
-          },
-        },
+      res.json({
+        message: "Driver assignment updated successfully",
+        order,
       });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Update driver assignment error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
 
-      // Handle stock based on state changes only
-      console.log(
-        `[DRIVER ASSIGNMENT DEBUG] Order ${id}: ${currentState} → ${newState}`
-      );
-
-      if (newState === "DELIVERING" && currentState !== "DELIVERING") {
-        // State changed TO "DELIVERING" - deduct stock
-        console.log(
-          `[DRIVER ASSIGNMENT DEBUG] Deducting stock for state change: ${currentState} → ${newState}`
-        );
-        await stockManagementService.deductStockForOrder(id);
-      } else if (newState === "RETURNED" && currentState !== "RETURNED") {
-        // State changed TO "RETURNED" - restore stock
-        console.log(
-          `[DRIVER ASSIGNMENT DEBUG] Restoring stock for state change: ${currentState} → ${newState}`
-        );
-        await stockManagementService.restoreStockForOrder(id);
-      } else {
-        console.log(
-          `[DRIVER ASSIGNMENT DEBUG] No stock change needed for: ${currentState} → ${newState}`
-        );
+// POST /api/orders/:id/release-hold - Release an order held for review
+router.post(
+  "/:id/release-hold",
+  requireEditOrders,
+  [body("note").optional().isString().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
       }
-      // Do nothing for other state changes or no state change
+
+      const order = await orderLifecycleService.releaseHold(req.params.id, {
+        actor: req.user,
+        note: req.body.note || null,
+      });
 
       res.json({
-        message: "Driver assignment updated successfully",
+        message: "Order released",
         order,
       });
     } catch (error) {
-      console.error("Update driver assignment error:", error);
+      if (sendServiceError(res, error)) return;
+      console.error("Release order hold error:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   }
@@ -1144,45 +1208,19 @@ router.put("/:id", requireEditOrders, orderValidation, async (req, res) => {
       province,
       remark,
       state = "PLACED",
-      subtotalPrice: subtotalPriceStr,
-      companyDeliveryPrice: companyDeliveryPriceStr,
-      deliveryPrice: deliveryPriceStr,
-      totalPrice: totalPriceStr,
       isPaid: isPaidRaw,
       driverId,
       orderSource,
       products,
     } = req.body;
 
-    // Convert string values to correct types
-    const subtotalPrice = parseFloat(subtotalPriceStr);
-    const companyDeliveryPrice = parseFloat(companyDeliveryPriceStr);
-    const deliveryPrice = parseFloat(deliveryPriceStr);
-    const totalPrice = parseFloat(totalPriceStr);
     const isPaid = isPaidRaw === true || isPaidRaw === "true";
 
-    // Validate converted values
-    if (isNaN(subtotalPrice) || subtotalPrice < 0) {
-      return res.status(400).json({ message: "Invalid subtotal price value" });
-    }
-    if (isNaN(companyDeliveryPrice) || companyDeliveryPrice < 0) {
-      return res
-        .status(400)
-        .json({ message: "Invalid company delivery price value" });
-    }
-    if (isNaN(deliveryPrice) || deliveryPrice < 0) {
-      return res.status(400).json({ message: "Invalid delivery price value" });
-    }
-    if (isNaN(totalPrice) || totalPrice < 0) {
-      return res.status(400).json({ message: "Invalid total price value" });
-    }
-
-    // Convert product prices and quantities
+    // Convert product quantities and weights
     const convertedProducts = products.map((product) => ({
       ...product,
       quantity: parseInt(product.quantity),
-      price: parseFloat(product.price),
-      weight: parseFloat(product.weight) || 0,
+      weight: parseFloat(product.weight),
       optionDetails: product.optionDetails || null,
     }));
 
@@ -1193,11 +1231,6 @@ router.put("/:id", requireEditOrders, orderValidation, async (req, res) => {
           message: `Invalid quantity for product ${product.productId}`,
         });
       }
-      if (isNaN(product.price) || product.price < 0) {
-        return res
-          .status(400)
-          .json({ message: `Invalid price for product ${product.productId}` });
-      }
     }
 
     // Check if order exists
@@ -1205,6 +1238,9 @@ router.put("/:id", requireEditOrders, orderValidation, async (req, res) => {
       where: { id },
       include: {
         orderItems: true,
+        driver: {
+          select: { id: true, name: true },
+        },
       },
     });
 
@@ -1212,6 +1248,14 @@ router.put("/:id", requireEditOrders, orderValidation, async (req, res) => {
       return res.status(404).json({ message: "Order not found" });
     }
 
+    // Prices and items of a settled order are part of a closed cash handover
+    if (existingOrder.settlementId) {
+      return res.status(409).json({
+        message:
+          "Order has been settled with its driver and can no longer be edited",
+      });
+    }
+
     // Validate driver if provided
     if (driverId) {
       const driver = await prisma.driver.findUnique({
@@ -1222,130 +1266,158 @@ router.put("/:id", requireEditOrders, orderValidation, async (req, res) => {
       }
     }
 
-    // Validate products
-    for (const product of convertedProducts) {
-      const productExists = await prisma.product.findUnique({
-        where: { id: product.productId },
-      });
-      if (!productExists) {
-        return res
-          .status(400)
-          .json({ message: `Product with ID ${product.productId} not found` });
-      }
+    // Lines are repriced from the catalogue, as when the order was created,
+    // unless staff override a line's price explicitly. Withdrawn products and
+    // options still price, so older orders stay editable.
+    const pricedProducts = await checkoutService.priceItems(
+      convertedProducts,
+      prisma,
+      { includeInactive: true }
+    );
+    const priceOverrides = checkoutService.applyPriceOverrides(pricedProducts);
+    for (const product of pricedProducts) {
+      if (isNaN(product.weight)) product.weight = product.product.weight || 0;
     }
 
-    // Update order in transaction
-    const result = await prisma.$transaction(async (prisma) => {
-      // Delete existing order items
-      await prisma.orderItem.deleteMany({
-        where: { orderId: id },
-      });
-
-      // Update order
-      const orderUpdateData = {
-        customerName,
-        customerPhone,
-        customerLocation,
+    const subtotalPrice = round2(
+      pricedProducts.reduce(
+        (sum, product) => sum + product.unitPrice * product.quantity,
+        0
+      )
+    );
+    const { deliveryPrice, companyDeliveryPrice } =
+      await deliveryRateService.quoteForItems({
+        orderSource: orderSource || existingOrder.orderSource,
         province,
-        remark,
-        state,
-        subtotalPrice,
-        companyDeliveryPrice,
-        deliveryPrice,
-        totalPrice,
-        isPaid,
-        driverId: driverId || null,
-        ...(orderSource && { orderSource }),
-        updatedAt: new Date(),
-        ...(state === "DELIVERING" &&
-          !existingOrder.assignedAt && { assignedAt: new Date() }),
-        ...(state === "COMPLETED" &&
-          !existingOrder.completedAt && { completedAt: new Date() }),
-      };
-
-      const updatedOrder = await prisma.order.update({
-        where: { id },
-        data: orderUpdateData,
+        customerLocation,
+        subtotal: subtotalPrice,
+        items: pricedProducts,
+      });
+    const totalPrice = round2(subtotalPrice + deliveryPrice);
+
+    // State and driver changes go through the order lifecycle
+    const nextDriverId = state === "DELIVERING" ? driverId || null : undefined;
+    const driverChanged =
+      nextDriverId !== undefined && nextDriverId !== existingOrder.driverId;
+    const needsTransition = state !== existingOrder.state || driverChanged;
+    if (needsTransition) {
+      orderLifecycleService.assertTransition(existingOrder, state, {
+        driverId: nextDriverId,
       });
+    }
 
-      // Helper to resolve variant by selected option IDs
-      const resolveVariantId = async (productId, optionIds) => {
-        if (!optionIds || optionIds.length === 0) return null;
-        const variants = await prisma.productVariant.findMany({
-          where: { productId },
-          include: { variantOptions: true },
-        });
-        const desired = new Set(optionIds);
-        for (const v of variants) {
-          if (v.variantOptions.length !== desired.size) continue;
-          const voSet = new Set(v.variantOptions.map((vo) => vo.optionId));
-          let match = true;
-          for (const id of desired) {
-            if (!voSet.has(id)) {
-              match = false;
-              break;
-            }
-          }
-          if (match) return v.id;
-        }
-        return null;
-      };
-
-      // Create new order items
-      for (const product of convertedProducts) {
-        const selectedOptionIds = (product.optionDetails || [])
-          .flatMap((group) =>
-            (group.selectedOptions || []).map((opt) => opt.id)
-          )
-          .filter(Boolean);
-
-        const variantId = await resolveVariantId(
-          product.productId,
-          selectedOptionIds
-        );
+    // Update order in transaction
+    const result = await prisma.$transaction(
+      async (tx) => {
+        // A new phone number moves the order to that number's customer
+        const customerId =
+          existingOrder.customerId &&
+          normalizePhone(customerPhone) ===
+            normalizePhone(existingOrder.customerPhone)
+            ? existingOrder.customerId
+            : await customerService.upsertFromOrder(tx, {
+                customerName,
+                customerPhone,
+                customerLocation,
+                province,
+                orderAt: existingOrder.orderAt,
+              });
 
-        await prisma.orderItem.create({
+        // Update order details (state, driver and timestamps are owned by the lifecycle).
+        // Only while unsettled: a settlement may have closed since the check above.
+        const { count } = await tx.order.updateMany({
+          where: { id, settlementId: null },
           data: {
-            orderId: updatedOrder.id,
-            productId: product.productId,
-            quantity: product.quantity,
-            price: product.price,
-            weight: product.weight,
-            optionDetails:
-              product.optionDetails && product.optionDetails.length > 0
-                ? { variantId: variantId, selections: product.optionDetails }
-                : null,
+            customerName,
+            customerPhone,
+            customerLocation,
+            province,
+            customerId,
+            remark,
+            subtotalPrice,
+            companyDeliveryPrice,
+            deliveryPrice,
+            totalPrice,
+            isPaid,
+            ...(orderSource && { orderSource }),
+            updatedAt: new Date(),
           },
         });
-      }
+        if (count === 0) {
+          throw new ServiceError(
+            "Order has been settled with its driver and can no longer be edited",
+            409
+          );
+        }
+        const updatedOrder = await tx.order.findUnique({ where: { id } });
+
+        // Build new order items
+        const itemsData = pricedProducts.map((product) => ({
+          productId: product.productId,
+          quantity: product.quantity,
+          price: product.unitPrice,
+          weight: product.weight,
+          optionDetails:
+            product.optionDetails && product.optionDetails.length > 0
+              ? {
+                  variantId: product.variant?.id || null,
+                  selections: product.optionDetails,
+                }
+              : null,
+        }));
+
+        // Replace items, re-balancing stock if the order currently holds it
+        const newItems = await orderLifecycleService.replaceItems(
+          tx,
+          id,
+          itemsData,
+          { userId: req.user.id }
+        );
 
-      return updatedOrder;
-    });
+        // Record what changed: fields, prices and items
+        const changes = orderHistoryService.diffOrder(
+          existingOrder,
+          updatedOrder
+        );
+        const itemChanges = orderHistoryService.diffItems(
+          existingOrder.orderItems,
+          newItems
+        );
+        if (itemChanges) {
+          changes.items = itemChanges;
+        }
 
-    // Handle stock management based on state changes
-    const currentState = existingOrder.state;
-    const newState = state;
+        if (Object.keys(changes).length > 0) {
+          await orderHistoryService.record(tx, {
+            orderId: id,
+            type: "UPDATED",
+            actor: req.user,
+            changes,
+          });
+        }
 
-    console.log(`[STOCK DEBUG] Order ${id}: ${currentState} → ${newState}`);
+        if (Object.keys(priceOverrides).length > 0) {
+          await orderHistoryService.record(tx, {
+            orderId: id,
+            type: "PRICE_OVERRIDDEN",
+            actor: req.user,
+            changes: priceOverrides,
+          });
+        }
 
-    if (newState === "DELIVERING" && currentState !== "DELIVERING") {
-      // State changed TO "DELIVERING" - deduct stock
-      console.log(
-        `[STOCK DEBUG] Deducting stock for state change: ${currentState} → ${newState}`
-      );
-      await stockManagementService.deductStockForOrder(id);
-    } else if (newState === "RETURNED" && currentState !== "RETURNED") {
-      // State changed TO "RETURNED" - restore stock
-      console.log(
-        `[STOCK DEBUG] Restoring stock for state change: ${currentState} → ${newState}`
-      );
-      await stockManagementService.restoreStockForOrder(id);
-    } else {
-      console.log(
-        `[STOCK DEBUG] No stock change needed for: ${currentState} → ${newState}`
-      );
-    }
-    // Do nothing for other state changes (like COMPLETED, PLACED, etc.)
+        if (needsTransition) {
+          await orderLifecycleService.transition(
+            id,
+            state,
+            { actor: req.user, driverId: nextDriverId },
+            tx
+          );
+        }
+
+        return updatedOrder;
+      },
+      { timeout: 15000 }
+    );
 
     // Fetch updated order with relations
     const order = await prisma.order.findUnique({
@@ -1377,6 +1449,7 @@ router.put("/:id", requireEditOrders, orderValidation, async (req, res) => {
       order,
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error("Update order error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
@@ -1387,40 +1460,103 @@ router.delete("/:id", requireDeleteOrders, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if order exists
-    const existingOrder = await prisma.order.findUnique({
-      where: { id },
-      include: {
-        orderItems: true,
-      },
-    });
-
-    if (!existingOrder) {
-      return res.status(404).json({ message: "Order not found" });
-    }
-
-    // Stock is NOT restored when deleting orders
-
-    // Delete order in transaction
-    await prisma.$transaction(async (prisma) => {
-      // Delete order items first (due to foreign key constraints)
-      await prisma.orderItem.deleteMany({
-        where: { orderId: id },
-      });
-
-      // Delete the order
-      await prisma.order.delete({
-        where: { id },
-      });
-    });
+    // Stock is NOT restored when deleting orders, but anything the order
+    // still has reserved goes back on sale. Settled orders cannot be deleted.
+    await prisma.$transaction((tx) =>
+      orderLifecycleService.deleteOrder(tx, id, { actor: req.user })
+    );
 
     res.json({ message: "Order deleted successfully" });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error("Delete order error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
+const sendPdf = (res, buffer, filename) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+  res.send(buffer);
+};
+
+// POST /api/orders/documents/:type - Print labels, invoices or packing slips
+// for several orders as one PDF and mark them printed
+router.post(
+  "/documents/:type",
+  requireViewOrders,
+  [
+    param("type")
+      .isIn(orderDocumentService.getTypes())
+      .withMessage("Invalid document type"),
+    body("orderIds")
+      .isArray({ min: 1 })
+      .withMessage("At least one order ID is required"),
+    body("orderIds.*").isString().withMessage("Order IDs must be strings"),
+    body("markPrinted").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { type } = req.params;
+      const orders = await orderDocumentService.loadOrders(req.body.orderIds);
+      const pdf = await orderDocumentService.render(type, orders);
+
+      if (req.body.markPrinted !== false) {
+        await orderDocumentService.markPrinted(orders.map((order) => order.id));
+      }
+
+      const today = formatZoned(new Date(), STORE_TIMEZONE, true);
+      sendPdf(res, pdf, `${type}s-${today}.pdf`);
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Print orders error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// GET /api/orders/:id/documents/:type - Label, invoice or packing slip PDF
+// for one order. Does not change the print status.
+router.get(
+  "/:id/documents/:type",
+  requireViewOrders,
+  [
+    param("type")
+      .isIn(orderDocumentService.getTypes())
+      .withMessage("Invalid document type"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { id, type } = req.params;
+      const orders = await orderDocumentService.loadOrders([id]);
+      const pdf = await orderDocumentService.render(type, orders);
+
+      sendPdf(res, pdf, `${type}-${id}.pdf`);
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Print order error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 // PUT /api/orders/:id/mark-printed - Mark order as printed
 // Note: No permission check - anyone can mark orders as printed
 router.put(
@@ -1566,6 +1702,9 @@ router.post(
         });
       }
 
+      // Uploading proof completes the order, so reject it before uploading
+      orderLifecycleService.assertTransition(order, "COMPLETED");
+
       // Check if file was provided
       if (!req.file) {
         return res.status(400).json({ message: "No proof image provided" });
@@ -1586,30 +1725,21 @@ router.post(
       }
 
       // Update order with proof URL and automatically set state to COMPLETED
-      const updatedOrder = await prisma.order.update({
-        where: { id },
-        data: {
-          paymentProofUrl,
-          state: "COMPLETED",
-          completedAt: new Date(),
-        },
-        include: {
-          driver: true,
-          creator: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-              role: true,
-            },
-          },
-          orderItems: {
-            include: {
-              product: true,
+      const updatedOrder = await orderLifecycleService.transition(
+        id,
+        "COMPLETED",
+        {
+          actor: req.user,
+          eventType: "PROOF_UPLOADED",
+          data: { paymentProofUrl },
+          changes: {
+            paymentProofUrl: {
+              from: order.paymentProofUrl,
+              to: paymentProofUrl,
             },
           },
-        },
-      });
+        }
+      );
 
       res.json({
         message:
@@ -1618,6 +1748,7 @@ router.post(
         proofUrl: paymentProofUrl,
       });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error("Upload pickup proof error:", error);
       res.status(500).json({ message: "Internal server error" });
     }
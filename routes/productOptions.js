@@ -11,6 +11,7 @@ const {
 } = require("../middleware/permissions");
 
 const hierarchicalStockService = require("../services/hierarchicalStockService");
+const { sendServiceError } = require("../lib/errors");
 
 // Configure Cloudinary
 cloudinary.config({
@@ -945,6 +946,7 @@ router.put(
     body("stock")
       .isInt({ min: 0 })
       .withMessage("Stock must be a non-negative integer"),
+    body("note").optional().isString().trim().isLength({ max: 300 }),
   ],
   async (req, res) => {
     try {
@@ -961,10 +963,12 @@ router.put(
 
       const variant = await hierarchicalStockService.updateVariantStock(
         variantId,
-        stock
+        stock,
+        { userId: req.user.id, note: req.body.note }
       );
       res.json({ variant });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error("Update variant stock error:", error);
       res.status(500).json({ message: "Internal server error" });
     }
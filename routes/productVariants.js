@@ -1,5 +1,6 @@
 const express = require("express");
 const getPrismaClient = require("../lib/prisma");
+const { variantAdjustment } = require("../lib/pricing");
 const { body, param, validationResult } = require("express-validator");
 const {
   requireCreateProducts,
@@ -315,7 +316,7 @@ async function generateVariantCombinations(product) {
                   productId: product.id,
                   name: variantName,
                   stock: 0,
-                  priceAdjustment: (parentOption.priceValue || 0) + (childOption.priceValue || 0),
+                  priceAdjustment: variantAdjustment([parentOption, childOption]),
                 },
               });
               
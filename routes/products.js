@@ -11,6 +11,8 @@ const {
   requireDeleteProducts,
   requireProductsForOrders,
 } = require("../middleware/permissions");
+const inventoryLedgerService = require("../services/inventoryLedgerService");
+const { sendServiceError } = require("../lib/errors");
 
 const router = express.Router();
 const prisma = getPrismaClient();
@@ -86,6 +88,7 @@ const productValidation = [
   body("delivery_price_for_province")
     .isFloat({ min: 0 })
     .withMessage("Province delivery price must be a positive number"),
+  body("deliveryOverride").optional().isBoolean(),
   body("description").optional().trim(),
   body("categoryId")
     .optional()
@@ -362,6 +365,7 @@ router.post(
         weight: weightStr,
         delivery_price_for_pp: deliveryPpStr,
         delivery_price_for_province: deliveryProvinceStr,
+        deliveryOverride,
         categoryId,
         isActive = true,
         note,
@@ -403,6 +407,8 @@ router.post(
 
       // Convert boolean strings to actual booleans
       const isActiveBool = isActive === "true" || isActive === true;
+      const deliveryOverrideBool =
+        deliveryOverride === "true" || deliveryOverride === true;
 
       // Validate converted values
       if (isNaN(price) || price < 0) {
@@ -464,63 +470,81 @@ router.post(
       const randomNum = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
       const uniqueSku = `SKU-${timestamp}-${randomNum}`;
 
-      const product = await prisma.product.create({
-        data: {
-          name,
-          description,
-          price,
-          quantity,
-          weight,
-          delivery_price_for_pp,
-          delivery_price_for_province,
-          categoryId,
-          imageUrl,
-          sku: uniqueSku, // Use unique timestamp-based SKU
-          isActive: isActiveBool,
-          note,
-          bannerText,
-          bannerColor,
-          bannerType,
-          originalPrice,
-        },
-        include: {
-          category: {
-            select: {
-              id: true,
-              name: true,
-            },
+      // The opening stock movement commits with the product, so the ledger
+      // matches its quantity from the start
+      const product = await prisma.$transaction(async (tx) => {
+        const created = await tx.product.create({
+          data: {
+            name,
+            description,
+            price,
+            quantity,
+            weight,
+            delivery_price_for_pp,
+            delivery_price_for_province,
+            deliveryOverride: deliveryOverrideBool,
+            categoryId,
+            imageUrl,
+            sku: uniqueSku, // Use unique timestamp-based SKU
+            isActive: isActiveBool,
+            note,
+            bannerText,
+            bannerColor,
+            bannerType,
+            originalPrice,
           },
-          optionGroups: {
-            include: {
-              options: {
-                orderBy: {
-                  sortOrder: "asc",
-                },
+          include: {
+            category: {
+              select: {
+                id: true,
+                name: true,
               },
-              parentGroup: {
-                select: {
-                  id: true,
-                  name: true,
+            },
+            optionGroups: {
+              include: {
+                options: {
+                  orderBy: {
+                    sortOrder: "asc",
+                  },
                 },
-              },
-              childGroups: {
-                include: {
-                  options: {
-                    orderBy: {
-                      sortOrder: "asc",
-                    },
+                parentGroup: {
+                  select: {
+                    id: true,
+                    name: true,
                   },
                 },
-                orderBy: {
-                  sortOrder: "asc",
+                childGroups: {
+                  include: {
+                    options: {
+                      orderBy: {
+                        sortOrder: "asc",
+                      },
+                    },
+                  },
+                  orderBy: {
+                    sortOrder: "asc",
+                  },
                 },
               },
-            },
-            orderBy: {
-              sortOrder: "asc",
+              orderBy: {
+                sortOrder: "asc",
+              },
             },
           },
-        },
+        });
+
+        if (quantity > 0) {
+          await inventoryLedgerService.record(tx, {
+            productId: created.id,
+            delta: quantity,
+            balanceAfter: quantity,
+            reason: "MANUAL_ADJUST",
+            userId: req.user.id,
+            note: "Initial stock",
+          });
+        }
+
+        return created;
       });
 
       res.status(201).json({
@@ -567,6 +591,7 @@ router.put(
         weight: weightStr,
         delivery_price_for_pp: deliveryPpStr,
         delivery_price_for_province: deliveryProvinceStr,
+        deliveryOverride,
         categoryId,
         isActive,
         note,
@@ -611,6 +636,10 @@ router.put(
       // Convert boolean strings to actual booleans
       const isActiveBool =
         isActive !== undefined ? isActive === "true" : undefined;
+      const deliveryOverrideBool =
+        deliveryOverride !== undefined
+          ? deliveryOverride === "true" || deliveryOverride === true
+          : undefined;
 
       // Validate converted values (only if provided)
       if (price !== undefined && (isNaN(price) || price < 0)) {
@@ -681,63 +710,78 @@ router.put(
         }
       }
 
-      const product = await prisma.product.update({
-        where: { id },
-        data: {
-          name,
-          description,
-          price,
-          quantity,
-          weight,
-          delivery_price_for_pp,
-          delivery_price_for_province,
-          categoryId,
-          imageUrl,
-          isActive: isActiveBool,
-          note,
-          bannerText,
-          bannerColor,
-          bannerType,
-          originalPrice,
-        },
-        include: {
-          category: {
-            select: {
-              id: true,
-              name: true,
+      // Quantity goes through the stock ledger, not the plain update. Both
+      // commit together, so a failed update leaves stock and ledger untouched.
+      const product = await prisma.$transaction(async (tx) => {
+        if (quantity !== undefined) {
+          await inventoryLedgerService.setStock(
+            {
+              productId: id,
+              quantity,
+              userId: req.user.id,
             },
+            tx
+          );
+        }
+
+        return tx.product.update({
+          where: { id },
+          data: {
+            name,
+            description,
+            price,
+            weight,
+            delivery_price_for_pp,
+            delivery_price_for_province,
+            deliveryOverride: deliveryOverrideBool,
+            categoryId,
+            imageUrl,
+            isActive: isActiveBool,
+            note,
+            bannerText,
+            bannerColor,
+            bannerType,
+            originalPrice,
           },
-          optionGroups: {
-            include: {
-              options: {
-                orderBy: {
-                  sortOrder: "asc",
-                },
+          include: {
+            category: {
+              select: {
+                id: true,
+                name: true,
               },
-              parentGroup: {
-                select: {
-                  id: true,
-                  name: true,
+            },
+            optionGroups: {
+              include: {
+                options: {
+                  orderBy: {
+                    sortOrder: "asc",
+                  },
                 },
-              },
-              childGroups: {
-                include: {
-                  options: {
-                    orderBy: {
-                      sortOrder: "asc",
-                    },
+                parentGroup: {
+                  select: {
+                    id: true,
+                    name: true,
                   },
                 },
-                orderBy: {
-                  sortOrder: "asc",
+                childGroups: {
+                  include: {
+                    options: {
+                      orderBy: {
+                        sortOrder: "asc",
+                      },
+                    },
+                  },
+                  orderBy: {
+                    sortOrder: "asc",
+                  },
                 },
               },
-            },
-            orderBy: {
-              sortOrder: "asc",
+              orderBy: {
+                sortOrder: "asc",
+              },
             },
           },
-        },
+        });
       });
 
       res.json({
@@ -745,6 +789,7 @@ router.put(
         product,
       });
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error("Update product error:", error);
       res.status(500).json({ message: "Internal server error" });
     }
@@ -1,10 +1,28 @@
 const express = require("express");
-const { query, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const getPrismaClient = require("../lib/prisma");
+const reservationService = require("../services/reservationService");
+const orderTrackingService = require("../services/orderTrackingService");
+const checkoutService = require("../services/checkoutService");
+const {
+  trackingLimiter,
+  requireOrderAccess,
+} = require("../middleware/orderAccess");
+const { sendServiceError } = require("../lib/errors");
 
 const router = express.Router();
 const prisma = getPrismaClient();
 
+// The storefront sees available-to-sell (on-hand minus stock reserved by
+// PLACED orders) as `quantity`, never the raw on-hand count
+const toPublicProduct = ({ reservedQuantity, ...product }) => ({
+  ...product,
+  quantity: reservationService.availableToSell({
+    quantity: product.quantity,
+    reservedQuantity,
+  }),
+});
+
 // GET /api/public/products - Get all active products (public access)
 router.get(
   "/products",
@@ -36,13 +54,18 @@ router.get(
       const search = req.query.search;
       const category = req.query.category;
 
-      // Build where clause - only show active products and filter out products without options that have zero stock
+      // Build where clause - only show active products and filter out products without options that have nothing to sell
       const where = {
         isActive: true,
-        // Filter out products without hierarchy (options) that have zero stock
+        // Filter out products without hierarchy (options) that have no available stock
         OR: [
           { hasOptions: true }, // Show all products with options
-          { AND: [{ hasOptions: false }, { quantity: { gt: 0 } }] }, // Show products without options only if stock > 0
+          {
+            AND: [
+              { hasOptions: false },
+              { quantity: { gt: prisma.product.fields.reservedQuantity } },
+            ],
+          }, // Show products without options only if available stock > 0
         ],
       };
 
@@ -74,6 +97,7 @@ router.get(
             description: true,
             price: true,
             quantity: true,
+            reservedQuantity: true,
             weight: true,
             imageUrl: true,
             bannerText: true,
@@ -127,7 +151,7 @@ router.get(
       const totalPages = Math.ceil(totalCount / limit);
 
       res.json({
-        products,
+        products: products.map(toPublicProduct),
         pagination: {
           currentPage: page,
           totalPages,
@@ -159,6 +183,7 @@ router.get("/products/:id", async (req, res) => {
         description: true,
         price: true,
         quantity: true,
+        reservedQuantity: true,
         weight: true,
         imageUrl: true,
         bannerText: true,
@@ -211,13 +236,81 @@ router.get("/products/:id", async (req, res) => {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    res.json({ product });
+    res.json({ product: toPublicProduct(product) });
   } catch (error) {
     console.error("Get public product error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 });
 
+// GET /api/public/orders/:id/tracking - Where a customer's order is, with
+// its state timeline. Needs the order's tracking token (`X-Order-Token` or
+// `token`) or the phone number it was placed with (`phone`).
+router.get(
+  "/orders/:id/tracking",
+  trackingLimiter,
+  requireOrderAccess,
+  async (req, res) => {
+    try {
+      const tracking = await orderTrackingService.getTracking(
+        req.trackedOrder.id
+      );
+      res.json({ tracking });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Get order tracking error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+// POST /api/public/checkout/quote - Authoritative prices for a cart: line
+// prices with their options, availability, the delivery fee and the total.
+// Customer orders are only accepted at these prices.
+router.post(
+  "/checkout/quote",
+  [
+    body("province")
+      .trim()
+      .isIn(["Phnom Penh", "Province"])
+      .withMessage("Province must be either 'Phnom Penh' or 'Province'"),
+    body("customerLocation").optional().isString().trim(),
+    body("items")
+      .isArray({ min: 1, max: 100 })
+      .withMessage("Between 1 and 100 items are required"),
+    body("items.*.productId").isString().withMessage("Product ID is required"),
+    body("items.*.quantity")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("items.*.optionDetails")
+      .optional({ nullable: true })
+      .isArray()
+      .withMessage("Option details must be an array"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const quote = await checkoutService.quote({
+        items: req.body.items,
+        province: req.body.province,
+        customerLocation: req.body.customerLocation,
+      });
+      res.json({ quote: checkoutService.toPublicQuote(quote) });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error("Checkout quote error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
 // GET /api/public/categories - Get all active categories (public access)
 router.get("/categories", async (req, res) => {
   try {
@@ -0,0 +1,25 @@
+// Link orders placed before the customer directory existed to their
+// customers (one per phone number). Safe to run again.
+// Usage: node scripts/backfillCustomers.js
+require("dotenv").config();
+const getPrismaClient = require("../lib/prisma");
+const customerService = require("../services/customerService");
+
+const prisma = getPrismaClient();
+
+async function backfillCustomers() {
+  try {
+    const { linked, skipped } = await customerService.backfill();
+    console.log(`✅ Linked ${linked} order(s) to customers`);
+    if (skipped > 0) {
+      console.log(`⚠️  Skipped ${skipped} order(s) without a usable phone`);
+    }
+  } catch (error) {
+    console.error("❌ Error backfilling customers:", error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillCustomers();
@@ -0,0 +1,32 @@
+// Reserve stock for orders that were already PLACED when stock reservations
+// were introduced, so available-to-sell does not overstate stock. Run once
+// after deploying reservations. Safe to run again.
+// Usage: node scripts/backfillReservations.js
+require("dotenv").config();
+const getPrismaClient = require("../lib/prisma");
+const reservationService = require("../services/reservationService");
+
+const prisma = getPrismaClient();
+
+async function backfillReservations() {
+  try {
+    const { reserved, short } = await reservationService.backfill();
+    console.log(`✅ Reserved stock for ${reserved} placed order(s)`);
+    for (const { orderId, shortages } of short) {
+      const lines = shortages
+        .map(
+          (line) =>
+            `${line.productName} (requested ${line.requestedQuantity}, available ${line.availableStock})`
+        )
+        .join(", ");
+      console.log(`⚠️  Order ${orderId} not reserved, short of ${lines}`);
+    }
+  } catch (error) {
+    console.error("❌ Error backfilling reservations:", error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillReservations();
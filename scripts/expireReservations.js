@@ -0,0 +1,21 @@
+// Release stock reservations whose orders sat in PLACED past their expiry.
+// Run periodically (e.g. hourly cron): node scripts/expireReservations.js
+require("dotenv").config();
+const getPrismaClient = require("../lib/prisma");
+const reservationService = require("../services/reservationService");
+
+const prisma = getPrismaClient();
+
+async function expireReservations() {
+  try {
+    const expired = await reservationService.expireStale();
+    console.log(`✅ Expired ${expired} stock reservation(s)`);
+  } catch (error) {
+    console.error("❌ Error expiring reservations:", error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+expireReservations();
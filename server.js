@@ -23,6 +23,11 @@ const publicRoutes = require("./routes/public");
 const staffRoutes = require("./routes/staff");
 const customerOrderRoutes = require("./routes/customer-orders");
 const blacklistPhoneRoutes = require("./routes/blacklist-phones");
+const inventoryRoutes = require("./routes/inventory");
+const driverAppRoutes = require("./routes/driver-app");
+const deliveryZoneRoutes = require("./routes/delivery-zones");
+const customerRoutes = require("./routes/customers");
+const deliveryRateRoutes = require("./routes/delivery-rates");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -91,6 +96,7 @@ const corsOptions = {
     "Authorization",
     "X-Requested-With",
     "Accept",
+    "X-Order-Token",
   ],
   exposedHeaders: ["Content-Range", "X-Content-Range"],
   maxAge: 86400, // Cache preflight requests for 24 hours
@@ -133,6 +139,11 @@ app.use("/api/categories", categoryRoutes);
 app.use("/api/drivers", driverRoutes);
 app.use("/api/public", publicRoutes);
 app.use("/api/blacklist-phones", blacklistPhoneRoutes);
+app.use("/api/inventory", inventoryRoutes);
+app.use("/api/driver-app", driverAppRoutes);
+app.use("/api/delivery-zones", deliveryZoneRoutes);
+app.use("/api/customers", customerRoutes);
+app.use("/api/delivery-rates", deliveryRateRoutes);
 
 app.use("/api/staff", staffRoutes);
 app.use("/api/customer-orders", customerOrderRoutes);
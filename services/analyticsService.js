@@ -0,0 +1,417 @@
+const { Prisma } = require("@prisma/client");
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const {
+  STORE_TIMEZONE,
+  getZonedParts,
+  zonedTimeToUtc,
+  toZonedDay,
+} = require("../lib/timezone");
+const { round2 } = require("../lib/pricing");
+const prisma = getPrismaClient();
+
+// Orders that never turned into money are left out of revenue figures
+const NON_REVENUE_STATES = ["CANCELLED", "RETURNED"];
+
+const GRANULARITIES = ["day", "week", "month"];
+
+// Keep bucketed charts to a sane number of points
+const MAX_BUCKETS = 400;
+
+// Leaderboard sort keys; the rest rank highest first
+const DRIVER_SORTS = [
+  "completed",
+  "assigned",
+  "revenue",
+  "returnRate",
+  "averageDeliveryHours",
+];
+const ASCENDING_DRIVER_SORTS = ["returnRate", "averageDeliveryHours"];
+
+const toNumber = (value) => (value == null ? 0 : Number(value));
+
+class AnalyticsService {
+  /**
+   * Turn optional YYYY-MM-DD `dateFrom`/`dateTo` (both inclusive, days in
+   * `timeZone`) into a half-open [from, to) range on orderAt. Defaults to the
+   * last `defaultDays` days including today.
+   */
+  resolveRange(
+    { dateFrom, dateTo } = {},
+    defaultDays = 30,
+    timeZone = STORE_TIMEZONE
+  ) {
+    const lastDay = toZonedDay(dateTo || new Date(), timeZone);
+    const firstDay = dateFrom
+      ? toZonedDay(dateFrom, timeZone)
+      : lastDay && { ...lastDay, day: lastDay.day - defaultDays + 1 };
+
+    if (!firstDay || !lastDay) {
+      throw new ServiceError("Invalid date range. Use YYYY-MM-DD");
+    }
+
+    const from = zonedTimeToUtc(firstDay, timeZone);
+    const to = zonedTimeToUtc({ ...lastDay, day: lastDay.day + 1 }, timeZone);
+    if (from >= to) {
+      throw new ServiceError("dateFrom must not be after dateTo");
+    }
+
+    return { from, to, timeZone };
+  }
+
+  /**
+   * Calendar months in `timeZone`: `count` months starting `monthsAgo`
+   * months before the current one
+   */
+  getMonthRange(monthsAgo = 0, count = 1, timeZone = STORE_TIMEZONE) {
+    const { year, month } = getZonedParts(new Date(), timeZone);
+    return {
+      from: zonedTimeToUtc({ year, month: month - monthsAgo, day: 1 }, timeZone),
+      to: zonedTimeToUtc(
+        { year, month: month - monthsAgo + count, day: 1 },
+        timeZone
+      ),
+      timeZone,
+    };
+  }
+
+  /**
+   * Revenue SQL fragments shared by every grouped query. Delivery margin is
+   * what the customer paid for delivery minus what the delivery company
+   * charges us.
+   */
+  revenueColumns() {
+    const isRevenue = Prisma.sql`"state"::text NOT IN (${Prisma.join(
+      NON_REVENUE_STATES
+    )})`;
+    return Prisma.sql`
+      COUNT(*) AS "orders",
+      COUNT(*) FILTER (WHERE ${isRevenue}) AS "revenueOrders",
+      COALESCE(SUM("totalPrice") FILTER (WHERE ${isRevenue}), 0) AS "revenue",
+      COALESCE(SUM("subtotalPrice") FILTER (WHERE ${isRevenue}), 0) AS "subtotal",
+      COALESCE(SUM("deliveryPrice") FILTER (WHERE ${isRevenue}), 0) AS "deliveryFees",
+      COALESCE(SUM("companyDeliveryPrice") FILTER (WHERE ${isRevenue}), 0) AS "deliveryCost"`;
+  }
+
+  /**
+   * Convert a raw aggregate row (BigInt counts, float sums) to plain numbers
+   */
+  formatRevenueRow(row) {
+    const revenueOrders = toNumber(row.revenueOrders);
+    const revenue = toNumber(row.revenue);
+    const deliveryFees = toNumber(row.deliveryFees);
+    const deliveryCost = toNumber(row.deliveryCost);
+
+    return {
+      orders: toNumber(row.orders),
+      revenueOrders,
+      revenue: round2(revenue),
+      subtotal: round2(toNumber(row.subtotal)),
+      deliveryFees: round2(deliveryFees),
+      deliveryCost: round2(deliveryCost),
+      deliveryMargin: round2(deliveryFees - deliveryCost),
+      averageOrderValue: revenueOrders > 0 ? round2(revenue / revenueOrders) : 0,
+    };
+  }
+
+  /**
+   * Totals for a date range in a single query
+   */
+  async getSummary(range) {
+    const [row] = await prisma.$queryRaw`
+      SELECT ${this.revenueColumns()}
+      FROM "orders"
+      WHERE "orderAt" >= ${range.from} AND "orderAt" < ${range.to}`;
+
+    return this.formatRevenueRow(row);
+  }
+
+  /**
+   * Revenue and order counts per day, week (Monday start) or month in the
+   * range's timezone. Buckets without orders are filled with zeros so charts
+   * have a continuous axis.
+   */
+  async getTimeSeries(range, granularity = "day") {
+    if (!GRANULARITIES.includes(granularity)) {
+      throw new ServiceError(
+        `Granularity must be one of: ${GRANULARITIES.join(", ")}`
+      );
+    }
+
+    const buckets = this.listBuckets(range, granularity);
+    if (buckets.length > MAX_BUCKETS) {
+      throw new ServiceError(
+        `Date range too large for ${granularity} buckets (max ${MAX_BUCKETS})`
+      );
+    }
+
+    // orderAt holds UTC; bucket on the local wall clock of the timezone
+    const timeZone = range.timeZone || STORE_TIMEZONE;
+    const rows = await prisma.$queryRaw`
+      SELECT date_trunc(
+          ${granularity},
+          ("orderAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}
+        ) AS "bucket",
+        ${this.revenueColumns()}
+      FROM "orders"
+      WHERE "orderAt" >= ${range.from} AND "orderAt" < ${range.to}
+      GROUP BY 1
+      ORDER BY 1`;
+
+    const rowsByBucket = new Map(
+      rows.map((row) => [new Date(row.bucket).getTime(), row])
+    );
+
+    return buckets.map(({ wallClock, start }) => ({
+      period: start.toISOString(),
+      label: this.formatBucketLabel(wallClock, granularity),
+      ...this.formatRevenueRow(
+        rowsByBucket.get(wallClock.getTime()) || { orders: 0 }
+      ),
+    }));
+  }
+
+  /**
+   * Order counts and revenue per state
+   */
+  async getOrdersByState(range) {
+    const rows = await prisma.$queryRaw`
+      SELECT "state"::text AS "state",
+        COUNT(*) AS "count",
+        COALESCE(SUM("totalPrice"), 0) AS "totalPrice"
+      FROM "orders"
+      WHERE "orderAt" >= ${range.from} AND "orderAt" < ${range.to}
+      GROUP BY 1
+      ORDER BY 2 DESC`;
+
+    return rows.map((row) => ({
+      state: row.state,
+      count: toNumber(row.count),
+      totalPrice: round2(toNumber(row.totalPrice)),
+    }));
+  }
+
+  /**
+   * Orders, revenue and delivery margin per order source
+   */
+  async getOrdersBySource(range) {
+    const rows = await prisma.$queryRaw`
+      SELECT "orderSource"::text AS "orderSource", ${this.revenueColumns()}
+      FROM "orders"
+      WHERE "orderAt" >= ${range.from} AND "orderAt" < ${range.to}
+      GROUP BY 1
+      ORDER BY 2 DESC`;
+
+    return rows.map((row) => ({
+      orderSource: row.orderSource,
+      ...this.formatRevenueRow(row),
+    }));
+  }
+
+  /**
+   * Delivery SQL fragments for a driver's orders. Assign-to-complete time
+   * only counts COMPLETED orders with both timestamps.
+   */
+  driverColumns() {
+    const inState = (state) => Prisma.sql`"state"::text = ${state}`;
+    const isCompleted = inState("COMPLETED");
+    return Prisma.sql`
+      COUNT(*) AS "assigned",
+      COUNT(*) FILTER (WHERE ${inState("DELIVERING")}) AS "delivering",
+      COUNT(*) FILTER (WHERE ${isCompleted}) AS "completed",
+      COUNT(*) FILTER (WHERE ${inState("RETURNED")}) AS "returned",
+      COUNT(*) FILTER (WHERE ${inState("CANCELLED")}) AS "cancelled",
+      COALESCE(SUM("totalPrice") FILTER (WHERE ${isCompleted}), 0) AS "revenue",
+      AVG(EXTRACT(EPOCH FROM ("completedAt" - "assignedAt")))
+        FILTER (WHERE ${isCompleted} AND "completedAt" IS NOT NULL)
+        AS "deliverySeconds"`;
+  }
+
+  /**
+   * Convert a raw driver aggregate row to plain numbers. Return rate is the
+   * share of finished deliveries (completed or returned) that came back.
+   */
+  formatDriverRow(row) {
+    const completed = toNumber(row.completed);
+    const returned = toNumber(row.returned);
+    const finished = completed + returned;
+
+    return {
+      assigned: toNumber(row.assigned),
+      delivering: toNumber(row.delivering),
+      completed,
+      returned,
+      cancelled: toNumber(row.cancelled),
+      returnRate:
+        finished > 0
+          ? parseFloat(((returned / finished) * 100).toFixed(1))
+          : null,
+      averageDeliveryHours:
+        row.deliverySeconds == null
+          ? null
+          : parseFloat((toNumber(row.deliverySeconds) / 3600).toFixed(1)),
+      revenue: round2(toNumber(row.revenue)),
+    };
+  }
+
+  /**
+   * Delivery stats per driver for orders assigned in the range, optionally
+   * for one driver and/or one province
+   */
+  async getDriverStats(range, { driverId, province } = {}) {
+    const rows = await prisma.$queryRaw`
+      SELECT "driverId", ${this.driverColumns()}
+      FROM "orders"
+      WHERE "driverId" IS NOT NULL
+        AND "assignedAt" >= ${range.from} AND "assignedAt" < ${range.to}
+        ${driverId ? Prisma.sql`AND "driverId" = ${driverId}` : Prisma.empty}
+        ${province ? Prisma.sql`AND "province" = ${province}` : Prisma.empty}
+      GROUP BY 1`;
+
+    return new Map(
+      rows.map((row) => [row.driverId, this.formatDriverRow(row)])
+    );
+  }
+
+  /**
+   * One driver's stats for orders assigned in the range, with a breakdown
+   * per province
+   */
+  async getDriverPerformance(driverId, range) {
+    const driver = await prisma.driver.findUnique({
+      where: { id: driverId },
+      select: { id: true, name: true, phone: true, isActive: true },
+    });
+    if (!driver) {
+      throw new ServiceError("Driver not found", 404);
+    }
+
+    const [stats, provinceRows] = await Promise.all([
+      this.getDriverStats(range, { driverId }),
+      prisma.$queryRaw`
+        SELECT "province", ${this.driverColumns()}
+        FROM "orders"
+        WHERE "driverId" = ${driverId}
+          AND "assignedAt" >= ${range.from} AND "assignedAt" < ${range.to}
+        GROUP BY 1
+        ORDER BY 2 DESC, 1`,
+    ]);
+
+    return {
+      driver,
+      summary: stats.get(driverId) || this.formatDriverRow({}),
+      byProvince: provinceRows.map((row) => ({
+        province: row.province,
+        ...this.formatDriverRow(row),
+      })),
+    };
+  }
+
+  /**
+   * Drivers ranked by `sort` over orders assigned in the range. Active
+   * drivers are always listed; inactive ones only if they had orders.
+   * Drivers with fewer than `minOrders` assigned orders, or without a value
+   * for the sort key, are ranked last.
+   */
+  async getDriverLeaderboard(
+    range,
+    { sort = "completed", province, minOrders = 0 } = {}
+  ) {
+    if (!DRIVER_SORTS.includes(sort)) {
+      throw new ServiceError(`Sort must be one of: ${DRIVER_SORTS.join(", ")}`);
+    }
+
+    const stats = await this.getDriverStats(range, { province });
+    const drivers = await prisma.driver.findMany({
+      where: {
+        OR: [{ isActive: true }, { id: { in: [...stats.keys()] } }],
+      },
+      select: { id: true, name: true, phone: true, isActive: true },
+      orderBy: { name: "asc" },
+    });
+
+    const ascending = ASCENDING_DRIVER_SORTS.includes(sort);
+    const ranked = (entry) =>
+      entry.assigned >= minOrders && entry[sort] != null;
+
+    const entries = drivers
+      .map((driver) => ({
+        driver,
+        ...(stats.get(driver.id) || this.formatDriverRow({})),
+      }))
+      .sort((a, b) => {
+        if (ranked(a) !== ranked(b)) return ranked(a) ? -1 : 1;
+        if (!ranked(a)) return b.assigned - a.assigned;
+        return ascending ? a[sort] - b[sort] : b[sort] - a[sort];
+      });
+
+    return entries.map((entry, index) => ({
+      rank: ranked(entry) ? index + 1 : null,
+      ...entry,
+    }));
+  }
+
+  /**
+   * Every bucket in the range, matching Postgres date_trunc on local time.
+   * `wallClock` is the bucket start as local wall-clock time stored in a UTC
+   * Date (how Postgres returns it); `start` is the real instant.
+   */
+  listBuckets(range, granularity) {
+    const timeZone = range.timeZone || STORE_TIMEZONE;
+    const { year, month, day } = getZonedParts(range.from, timeZone);
+    const cursor = new Date(Date.UTC(year, month - 1, day));
+    if (granularity === "week") {
+      // ISO weeks start on Monday
+      cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7));
+    } else if (granularity === "month") {
+      cursor.setUTCDate(1);
+    }
+
+    const buckets = [];
+    while (buckets.length <= MAX_BUCKETS) {
+      const start = zonedTimeToUtc(
+        {
+          year: cursor.getUTCFullYear(),
+          month: cursor.getUTCMonth() + 1,
+          day: cursor.getUTCDate(),
+        },
+        timeZone
+      );
+      if (start >= range.to) break;
+
+      buckets.push({ wallClock: new Date(cursor), start });
+      if (granularity === "day") cursor.setUTCDate(cursor.getUTCDate() + 1);
+      if (granularity === "week") cursor.setUTCDate(cursor.getUTCDate() + 7);
+      if (granularity === "month") cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return buckets;
+  }
+
+  formatBucketLabel(wallClock, granularity) {
+    if (granularity === "month") {
+      return wallClock.toLocaleDateString("en-US", {
+        timeZone: "UTC",
+        month: "short",
+        year: "numeric",
+      });
+    }
+    const label = wallClock.toLocaleDateString("en-US", {
+      timeZone: "UTC",
+      month: "short",
+      day: "numeric",
+    });
+    return granularity === "week" ? `Week of ${label}` : label;
+  }
+
+  /**
+   * Percentage change from `previous` to `current`, one decimal
+   */
+  growth(current, previous) {
+    if (previous > 0) {
+      return parseFloat((((current - previous) / previous) * 100).toFixed(1));
+    }
+    return current > 0 ? 100 : 0;
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,199 @@
+const { Prisma } = require("@prisma/client");
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { normalizePhone } = require("../lib/phone");
+const { round2 } = require("../lib/pricing");
+const storeConfig = require("../config/store");
+const prisma = getPrismaClient();
+
+const ENTRY_SELECT = {
+  id: true,
+  phone: true,
+  rawPhone: true,
+  reason: true,
+  expiresAt: true,
+};
+
+// Phones per apply request
+const MAX_APPLY_PHONES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entries without an expiry apply forever
+const activeWhere = (now = new Date()) => ({
+  OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+});
+
+class BlacklistService {
+  /**
+   * The blacklist entry for a phone number, or null when it is not
+   * blacklisted or its ban has expired. Numbers are matched by their digits
+   * only.
+   */
+  async check(phone, client = prisma) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) return null;
+    return client.blacklistedPhone.findFirst({
+      where: { phone: normalized, ...activeWhere() },
+      select: ENTRY_SELECT,
+    });
+  }
+
+  /**
+   * Active blacklist entries for many phone numbers at once, keyed by
+   * normalized phone. Numbers that are not blacklisted are left out.
+   */
+  async findEntries(phones, client = prisma) {
+    const normalized = [
+      ...new Set(phones.map((phone) => normalizePhone(phone)).filter(Boolean)),
+    ];
+    if (normalized.length === 0) return new Map();
+
+    const entries = await client.blacklistedPhone.findMany({
+      where: { phone: { in: normalized }, ...activeWhere() },
+      select: ENTRY_SELECT,
+    });
+    return new Map(entries.map((entry) => [entry.phone, entry]));
+  }
+
+  isExpired(entry, now = new Date()) {
+    return !!entry.expiresAt && entry.expiresAt <= now;
+  }
+
+  /**
+   * Suggestion criteria, with anything not given taken from the store config
+   */
+  resolveCriteria({ windowDays, minFailed, minRatio } = {}) {
+    return {
+      windowDays: windowDays ?? storeConfig.blacklistSuggestWindowDays,
+      minFailed: minFailed ?? storeConfig.blacklistSuggestMinFailed,
+      minRatio: minRatio ?? storeConfig.blacklistSuggestMinRatio,
+    };
+  }
+
+  /**
+   * Phones worth blacklisting: those whose orders over the last
+   * `windowDays` days were RETURNED or CANCELLED at least `minFailed` times,
+   * making up at least `minRatio` of their finished orders. The score
+   * (failed orders x failure ratio) puts repeat offenders first. Phones that
+   * are already blacklisted are left out. Pass `phones` to score only those.
+   */
+  async getSuggestions(criteria = {}, { phones = null, limit = 100 } = {}) {
+    const { windowDays, minFailed, minRatio } = this.resolveCriteria(criteria);
+    const since = new Date(Date.now() - windowDays * DAY_MS);
+    const normalized = phones
+      ? [...new Set(phones.map((phone) => normalizePhone(phone)))]
+      : null;
+    if (normalized && normalized.length === 0) return [];
+
+    const phoneOf = Prisma.sql`regexp_replace("customerPhone", '[^0-9]', '', 'g')`;
+    const inState = (state) => Prisma.sql`"state"::text = ${state}`;
+    const rows = await prisma.$queryRaw`
+      SELECT ${phoneOf} AS "phone",
+        (array_agg("customerPhone" ORDER BY "orderAt" DESC))[1] AS "rawPhone",
+        (array_agg("customerName" ORDER BY "orderAt" DESC))[1] AS "customerName",
+        COUNT(*)::int AS "orderCount",
+        (COUNT(*) FILTER (WHERE ${inState("COMPLETED")}))::int AS "completed",
+        (COUNT(*) FILTER (WHERE ${inState("RETURNED")}))::int AS "returned",
+        (COUNT(*) FILTER (WHERE ${inState("CANCELLED")}))::int AS "cancelled",
+        MAX("orderAt") AS "lastOrderAt"
+      FROM "orders"
+      WHERE "orderAt" >= ${since}
+        AND ${phoneOf} <> ''
+        ${
+          normalized
+            ? Prisma.sql`AND ${phoneOf} IN (${Prisma.join(normalized)})`
+            : Prisma.empty
+        }
+        AND NOT EXISTS (
+          SELECT 1 FROM "blacklisted_phones" b
+          WHERE b."phone" = ${phoneOf}
+            AND (b."expiresAt" IS NULL OR b."expiresAt" > NOW())
+        )
+      GROUP BY 1
+      HAVING COUNT(*) FILTER (
+        WHERE ${inState("RETURNED")} OR ${inState("CANCELLED")}
+      ) >= ${minFailed}`;
+
+    return rows
+      .map((row) => {
+        const failed = row.returned + row.cancelled;
+        const finished = row.completed + failed;
+        const failureRatio = round2(failed / finished);
+        return {
+          ...row,
+          failed,
+          finished,
+          failureRatio,
+          score: round2(failed * failureRatio),
+          reason: `Auto: ${row.returned} returned and ${row.cancelled} cancelled of ${finished} orders in the last ${windowDays} days`,
+        };
+      })
+      .filter((suggestion) => suggestion.failureRatio >= minRatio)
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          b.failed - a.failed ||
+          a.phone.localeCompare(b.phone)
+      )
+      .slice(0, limit);
+  }
+
+  /**
+   * Blacklist suggested phones in one go, each with a reason describing its
+   * return history. Phones that no longer meet the criteria are skipped.
+   */
+  async applySuggestions(
+    phones,
+    criteria = {},
+    { expiresAt = null, actor = null } = {}
+  ) {
+    if (phones.length > MAX_APPLY_PHONES) {
+      throw new ServiceError(`At most ${MAX_APPLY_PHONES} phones per request`);
+    }
+
+    const suggestions = await this.getSuggestions(criteria, {
+      phones,
+      limit: phones.length,
+    });
+    const byPhone = new Map(
+      suggestions.map((suggestion) => [suggestion.phone, suggestion])
+    );
+
+    const skipped = [];
+    const wanted = new Set();
+    for (const phone of phones) {
+      const normalized = normalizePhone(phone);
+      if (byPhone.has(normalized)) {
+        wanted.add(normalized);
+      } else {
+        skipped.push({
+          phone,
+          reason: "Not a blacklist candidate or already blacklisted",
+        });
+      }
+    }
+
+    // An expired entry for the same number is renewed
+    const entries = await prisma.$transaction(
+      [...wanted].map((phone) => {
+        const { rawPhone, reason } = byPhone.get(phone);
+        return prisma.blacklistedPhone.upsert({
+          where: { phone },
+          create: {
+            phone,
+            rawPhone,
+            reason,
+            expiresAt,
+            createdBy: actor?.id || null,
+          },
+          update: { rawPhone, reason, expiresAt },
+        });
+      })
+    );
+
+    return { blacklisted: entries, skipped };
+  }
+}
+
+module.exports = new BlacklistService();
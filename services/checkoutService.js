@@ -0,0 +1,326 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { round2, resolveVariant, priceLine } = require("../lib/pricing");
+const { selectedOptionIds } = require("../lib/optionDetails");
+const reservationService = require("./reservationService");
+const deliveryRateService = require("./deliveryRateService");
+const prisma = getPrismaClient();
+
+// Submitted prices may differ from the quote by rounding only
+const PRICE_TOLERANCE = 0.01;
+
+const CATALOG_SELECT = {
+  id: true,
+  name: true,
+  price: true,
+  weight: true,
+  quantity: true,
+  reservedQuantity: true,
+  hasOptions: true,
+  isActive: true,
+  deliveryOverride: true,
+  delivery_price_for_pp: true,
+  delivery_price_for_province: true,
+  optionGroups: {
+    where: { isActive: true },
+    select: {
+      id: true,
+      name: true,
+      selectionType: true,
+      isRequired: true,
+      options: {
+        where: { isAvailable: true },
+        select: { id: true, name: true, priceType: true, priceValue: true },
+      },
+    },
+  },
+  variants: {
+    where: { isActive: true },
+    select: {
+      id: true,
+      stock: true,
+      reservedStock: true,
+      priceAdjustment: true,
+      variantOptions: { select: { optionId: true } },
+    },
+  },
+};
+
+// The catalogue with deactivated products, options and variants too, for
+// repricing orders placed before they were withdrawn
+const FULL_CATALOG_SELECT = {
+  ...CATALOG_SELECT,
+  optionGroups: {
+    select: {
+      ...CATALOG_SELECT.optionGroups.select,
+      options: { select: CATALOG_SELECT.optionGroups.select.options.select },
+    },
+  },
+  variants: { select: CATALOG_SELECT.variants.select },
+};
+
+class CheckoutService {
+  /**
+   * Authoritative prices for a cart: each line's unit price and
+   * availability, the delivery fee to `province` (and `customerLocation`,
+   * for zone rates) and the grand total.
+   * Items are `{ productId, quantity, optionDetails }` with `optionDetails`
+   * in the order format (`[{ selectedOptions: [{ id }] }]`).
+   * `valid` is false when a line cannot be ordered as selected and
+   * `available` when stock cannot cover the cart. `deliveryCost`, what
+   * the delivery costs the shop, is for staff only: see `toPublicQuote`.
+   */
+  async quote({ items, province, customerLocation }, client = prisma) {
+    const productIds = [...new Set(items.map((item) => item.productId))];
+    const [products, deliveryRules] = await Promise.all([
+      client.product.findMany({
+        where: { id: { in: productIds } },
+        select: CATALOG_SELECT,
+      }),
+      deliveryRateService.loadRules(client),
+    ]);
+    const byId = new Map(products.map((product) => [product.id, product]));
+
+    const lines = items.map((item) =>
+      this.quoteLine(item, byId.get(item.productId))
+    );
+    this.checkAvailability(lines);
+
+    const subtotal = round2(
+      lines.reduce((sum, line) => sum + line.lineTotal, 0)
+    );
+    const delivery = deliveryRateService.compute(deliveryRules, {
+      province,
+      customerLocation,
+      subtotal,
+      items: lines.filter((line) => line.product),
+    });
+
+    return {
+      lines: lines.map(({ product, sku, ...line }) => line),
+      subtotal,
+      deliveryFee: delivery.deliveryPrice,
+      deliveryCost: delivery.companyDeliveryPrice,
+      freeShipping: delivery.freeShipping,
+      total: round2(subtotal + delivery.deliveryPrice),
+      valid: lines.every((line) => line.errors.length === 0),
+      available: lines.every((line) => line.available),
+    };
+  }
+
+  /**
+   * Price one cart item against its product's active options and variants
+   */
+  quoteLine(item, product) {
+    const quantity = parseInt(item.quantity) || 0;
+    const line = {
+      productId: item.productId,
+      name: product?.name || null,
+      quantity,
+      variantId: null,
+      optionDetails: null,
+      unitPrice: 0,
+      lineTotal: 0,
+      weight: 0,
+      available: false,
+      availableQuantity: 0,
+      errors: [],
+      product: null,
+      sku: null,
+    };
+    if (!product || !product.isActive) {
+      line.errors.push("Product not found or inactive");
+      return line;
+    }
+    line.product = product;
+    line.weight = product.weight || 0;
+
+    const optionIds = [...new Set(selectedOptionIds(item.optionDetails))];
+    const selections = [];
+    const options = [];
+    for (const id of optionIds) {
+      const group = product.optionGroups.find((entry) =>
+        entry.options.some((option) => option.id === id)
+      );
+      if (!group) {
+        line.errors.push(`Option ${id} is not available for ${product.name}`);
+        continue;
+      }
+      const option = group.options.find((entry) => entry.id === id);
+      options.push(option);
+
+      let selection = selections.find((entry) => entry.groupId === group.id);
+      if (!selection) {
+        selection = {
+          groupId: group.id,
+          groupName: group.name,
+          selectedOptions: [],
+        };
+        selections.push(selection);
+      }
+      selection.selectedOptions.push(option);
+    }
+
+    for (const group of product.optionGroups) {
+      const picked = selections.find((entry) => entry.groupId === group.id);
+      if (group.isRequired && !picked) {
+        line.errors.push(`${group.name} must be selected`);
+      } else if (
+        group.selectionType === "SINGLE" &&
+        picked?.selectedOptions.length > 1
+      ) {
+        line.errors.push(`Only one ${group.name} can be selected`);
+      }
+    }
+
+    const variant = product.hasOptions
+      ? resolveVariant(product.variants, optionIds)
+      : null;
+    line.variantId = variant?.id || null;
+    line.optionDetails = selections.length > 0 ? selections : null;
+    line.unitPrice = priceLine({ basePrice: product.price, variant, options });
+    line.lineTotal = round2(line.unitPrice * quantity);
+    line.sku = variant || product;
+    return line;
+  }
+
+  /**
+   * Price order items entered by staff against the catalogue, the way
+   * `quote` prices a cart, but without the storefront's selection rules
+   * (any available option of the product may be picked) and without a stock
+   * check. Each item comes back with its `product` row, resolved `variant`,
+   * selected `options` and `unitPrice`; whatever price the client sent is
+   * ignored. An unknown product or option is a 400.
+   * Edits of existing orders pass `includeInactive`, so an order holding a
+   * since-deactivated product or option can still be saved.
+   */
+  async priceItems(items, client = prisma, { includeInactive = false } = {}) {
+    const productIds = [...new Set(items.map((item) => item.productId))];
+    const products = await client.product.findMany({
+      where: {
+        id: { in: productIds },
+        ...(!includeInactive && { isActive: true }),
+      },
+      select: includeInactive ? FULL_CATALOG_SELECT : CATALOG_SELECT,
+    });
+    const byId = new Map(products.map((product) => [product.id, product]));
+
+    return items.map((item) => {
+      const product = byId.get(item.productId);
+      if (!product) {
+        throw new ServiceError(`Product with ID ${item.productId} not found`);
+      }
+
+      const catalogOptions = product.optionGroups.flatMap(
+        (group) => group.options
+      );
+      const optionIds = [...new Set(selectedOptionIds(item.optionDetails))];
+      const options = optionIds.map((id) => {
+        const option = catalogOptions.find((entry) => entry.id === id);
+        if (!option) {
+          throw new ServiceError(
+            `Option ${id} is not available for ${product.name}`
+          );
+        }
+        return option;
+      });
+
+      const variant = product.hasOptions
+        ? resolveVariant(product.variants, optionIds)
+        : null;
+      return {
+        ...item,
+        product,
+        variant,
+        options,
+        unitPrice: priceLine({ basePrice: product.price, variant, options }),
+      };
+    });
+  }
+
+  /**
+   * Apply staff price overrides to lines from `priceItems`: an item's
+   * `priceOverride`, when given, replaces its catalogue price. Returns the
+   * overridden lines as `{ "items[i].price": { product, from, to } }`, the
+   * changes of the PRICE_OVERRIDDEN event the caller records.
+   */
+  applyPriceOverrides(lines) {
+    const changes = {};
+    lines.forEach((line, index) => {
+      if (line.priceOverride == null || line.priceOverride === "") return;
+      const price = round2(parseFloat(line.priceOverride));
+      if (!Number.isFinite(price) || price < 0) {
+        throw new ServiceError(
+          `Invalid price override for product ${line.productId}`
+        );
+      }
+      if (price !== line.unitPrice) {
+        changes[`items[${index}].price`] = {
+          product: line.product.name,
+          from: line.unitPrice,
+          to: price,
+        };
+      }
+      line.unitPrice = price;
+    });
+    return changes;
+  }
+
+  /**
+   * Mark lines whose SKU cannot cover the cart's total demand for it, so two
+   * lines drawing on the same stock are checked together
+   */
+  checkAvailability(lines) {
+    const demand = new Map();
+    for (const line of lines) {
+      if (!line.sku) continue;
+      const key = line.variantId || line.productId;
+      demand.set(key, (demand.get(key) || 0) + line.quantity);
+    }
+
+    for (const line of lines) {
+      if (!line.sku) continue;
+      const availableQuantity = reservationService.availableToSell(line.sku);
+      line.availableQuantity = availableQuantity;
+      line.available =
+        demand.get(line.variantId || line.productId) <= availableQuantity;
+    }
+  }
+
+  /**
+   * A quote as the storefront may see it
+   */
+  toPublicQuote({ deliveryCost, ...quote }) {
+    return quote;
+  }
+
+  /**
+   * Differences between submitted order prices and a quote, as
+   * `{ field, expected, received }`. Empty when the order matches.
+   */
+  findMismatches(
+    quote,
+    { items = [], subtotalPrice, deliveryPrice, totalPrice }
+  ) {
+    const mismatches = [];
+    const compare = (field, expected, received) => {
+      const amount = parseFloat(received);
+      if (
+        !Number.isFinite(amount) ||
+        Math.abs(amount - expected) > PRICE_TOLERANCE
+      ) {
+        mismatches.push({ field, expected, received: received ?? null });
+      }
+    };
+
+    quote.lines.forEach((line, index) =>
+      compare(`items[${index}].price`, line.unitPrice, items[index]?.price)
+    );
+    compare("subtotalPrice", quote.subtotal, subtotalPrice);
+    compare("deliveryPrice", quote.deliveryFee, deliveryPrice);
+    compare("totalPrice", quote.total, totalPrice);
+    return mismatches;
+  }
+}
+
+module.exports = new CheckoutService();
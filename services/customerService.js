@@ -0,0 +1,255 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { normalizePhone } = require("../lib/phone");
+const { round2 } = require("../lib/pricing");
+const prisma = getPrismaClient();
+
+// Orders listed on a customer's detail page, newest first
+const HISTORY_LIMIT = 100;
+
+// Orders linked per backfill batch
+const BACKFILL_BATCH_SIZE = 500;
+
+const ORDER_SELECT = {
+  id: true,
+  state: true,
+  orderSource: true,
+  customerName: true,
+  customerPhone: true,
+  customerLocation: true,
+  province: true,
+  totalPrice: true,
+  isPaid: true,
+  orderAt: true,
+  completedAt: true,
+  returnedAt: true,
+};
+
+const SORT_FIELDS = {
+  lastOrderAt: "lastOrderAt",
+  name: "name",
+  createdAt: "createdAt",
+};
+
+class CustomerService {
+  /**
+   * Find or create the customer for an order's phone number and, if it is
+   * their latest order, refresh their name, address and province from it.
+   * Returns the customer id, or null when the phone has no digits. Pass the
+   * transaction client so the customer is rolled back with a failed order.
+   */
+  async upsertFromOrder(client, order) {
+    const phone = normalizePhone(order.customerPhone);
+    if (!phone) return null;
+
+    const orderAt = order.orderAt || new Date();
+    const details = {
+      name: order.customerName,
+      address: order.customerLocation,
+      province: order.province,
+    };
+    const customer = await client.customer.upsert({
+      where: { phone },
+      create: { ...details, phone, lastOrderAt: orderAt },
+      update: {},
+      select: { id: true, lastOrderAt: true },
+    });
+
+    // Only a newer order replaces the details (backfills run oldest first
+    // but may meet customers already updated by live orders)
+    if (!customer.lastOrderAt || customer.lastOrderAt < orderAt) {
+      await client.customer.update({
+        where: { id: customer.id },
+        data: { ...details, lastOrderAt: orderAt },
+      });
+    }
+    return customer.id;
+  }
+
+  /**
+   * Order totals per customer: order count, lifetime spend (COMPLETED
+   * orders), returns and cancellations
+   */
+  async getStats(customerIds, client = prisma) {
+    const groups = await client.order.groupBy({
+      by: ["customerId", "state"],
+      where: { customerId: { in: customerIds } },
+      _count: { _all: true },
+      _sum: { totalPrice: true },
+    });
+
+    const stats = new Map(
+      customerIds.map((id) => [
+        id,
+        {
+          orderCount: 0,
+          completedCount: 0,
+          returnCount: 0,
+          cancelledCount: 0,
+          lifetimeSpend: 0,
+        },
+      ])
+    );
+    for (const group of groups) {
+      const entry = stats.get(group.customerId);
+      if (!entry) continue;
+      entry.orderCount += group._count._all;
+      if (group.state === "COMPLETED") {
+        entry.completedCount += group._count._all;
+        entry.lifetimeSpend += group._sum.totalPrice || 0;
+      } else if (group.state === "RETURNED") {
+        entry.returnCount += group._count._all;
+      } else if (group.state === "CANCELLED") {
+        entry.cancelledCount += group._count._all;
+      }
+    }
+    for (const entry of stats.values()) {
+      entry.lifetimeSpend = round2(entry.lifetimeSpend);
+    }
+    return stats;
+  }
+
+  /**
+   * Customers matching `search` (name, phone or address), with their order
+   * totals
+   */
+  async list({
+    search,
+    page = 1,
+    limit = 20,
+    sortBy = "lastOrderAt",
+    sortOrder = "desc",
+  } = {}) {
+    const where = {};
+    if (search) {
+      const digits = normalizePhone(search);
+      where.OR = [
+        { name: { contains: search, mode: "insensitive" } },
+        { address: { contains: search, mode: "insensitive" } },
+        ...(digits ? [{ phone: { contains: digits } }] : []),
+      ];
+    }
+
+    const field = SORT_FIELDS[sortBy] || "lastOrderAt";
+    const direction = sortOrder === "asc" ? "asc" : "desc";
+    const [customers, total] = await Promise.all([
+      prisma.customer.findMany({
+        where,
+        orderBy: [
+          field === "lastOrderAt"
+            ? { lastOrderAt: { sort: direction, nulls: "last" } }
+            : { [field]: direction },
+          { id: "asc" },
+        ],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.customer.count({ where }),
+    ]);
+
+    const stats = await this.getStats(customers.map((customer) => customer.id));
+    return {
+      customers: customers.map((customer) => ({
+        ...customer,
+        ...stats.get(customer.id),
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * One customer with their order totals and most recent orders
+   */
+  async getCustomer(id) {
+    const customer = await prisma.customer.findUnique({ where: { id } });
+    if (!customer) {
+      throw new ServiceError("Customer not found", 404);
+    }
+
+    const [stats, orders] = await Promise.all([
+      this.getStats([id]),
+      prisma.order.findMany({
+        where: { customerId: id },
+        orderBy: [{ orderAt: "desc" }, { id: "desc" }],
+        take: HISTORY_LIMIT,
+        select: ORDER_SELECT,
+      }),
+    ]);
+
+    return { ...customer, ...stats.get(id), orders };
+  }
+
+  /**
+   * Link orders placed before the directory existed to their customers,
+   * oldest first so each customer ends up with the details of their latest
+   * order. Safe to run again: only unlinked orders are touched.
+   */
+  async backfill({ batchSize = BACKFILL_BATCH_SIZE } = {}) {
+    let linked = 0;
+    let skipped = 0;
+    let cursor = null;
+
+    for (;;) {
+      const orders = await prisma.order.findMany({
+        where: {
+          customerId: null,
+          ...(cursor && {
+            OR: [
+              { orderAt: { gt: cursor.orderAt } },
+              { orderAt: cursor.orderAt, id: { gt: cursor.id } },
+            ],
+          }),
+        },
+        orderBy: [{ orderAt: "asc" }, { id: "asc" }],
+        take: batchSize,
+        select: {
+          id: true,
+          customerName: true,
+          customerPhone: true,
+          customerLocation: true,
+          province: true,
+          orderAt: true,
+        },
+      });
+      if (orders.length === 0) break;
+      cursor = orders[orders.length - 1];
+
+      // The latest order of each phone in the batch stands for the customer
+      const byPhone = new Map();
+      for (const order of orders) {
+        const phone = normalizePhone(order.customerPhone);
+        if (!phone) {
+          skipped += 1;
+          continue;
+        }
+        const entry = byPhone.get(phone) || { ids: [] };
+        entry.ids.push(order.id);
+        entry.latest = order;
+        byPhone.set(phone, entry);
+      }
+
+      await prisma.$transaction(
+        async (tx) => {
+          for (const { ids, latest } of byPhone.values()) {
+            const customerId = await this.upsertFromOrder(tx, latest);
+            const { count } = await tx.order.updateMany({
+              where: { id: { in: ids }, customerId: null },
+              data: { customerId },
+            });
+            linked += count;
+          }
+        },
+        { timeout: 60000 }
+      );
+    }
+
+    return { linked, skipped };
+  }
+}
+
+module.exports = new CustomerService();
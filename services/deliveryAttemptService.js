@@ -0,0 +1,291 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { maxFailedDeliveryAttempts } = require("../config/store");
+const orderLifecycleService = require("./orderLifecycleService");
+const orderHistoryService = require("./orderHistoryService");
+const prisma = getPrismaClient();
+
+const OUTCOMES = [
+  "DELIVERED",
+  "NO_ANSWER",
+  "REFUSED",
+  "WRONG_ADDRESS",
+  "RESCHEDULED",
+];
+
+// Outcomes that count towards the automatic return. A reschedule is the
+// customer's request, not a failure.
+const FAILED_OUTCOMES = ["NO_ANSWER", "REFUSED", "WRONG_ADDRESS"];
+
+const OUTCOME_LABELS = {
+  DELIVERED: "Delivered",
+  NO_ANSWER: "No answer",
+  REFUSED: "Refused",
+  WRONG_ADDRESS: "Wrong address",
+  RESCHEDULED: "Rescheduled",
+};
+
+const ATTEMPT_INCLUDE = {
+  recorder: { select: { id: true, name: true } },
+};
+
+class DeliveryAttemptService {
+  getOutcomes() {
+    return OUTCOMES;
+  }
+
+  isFailure(outcome) {
+    return FAILED_OUTCOMES.includes(outcome);
+  }
+
+  /**
+   * Log an attempt at delivering a DELIVERING order by its current driver.
+   * A DELIVERED attempt completes the order; reaching
+   * `maxFailedDeliveryAttempts` failures since the order was assigned
+   * returns it, which puts its stock back.
+   *
+   * @param {object} attempt
+   * @param {string} attempt.outcome - One of OUTCOMES
+   * @param {string} [attempt.note]
+   * @param {Date} [attempt.attemptedAt] - Defaults to now
+   * @param {Date} [attempt.rescheduledFor] - RESCHEDULED only
+   * @param {string} [attempt.proofUrl] - Delivery photo
+   * @param {string} [attempt.signatureUrl] - Customer signature image
+   * @param {object} [attempt.actor] - Staff user or driver logging it
+   * @param {string} [attempt.actorType] - USER (default) or DRIVER; a
+   *   driver can only log attempts on their own orders
+   * @returns {Promise<{attempt, order, failedAttempts, autoReturned}>}
+   */
+  async record(
+    orderId,
+    {
+      outcome,
+      note = null,
+      attemptedAt = null,
+      rescheduledFor = null,
+      proofUrl = null,
+      signatureUrl = null,
+      actor = null,
+      actorType = "USER",
+    }
+  ) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new ServiceError(`Outcome must be one of: ${OUTCOMES.join(", ")}`);
+    }
+    if (rescheduledFor && outcome !== "RESCHEDULED") {
+      throw new ServiceError(
+        "rescheduledFor can only be set on a RESCHEDULED attempt"
+      );
+    }
+
+    return prisma.$transaction(
+      async (tx) => {
+        const order = await this.getAttemptableOrder(
+          orderId,
+          { driverId: actorType === "DRIVER" ? actor?.id : undefined },
+          tx
+        );
+
+        const attempt = await tx.deliveryAttempt.create({
+          data: {
+            orderId,
+            driverId: order.driver.id,
+            driverName: order.driver.name,
+            province: order.province,
+            outcome,
+            note,
+            rescheduledFor,
+            proofUrl,
+            signatureUrl,
+            attemptedAt: attemptedAt || new Date(),
+            recordedBy: actorType === "USER" ? actor?.id || null : null,
+          },
+          include: ATTEMPT_INCLUDE,
+        });
+
+        const failedAttempts = await this.countFailures(order, tx);
+        await orderHistoryService.record(tx, {
+          orderId,
+          type: "DELIVERY_ATTEMPTED",
+          actor,
+          actorType,
+          changes: {
+            outcome,
+            driver: order.driver.name,
+            failedAttempts,
+            ...(rescheduledFor && { rescheduledFor }),
+          },
+          note: note
+            ? `${OUTCOME_LABELS[outcome]}: ${note}`
+            : OUTCOME_LABELS[outcome],
+        });
+
+        let autoReturned = false;
+        if (outcome === "DELIVERED") {
+          await orderLifecycleService.transition(
+            orderId,
+            "COMPLETED",
+            { actor, actorType, note: "Delivered" },
+            tx
+          );
+        } else if (
+          this.isFailure(outcome) &&
+          maxFailedDeliveryAttempts > 0 &&
+          failedAttempts >= maxFailedDeliveryAttempts
+        ) {
+          // The return restores the order's stock
+          await orderLifecycleService.transition(
+            orderId,
+            "RETURNED",
+            {
+              actorType: "SYSTEM",
+              note: `Returned automatically after ${failedAttempts} failed delivery attempts`,
+            },
+            tx
+          );
+          autoReturned = true;
+        }
+
+        const updated = await tx.order.findUnique({
+          where: { id: orderId },
+          select: {
+            id: true,
+            state: true,
+            driverId: true,
+            assignedAt: true,
+            completedAt: true,
+            returnedAt: true,
+          },
+        });
+
+        return { attempt, order: updated, failedAttempts, autoReturned };
+      },
+      { timeout: 15000 }
+    );
+  }
+
+  /**
+   * An order an attempt can be logged on: DELIVERING with a driver, and
+   * assigned to `driverId` when given. Lets callers check before uploading
+   * proof images.
+   */
+  async getAttemptableOrder(orderId, { driverId } = {}, client = prisma) {
+    const order = await client.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        state: true,
+        province: true,
+        assignedAt: true,
+        driver: { select: { id: true, name: true } },
+      },
+    });
+    // A driver cannot tell someone else's order from a missing one
+    if (!order || (driverId !== undefined && order.driver?.id !== driverId)) {
+      throw new ServiceError("Order not found", 404);
+    }
+    if (order.state !== "DELIVERING" || !order.driver) {
+      throw new ServiceError(
+        `Delivery attempts can only be logged for DELIVERING orders (order is ${order.state})`,
+        409
+      );
+    }
+    return order;
+  }
+
+  /**
+   * Failed attempts on an order since it was last assigned, so a
+   * re-dispatched order starts counting again
+   */
+  async countFailures(order, client = prisma) {
+    return client.deliveryAttempt.count({
+      where: {
+        orderId: order.id,
+        outcome: { in: FAILED_OUTCOMES },
+        ...(order.assignedAt && { createdAt: { gte: order.assignedAt } }),
+      },
+    });
+  }
+
+  /**
+   * An order's attempts, oldest first
+   */
+  async listForOrder(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, state: true, driverId: true, assignedAt: true },
+    });
+    if (!order) {
+      throw new ServiceError("Order not found", 404);
+    }
+
+    const [attempts, failedAttempts] = await Promise.all([
+      prisma.deliveryAttempt.findMany({
+        where: { orderId },
+        orderBy: [{ attemptedAt: "asc" }, { createdAt: "asc" }],
+        include: ATTEMPT_INCLUDE,
+      }),
+      this.countFailures(order),
+    ]);
+
+    return {
+      order,
+      attempts,
+      failedAttempts,
+      maxFailedAttempts: maxFailedDeliveryAttempts,
+    };
+  }
+
+  /**
+   * Attempt outcomes per province for attempts made in the range, most
+   * failures first. Failure rate is failed attempts over all attempts.
+   */
+  async getFailureReport(range, { driverId } = {}) {
+    const groups = await prisma.deliveryAttempt.groupBy({
+      by: ["province", "outcome"],
+      where: {
+        attemptedAt: { gte: range.from, lt: range.to },
+        ...(driverId && { driverId }),
+      },
+      _count: { _all: true },
+    });
+
+    const emptyRow = () => ({
+      attempts: 0,
+      failed: 0,
+      failureRate: 0,
+      outcomes: Object.fromEntries(OUTCOMES.map((outcome) => [outcome, 0])),
+    });
+    const addTo = (row, group) => {
+      row.attempts += group._count._all;
+      row.outcomes[group.outcome] += group._count._all;
+      if (this.isFailure(group.outcome)) row.failed += group._count._all;
+    };
+    const withRate = (row) => ({
+      ...row,
+      failureRate:
+        row.attempts > 0
+          ? parseFloat(((row.failed / row.attempts) * 100).toFixed(1))
+          : 0,
+    });
+
+    const total = emptyRow();
+    const byProvince = new Map();
+    for (const group of groups) {
+      if (!byProvince.has(group.province)) {
+        byProvince.set(group.province, emptyRow());
+      }
+      addTo(byProvince.get(group.province), group);
+      addTo(total, group);
+    }
+
+    return {
+      summary: withRate(total),
+      byProvince: [...byProvince.entries()]
+        .map(([province, row]) => ({ province, ...withRate(row) }))
+        .sort((a, b) => b.failed - a.failed || b.attempts - a.attempts),
+    };
+  }
+}
+
+module.exports = new DeliveryAttemptService();
@@ -0,0 +1,218 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { round2 } = require("../lib/pricing");
+const storeConfig = require("../config/store");
+const deliveryZoneService = require("./deliveryZoneService");
+const prisma = getPrismaClient();
+
+const RATE_INCLUDE = {
+  zone: { select: { id: true, name: true, province: true } },
+};
+
+const PRODUCT_DELIVERY_SELECT = {
+  id: true,
+  weight: true,
+  deliveryOverride: true,
+  delivery_price_for_pp: true,
+  delivery_price_for_province: true,
+};
+
+const normalize = (value) => (value || "").trim().toLowerCase();
+
+class DeliveryRateService {
+  async listRates() {
+    return prisma.deliveryRate.findMany({
+      orderBy: [{ province: "asc" }, { minWeight: "asc" }, { name: "asc" }],
+      include: RATE_INCLUDE,
+    });
+  }
+
+  async getRate(id) {
+    const rate = await prisma.deliveryRate.findUnique({
+      where: { id },
+      include: RATE_INCLUDE,
+    });
+    if (!rate) {
+      throw new ServiceError("Delivery rate not found", 404);
+    }
+    return rate;
+  }
+
+  async createRate(data) {
+    await this.assertRate(data);
+    return prisma.deliveryRate.create({ data, include: RATE_INCLUDE });
+  }
+
+  async updateRate(id, data) {
+    const rate = await this.getRate(id);
+    await this.assertRate({ ...rate, ...data });
+    return prisma.deliveryRate.update({
+      where: { id },
+      data,
+      include: RATE_INCLUDE,
+    });
+  }
+
+  async deleteRate(id) {
+    await this.getRate(id);
+    await prisma.deliveryRate.delete({ where: { id } });
+  }
+
+  async assertRate({ zoneId, minWeight = 0, maxWeight }) {
+    if (maxWeight != null && maxWeight <= minWeight) {
+      throw new ServiceError("Maximum weight must be above minimum weight");
+    }
+    if (zoneId) {
+      const zone = await prisma.deliveryZone.findUnique({
+        where: { id: zoneId },
+        select: { id: true },
+      });
+      if (!zone) {
+        throw new ServiceError("Delivery zone not found", 400);
+      }
+    }
+  }
+
+  /**
+   * Active rates and zones, loaded once to price many orders
+   */
+  async loadRules(client = prisma) {
+    const [rates, zones] = await Promise.all([
+      client.deliveryRate.findMany({ where: { isActive: true } }),
+      client.deliveryZone.findMany({
+        where: { isActive: true },
+        select: { id: true, province: true, districts: true, isActive: true },
+      }),
+    ]);
+    return { rates, zones };
+  }
+
+  /**
+   * Delivery price and cost for an order given as `items` of
+   * `{ productId, quantity, weight }`. A missing weight is the product's.
+   */
+  async quoteForItems(order, client = prisma) {
+    const productIds = [...new Set(order.items.map((item) => item.productId))];
+    const [rules, products] = await Promise.all([
+      this.loadRules(client),
+      client.product.findMany({
+        where: { id: { in: productIds } },
+        select: PRODUCT_DELIVERY_SELECT,
+      }),
+    ]);
+    const byId = new Map(products.map((product) => [product.id, product]));
+
+    return this.compute(rules, {
+      ...order,
+      items: order.items.map((item) => {
+        const product = byId.get(item.productId);
+        const weight = parseFloat(item.weight);
+        return {
+          product,
+          quantity: item.quantity,
+          weight: Number.isFinite(weight) ? weight : product?.weight,
+        };
+      }),
+    });
+  }
+
+  /**
+   * Delivery price (charged to the customer) and cost (paid by the shop) for
+   * an order with `items` of `{ product, quantity, weight }`, weight per unit.
+   *
+   * Pickup orders are not delivered. Otherwise the matching rate applies,
+   * free for the customer once the subtotal reaches its `freeAbove`. Without
+   * a rate, the customer pays the highest product delivery price and the
+   * shop the store's default cost. Products with `deliveryOverride` always
+   * charge their own price, the highest of them winning over the rate.
+   */
+  compute(rules, order) {
+    const weight = round2(
+      order.items.reduce(
+        (sum, item) => sum + (item.weight || 0) * item.quantity,
+        0
+      )
+    );
+    if (order.orderSource === "PICKUP") {
+      return {
+        deliveryPrice: 0,
+        companyDeliveryPrice: 0,
+        weight,
+        rate: null,
+        freeShipping: false,
+      };
+    }
+
+    const inPhnomPenh = normalize(order.province) === "phnom penh";
+    const productPrice = (product) =>
+      (inPhnomPenh
+        ? product.delivery_price_for_pp
+        : product.delivery_price_for_province) || 0;
+    const products = order.items.map((item) => item.product).filter(Boolean);
+
+    const rate = this.matchRate(rules, order, weight);
+    let price;
+    let cost;
+    let freeShipping = false;
+    if (rate) {
+      freeShipping = rate.freeAbove != null && order.subtotal >= rate.freeAbove;
+      price = freeShipping ? 0 : rate.price;
+      cost = rate.cost;
+    } else {
+      price = Math.max(0, ...products.map(productPrice));
+      cost = inPhnomPenh
+        ? storeConfig.defaultDeliveryCostPhnomPenh
+        : storeConfig.defaultDeliveryCostProvince;
+    }
+
+    const overrides = products
+      .filter((product) => product.deliveryOverride)
+      .map(productPrice);
+    if (overrides.length > 0) {
+      price = Math.max(...overrides);
+      freeShipping = false;
+    }
+
+    return {
+      deliveryPrice: round2(price),
+      companyDeliveryPrice: round2(cost),
+      weight,
+      rate: rate && { id: rate.id, name: rate.name },
+      freeShipping,
+    };
+  }
+
+  /**
+   * The rate covering an order of `weight` kg: rates of the zones covering
+   * it first (most specific zone first, as in driver assignment), then rates
+   * for its province, then catch-all rates. Within a level the rate with the
+   * highest minimum weight wins, so narrower bands can sit inside wide ones.
+   */
+  matchRate({ rates, zones }, order, weight) {
+    const candidates = rates
+      .filter(
+        (rate) =>
+          rate.isActive &&
+          weight >= rate.minWeight &&
+          (rate.maxWeight == null || weight < rate.maxWeight)
+      )
+      .sort((a, b) => b.minWeight - a.minWeight);
+
+    for (const zone of deliveryZoneService.matchZones(order, zones)) {
+      const rate = candidates.find((entry) => entry.zoneId === zone.id);
+      if (rate) return rate;
+    }
+
+    const province = normalize(order.province);
+    return (
+      candidates.find(
+        (rate) =>
+          !rate.zoneId && rate.province && normalize(rate.province) === province
+      ) ||
+      candidates.find((rate) => !rate.zoneId && !rate.province) ||
+      null
+    );
+  }
+}
+
+module.exports = new DeliveryRateService();
@@ -0,0 +1,149 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const prisma = getPrismaClient();
+
+const ZONE_INCLUDE = {
+  drivers: {
+    select: {
+      driver: { select: { id: true, name: true, phone: true, isActive: true } },
+    },
+    orderBy: { driver: { name: "asc" } },
+  },
+};
+
+const normalize = (value) => (value || "").trim().toLowerCase();
+
+class DeliveryZoneService {
+  async listZones({ includeInactive = true } = {}) {
+    const zones = await prisma.deliveryZone.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      orderBy: [{ province: "asc" }, { name: "asc" }],
+      include: ZONE_INCLUDE,
+    });
+    return zones.map((zone) => this.toZone(zone));
+  }
+
+  async getZone(id) {
+    const zone = await prisma.deliveryZone.findUnique({
+      where: { id },
+      include: ZONE_INCLUDE,
+    });
+    if (!zone) {
+      throw new ServiceError("Delivery zone not found", 404);
+    }
+    return this.toZone(zone);
+  }
+
+  /**
+   * Create a zone, optionally with the drivers who cover it
+   */
+  async createZone({ name, province, districts = [], isActive, driverIds }) {
+    if (driverIds) await this.assertDrivers(driverIds);
+
+    try {
+      const zone = await prisma.deliveryZone.create({
+        data: {
+          name,
+          province,
+          districts: this.cleanDistricts(districts),
+          isActive,
+          ...(driverIds && {
+            drivers: { create: driverIds.map((driverId) => ({ driverId })) },
+          }),
+        },
+        include: ZONE_INCLUDE,
+      });
+      return this.toZone(zone);
+    } catch (error) {
+      throw this.translateError(error, name);
+    }
+  }
+
+  /**
+   * Update a zone. `driverIds`, when given, replaces the zone's drivers.
+   */
+  async updateZone(id, { name, province, districts, isActive, driverIds }) {
+    await this.getZone(id);
+    if (driverIds) await this.assertDrivers(driverIds);
+
+    try {
+      const zone = await prisma.deliveryZone.update({
+        where: { id },
+        data: {
+          name,
+          province,
+          districts: districts && this.cleanDistricts(districts),
+          isActive,
+          ...(driverIds && {
+            drivers: {
+              deleteMany: {},
+              create: driverIds.map((driverId) => ({ driverId })),
+            },
+          }),
+        },
+        include: ZONE_INCLUDE,
+      });
+      return this.toZone(zone);
+    } catch (error) {
+      throw this.translateError(error, name);
+    }
+  }
+
+  async deleteZone(id) {
+    await this.getZone(id);
+    await prisma.deliveryZone.delete({ where: { id } });
+  }
+
+  /**
+   * Active zones covering an order, most specific first: zones naming one of
+   * the districts found in customerLocation win over whole-province zones
+   */
+  matchZones(order, zones) {
+    const province = normalize(order.province);
+    const location = normalize(order.customerLocation);
+    const inProvince = zones.filter(
+      (zone) => zone.isActive && normalize(zone.province) === province
+    );
+
+    const byDistrict = inProvince.filter((zone) =>
+      zone.districts.some((district) => location.includes(normalize(district)))
+    );
+    if (byDistrict.length > 0) return byDistrict;
+
+    return inProvince.filter((zone) => zone.districts.length === 0);
+  }
+
+  cleanDistricts(districts) {
+    return [
+      ...new Set(districts.map((district) => district.trim()).filter(Boolean)),
+    ];
+  }
+
+  async assertDrivers(driverIds) {
+    const found = await prisma.driver.findMany({
+      where: { id: { in: driverIds } },
+      select: { id: true },
+    });
+    const known = new Set(found.map((driver) => driver.id));
+    const missing = driverIds.filter((id) => !known.has(id));
+    if (missing.length > 0) {
+      throw new ServiceError("Some drivers were not found", 400, {
+        driverIds: missing,
+      });
+    }
+  }
+
+  translateError(error, name) {
+    if (error.code === "P2002") {
+      return new ServiceError(`A zone named "${name}" already exists`, 409);
+    }
+    return error;
+  }
+
+  toZone(zone) {
+    const { drivers, ...rest } = zone;
+    return { ...rest, drivers: drivers.map((link) => link.driver) };
+  }
+}
+
+module.exports = new DeliveryZoneService();
@@ -0,0 +1,213 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const deliveryZoneService = require("./deliveryZoneService");
+const orderLifecycleService = require("./orderLifecycleService");
+const stockManagementService = require("./stockManagementService");
+const prisma = getPrismaClient();
+
+// Orders per auto-assign request
+const MAX_ORDERS = 200;
+
+class DriverAssignmentService {
+  /**
+   * Work out who should deliver each PLACED order: an active driver of the
+   * zone covering it with the fewest DELIVERING orders, counting the orders
+   * already planned in this batch. Orders are planned oldest first, and one
+   * whose items are not on the shelf (after the earlier orders in the batch
+   * take theirs) is skipped, as assigning it by hand would fail.
+   */
+  async plan(orderIds) {
+    if (orderIds.length > MAX_ORDERS) {
+      throw new ServiceError(`At most ${MAX_ORDERS} orders per request`);
+    }
+
+    const [orders, zones, loads] = await Promise.all([
+      prisma.order.findMany({
+        where: { id: { in: orderIds } },
+        orderBy: [{ orderAt: "asc" }, { id: "asc" }],
+        select: {
+          id: true,
+          state: true,
+          orderSource: true,
+          customerName: true,
+          customerLocation: true,
+          province: true,
+          orderAt: true,
+          heldForReview: true,
+        },
+      }),
+      prisma.deliveryZone.findMany({
+        where: { isActive: true },
+        include: {
+          drivers: {
+            where: { driver: { isActive: true } },
+            select: { driver: { select: { id: true, name: true } } },
+          },
+        },
+      }),
+      prisma.order.groupBy({
+        by: ["driverId"],
+        where: { state: "DELIVERING", driverId: { not: null } },
+        _count: { _all: true },
+      }),
+    ]);
+
+    const load = new Map(
+      loads.map((group) => [group.driverId, group._count._all])
+    );
+    const assignments = [];
+    const skipped = [];
+
+    const found = new Set(orders.map((order) => order.id));
+    for (const orderId of orderIds) {
+      if (!found.has(orderId)) {
+        skipped.push({ orderId, reason: "Order not found" });
+      }
+    }
+
+    const skip = (order, reason, extra = {}) =>
+      skipped.push({
+        orderId: order.id,
+        customerName: order.customerName,
+        province: order.province,
+        reason,
+        ...extra,
+      });
+
+    const eligible = [];
+    for (const order of orders) {
+      if (order.state !== "PLACED") {
+        skip(order, `Order is ${order.state}`);
+        continue;
+      }
+      if (order.heldForReview) {
+        skip(order, "Order is held for review");
+        continue;
+      }
+      if (order.orderSource === "PICKUP") {
+        skip(order, "Pickup orders are not delivered");
+        continue;
+      }
+
+      const matched = deliveryZoneService.matchZones(order, zones);
+      if (matched.length === 0) {
+        skip(order, `No delivery zone covers ${order.province}`);
+        continue;
+      }
+
+      const candidates = new Map();
+      for (const zone of matched) {
+        for (const { driver } of zone.drivers) {
+          if (!candidates.has(driver.id)) {
+            candidates.set(driver.id, { ...driver, zone });
+          }
+        }
+      }
+      if (candidates.size === 0) {
+        skip(
+          order,
+          `No active driver in ${matched.map((zone) => zone.name).join(", ")}`
+        );
+        continue;
+      }
+      eligible.push({ order, candidates });
+    }
+
+    const shortagesByOrder = await stockManagementService.checkStockForOrders(
+      eligible.map(({ order }) => order.id)
+    );
+
+    for (const { order, candidates } of eligible) {
+      const shortages = shortagesByOrder.get(order.id);
+      if (shortages) {
+        skip(order, "Insufficient stock", { shortages });
+        continue;
+      }
+
+      const [driver] = [...candidates.values()].sort(
+        (a, b) =>
+          (load.get(a.id) || 0) - (load.get(b.id) || 0) ||
+          a.name.localeCompare(b.name)
+      );
+      const currentLoad = load.get(driver.id) || 0;
+      load.set(driver.id, currentLoad + 1);
+
+      assignments.push({
+        orderId: order.id,
+        customerName: order.customerName,
+        province: order.province,
+        zone: { id: driver.zone.id, name: driver.zone.name },
+        driver: { id: driver.id, name: driver.name },
+        driverLoad: currentLoad,
+      });
+    }
+
+    return { assignments, skipped };
+  }
+
+  /**
+   * Plan and, unless `dryRun`, dispatch each planned order to its driver
+   * through the normal state change. Orders are dispatched one by one; one
+   * that fails (e.g. stock taken meanwhile) is reported without undoing
+   * the others.
+   */
+  async autoAssign(orderIds, { dryRun = true, actor = null } = {}) {
+    const { assignments, skipped } = await this.plan(orderIds);
+    if (dryRun) {
+      return {
+        dryRun: true,
+        summary: this.summarize(assignments, skipped),
+        assignments,
+        skipped,
+      };
+    }
+
+    const assigned = [];
+    const failed = [];
+    for (const assignment of assignments) {
+      try {
+        await orderLifecycleService.transition(
+          assignment.orderId,
+          "DELIVERING",
+          {
+            actor,
+            driverId: assignment.driver.id,
+            note: `Auto-assigned (zone ${assignment.zone.name})`,
+          }
+        );
+        assigned.push(assignment);
+      } catch (error) {
+        if (!(error instanceof ServiceError)) throw error;
+        failed.push({
+          ...assignment,
+          reason: error.message,
+          ...error.details,
+        });
+      }
+    }
+
+    return {
+      dryRun: false,
+      summary: { ...this.summarize(assigned, skipped), failed: failed.length },
+      assignments: assigned,
+      skipped,
+      failed,
+    };
+  }
+
+  summarize(assignments, skipped) {
+    const perDriver = new Map();
+    for (const { driver } of assignments) {
+      const entry = perDriver.get(driver.id) || { ...driver, orders: 0 };
+      entry.orders += 1;
+      perDriver.set(driver.id, entry);
+    }
+    return {
+      assigned: assignments.length,
+      skipped: skipped.length,
+      drivers: [...perDriver.values()],
+    };
+  }
+}
+
+module.exports = new DriverAssignmentService();
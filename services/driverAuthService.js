@@ -0,0 +1,117 @@
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { normalizePhone } = require("../lib/phone");
+const prisma = getPrismaClient();
+
+// Driver tokens carry this audience: staff middleware rejects them (no
+// userId) and driver middleware rejects staff tokens (no audience)
+const DRIVER_AUDIENCE = "driver";
+
+const DRIVER_SELECT = { id: true, name: true, phone: true, isActive: true };
+
+class DriverAuthService {
+  getAudience() {
+    return DRIVER_AUDIENCE;
+  }
+
+  /**
+   * Give a driver a login PIN, or replace it. Replacing a PIN signs the
+   * driver out everywhere.
+   */
+  async setPin(driverId, pin) {
+    const driver = await prisma.driver.findUnique({
+      where: { id: driverId },
+      select: DRIVER_SELECT,
+    });
+    if (!driver) {
+      throw new ServiceError("Driver not found", 404);
+    }
+
+    const pinHash = await bcrypt.hash(pin, 12);
+    const credential = await prisma.driverCredential.upsert({
+      where: { driverId },
+      create: { driverId, pinHash },
+      update: { pinHash, tokenVersion: { increment: 1 } },
+      select: { lastLogin: true, updatedAt: true },
+    });
+
+    return { driver, credential };
+  }
+
+  /**
+   * Remove a driver's PIN: they can no longer log in and every issued
+   * token stops working. The credential row stays so its token version
+   * keeps counting up and a later PIN cannot revive old tokens.
+   */
+  async clearPin(driverId) {
+    const { count } = await prisma.driverCredential.updateMany({
+      where: { driverId, pinHash: { not: null } },
+      data: { pinHash: null, tokenVersion: { increment: 1 } },
+    });
+    if (count === 0) {
+      throw new ServiceError("Driver has no PIN set", 404);
+    }
+  }
+
+  /**
+   * Exchange phone + PIN for a driver token. Phones match on digits only,
+   * so "012 345 678" and "012345678" are the same driver.
+   */
+  async login(phone, pin) {
+    const wanted = normalizePhone(phone);
+    const candidates = await prisma.driver.findMany({
+      where: { isActive: true, credential: { pinHash: { not: null } } },
+      select: { ...DRIVER_SELECT, credential: true },
+    });
+
+    for (const candidate of candidates) {
+      if (!wanted || normalizePhone(candidate.phone) !== wanted) continue;
+      const { credential, ...driver } = candidate;
+      if (!(await bcrypt.compare(pin, credential.pinHash))) continue;
+
+      await prisma.driverCredential.update({
+        where: { id: credential.id },
+        data: { lastLogin: new Date() },
+      });
+      return { driver, token: this.generateToken(driver.id, credential) };
+    }
+
+    throw new ServiceError("Invalid credentials", 401);
+  }
+
+  generateToken(driverId, credential) {
+    return jwt.sign(
+      { driverId, tokenVersion: credential.tokenVersion },
+      process.env.JWT_SECRET,
+      { expiresIn: "7d", audience: DRIVER_AUDIENCE }
+    );
+  }
+
+  /**
+   * The active driver a decoded token belongs to, or null if the token was
+   * revoked by a PIN change or the driver was deactivated
+   */
+  async resolveToken(decoded) {
+    if (!decoded.driverId) return null;
+    const driver = await prisma.driver.findUnique({
+      where: { id: decoded.driverId },
+      select: {
+        ...DRIVER_SELECT,
+        credential: { select: { tokenVersion: true } },
+      },
+    });
+    if (
+      !driver ||
+      !driver.isActive ||
+      driver.credential?.tokenVersion !== decoded.tokenVersion
+    ) {
+      return null;
+    }
+    const { credential, ...rest } = driver;
+    return rest;
+  }
+}
+
+module.exports = new DriverAuthService();
@@ -1,4 +1,6 @@
 const getPrismaClient = require("../lib/prisma");
+const inventoryLedgerService = require("./inventoryLedgerService");
+const { variantAdjustment } = require("../lib/pricing");
 const prisma = getPrismaClient();
 
 class HierarchicalStockService {
@@ -545,13 +547,21 @@ class HierarchicalStockService {
   }
 
   /**
-   * Update stock for a specific variant
+   * Update stock for a specific variant. The change is logged to the stock
+   * ledger (MANUAL_ADJUST unless another reason is given).
    */
-  async updateVariantStock(variantId, newStock) {
+  async updateVariantStock(variantId, newStock, { userId, reason, note } = {}) {
     try {
-      const variant = await prisma.productVariant.update({
+      await inventoryLedgerService.setStock({
+        variantId,
+        quantity: parseInt(newStock),
+        reason,
+        userId,
+        note,
+      });
+
+      const variant = await prisma.productVariant.findUnique({
         where: { id: variantId },
-        data: { stock: parseInt(newStock) },
         include: {
           variantOptions: {
             include: {
@@ -780,11 +790,9 @@ class HierarchicalStockService {
     const optionIds = options.map((opt) => opt.id).sort();
     const optionHash = this.createOptionHash(optionIds);
 
-    // Calculate total price adjustment
-    const totalPriceAdjustment = options.reduce(
-      (sum, opt) => sum + (opt.priceValue || 0),
-      0
-    );
+    // Flat amount the options add; BASE and percentage rules are applied
+    // at pricing time against the product's current price
+    const totalPriceAdjustment = variantAdjustment(options);
 
     return {
       name,
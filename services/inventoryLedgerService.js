@@ -0,0 +1,345 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError, InsufficientStockError } = require("../lib/errors");
+const prisma = getPrismaClient();
+
+// Attempts at a compare-and-set stock write before giving up
+const SET_STOCK_RETRIES = 3;
+
+const MOVEMENT_INCLUDE = {
+  product: { select: { id: true, name: true, sku: true } },
+  variant: { select: { id: true, name: true, sku: true } },
+  order: { select: { id: true, state: true } },
+  user: { select: { id: true, name: true } },
+};
+
+class InventoryLedgerService {
+  /**
+   * Append a movement. Call this inside the same transaction as the stock
+   * write so the ledger can never disagree with what was committed.
+   */
+  async record(
+    client,
+    {
+      productId,
+      variantId = null,
+      delta,
+      balanceAfter,
+      reason,
+      orderId = null,
+      userId = null,
+      note = null,
+    }
+  ) {
+    return client.stockMovement.create({
+      data: {
+        productId,
+        variantId,
+        delta,
+        balanceAfter,
+        reason,
+        orderId,
+        userId,
+        note,
+      },
+    });
+  }
+
+  /**
+   * Load a SKU: a variant when `variantId` is given, otherwise the product
+   */
+  async getSku({ productId, variantId }, client = prisma) {
+    if (variantId) {
+      const variant = await client.productVariant.findUnique({
+        where: { id: variantId },
+        select: {
+          id: true,
+          productId: true,
+          name: true,
+          stock: true,
+          product: { select: { name: true } },
+        },
+      });
+      if (!variant || (productId && variant.productId !== productId)) {
+        throw new ServiceError("Variant not found", 404);
+      }
+      return {
+        productId: variant.productId,
+        variantId: variant.id,
+        name: `${variant.product.name} - ${variant.name}`,
+        stock: variant.stock,
+      };
+    }
+
+    const product = await client.product.findUnique({
+      where: { id: productId },
+      select: { id: true, name: true, quantity: true },
+    });
+    if (!product) {
+      throw new ServiceError("Product not found", 404);
+    }
+    return {
+      productId: product.id,
+      variantId: null,
+      name: product.name,
+      stock: product.quantity,
+    };
+  }
+
+  /**
+   * Overwrite a SKU's on-hand stock (manual edit, stocktake, import) and log
+   * the difference. Uses compare-and-set so a concurrent order deduction is
+   * never silently overwritten.
+   *
+   * @returns {Promise<{sku: object, movement: object|null}>}
+   */
+  async setStock(
+    { productId, variantId, quantity, reason = "MANUAL_ADJUST", userId, note },
+    client = null
+  ) {
+    if (!client) {
+      return prisma.$transaction((tx) =>
+        this.setStock(
+          { productId, variantId, quantity, reason, userId, note },
+          tx
+        )
+      );
+    }
+
+    for (let attempt = 0; attempt < SET_STOCK_RETRIES; attempt++) {
+      const sku = await this.getSku({ productId, variantId }, client);
+      const delta = quantity - sku.stock;
+
+      if (delta === 0) {
+        return { sku, movement: null };
+      }
+
+      const { count } = sku.variantId
+        ? await client.productVariant.updateMany({
+            where: { id: sku.variantId, stock: sku.stock },
+            data: { stock: quantity },
+          })
+        : await client.product.updateMany({
+            where: { id: sku.productId, quantity: sku.stock },
+            data: { quantity },
+          });
+
+      if (count === 1) {
+        const movement = await this.record(client, {
+          productId: sku.productId,
+          variantId: sku.variantId,
+          delta,
+          balanceAfter: quantity,
+          reason,
+          userId,
+          note,
+        });
+        return { sku: { ...sku, stock: quantity }, movement };
+      }
+    }
+
+    throw new ServiceError(
+      "Stock was modified by another request, please retry",
+      409
+    );
+  }
+
+  /**
+   * Add `delta` (may be negative) to a SKU's on-hand stock and log it.
+   * A decrement never takes stock below zero.
+   *
+   * @returns {Promise<{sku: object, movement: object}>}
+   */
+  async adjustStock(
+    { productId, variantId, delta, reason = "MANUAL_ADJUST", userId, note },
+    client = null
+  ) {
+    if (!client) {
+      return prisma.$transaction((tx) =>
+        this.adjustStock(
+          { productId, variantId, delta, reason, userId, note },
+          tx
+        )
+      );
+    }
+
+    const sku = await this.getSku({ productId, variantId }, client);
+    const floor = delta < 0 ? -delta : 0;
+
+    const { count } = sku.variantId
+      ? await client.productVariant.updateMany({
+          where: { id: sku.variantId, stock: { gte: floor } },
+          data: { stock: { increment: delta } },
+        })
+      : await client.product.updateMany({
+          where: { id: sku.productId, quantity: { gte: floor } },
+          data: { quantity: { increment: delta } },
+        });
+
+    if (count === 0) {
+      const current = await this.getSku(sku, client);
+      throw new InsufficientStockError([
+        {
+          productId: sku.productId,
+          variantId: sku.variantId,
+          productName: sku.name,
+          requestedQuantity: floor,
+          availableStock: current.stock,
+        },
+      ]);
+    }
+
+    const updated = await this.getSku(sku, client);
+    const movement = await this.record(client, {
+      productId: sku.productId,
+      variantId: sku.variantId,
+      delta,
+      balanceAfter: updated.stock,
+      reason,
+      userId,
+      note,
+    });
+    return { sku: updated, movement };
+  }
+
+  /**
+   * Paginated movement history, newest first
+   */
+  async getMovements({
+    productId,
+    variantId,
+    orderId,
+    reason,
+    dateFrom,
+    dateTo,
+    page = 1,
+    limit = 50,
+  } = {}) {
+    const where = {};
+    if (productId) where.productId = productId;
+    // "null" selects the product-level SKU of a product that has variants
+    if (variantId) where.variantId = variantId === "null" ? null : variantId;
+    if (orderId) where.orderId = orderId;
+    if (reason) where.reason = reason;
+    if (dateFrom || dateTo) {
+      where.createdAt = {};
+      if (dateFrom) where.createdAt.gte = new Date(dateFrom);
+      if (dateTo) where.createdAt.lte = new Date(dateTo);
+    }
+
+    const [movements, totalCount] = await Promise.all([
+      prisma.stockMovement.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        include: MOVEMENT_INCLUDE,
+      }),
+      prisma.stockMovement.count({ where }),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    return {
+      movements,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Compare a SKU's on-hand stock with the sum of its ledger deltas.
+   * With `apply`, a STOCKTAKE movement for the drift is appended so the
+   * ledger matches the shelf again (stock itself is left untouched).
+   */
+  async reconcile({ productId, variantId, apply = false, userId, note }) {
+    return prisma.$transaction(async (tx) => {
+      const sku = await this.getSku({ productId, variantId }, tx);
+      const aggregate = await tx.stockMovement.aggregate({
+        where: { productId: sku.productId, variantId: sku.variantId },
+        _sum: { delta: true },
+        _count: { _all: true },
+      });
+
+      const ledgerBalance = aggregate._sum.delta || 0;
+      const result = {
+        ...sku,
+        onHand: sku.stock,
+        ledgerBalance,
+        drift: sku.stock - ledgerBalance,
+        movementCount: aggregate._count._all,
+        correction: null,
+      };
+      delete result.stock;
+
+      if (apply && result.drift !== 0) {
+        result.correction = await this.record(tx, {
+          productId: sku.productId,
+          variantId: sku.variantId,
+          delta: result.drift,
+          balanceAfter: sku.stock,
+          reason: "STOCKTAKE",
+          userId,
+          note: note || "Ledger reconciliation",
+        });
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Every SKU whose on-hand stock differs from its ledger balance
+   */
+  async findDrift() {
+    const [sums, products, variants] = await Promise.all([
+      prisma.stockMovement.groupBy({
+        by: ["productId", "variantId"],
+        _sum: { delta: true },
+      }),
+      prisma.product.findMany({
+        select: { id: true, name: true, quantity: true },
+      }),
+      prisma.productVariant.findMany({
+        select: {
+          id: true,
+          productId: true,
+          name: true,
+          stock: true,
+          product: { select: { name: true } },
+        },
+      }),
+    ]);
+
+    const ledger = new Map(
+      sums.map((s) => [`${s.productId}:${s.variantId}`, s._sum.delta || 0])
+    );
+
+    const skus = [
+      ...products.map((p) => ({
+        productId: p.id,
+        variantId: null,
+        name: p.name,
+        onHand: p.quantity,
+      })),
+      ...variants.map((v) => ({
+        productId: v.productId,
+        variantId: v.id,
+        name: `${v.product.name} - ${v.name}`,
+        onHand: v.stock,
+      })),
+    ];
+
+    return skus
+      .map((sku) => {
+        const ledgerBalance = ledger.get(`${sku.productId}:${sku.variantId}`) || 0;
+        return { ...sku, ledgerBalance, drift: sku.onHand - ledgerBalance };
+      })
+      .filter((sku) => sku.drift !== 0);
+  }
+}
+
+module.exports = new InventoryLedgerService();
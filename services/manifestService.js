@@ -0,0 +1,268 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { STORE_TIMEZONE, getDayRange, toZonedDay } = require("../lib/timezone");
+const { formatOptions } = require("../lib/optionDetails");
+const { round2 } = require("../lib/pricing");
+const prisma = getPrismaClient();
+
+const pad2 = (value) => String(value).padStart(2, "0");
+
+// A frozen manifest's day is stored as a DATE column (midnight UTC)
+const toDateColumn = (day) => new Date(`${day}T00:00:00.000Z`);
+
+const fromDateColumn = (date) => date.toISOString().slice(0, 10);
+
+const MANIFEST_INCLUDE = {
+  orders: { orderBy: { sequence: "asc" } },
+  creator: { select: { id: true, name: true } },
+};
+
+class ManifestService {
+  /**
+   * The YYYY-MM-DD day a manifest covers: `date` as given, or today in
+   * `timeZone`
+   */
+  resolveDay(date, timeZone = STORE_TIMEZONE) {
+    if (date) return date;
+    const { year, month, day } = toZonedDay(new Date(), timeZone);
+    return `${year}-${pad2(month)}-${pad2(day)}`;
+  }
+
+  /**
+   * Live manifest: the driver's DELIVERING orders assigned on `date` (a
+   * store-timezone day), with each order's manifest number if it has
+   * already been frozen
+   */
+  async getLiveManifest(driverId, { date, timeZone = STORE_TIMEZONE } = {}) {
+    const driver = await this.getDriver(driverId);
+    const day = this.resolveDay(date, timeZone);
+    const orders = await this.findDispatchedOrders(driverId, day, timeZone);
+
+    const frozen = await prisma.deliveryManifestOrder.findMany({
+      where: {
+        orderId: { in: orders.map((order) => order.id) },
+        manifest: { driverId, deliveryDate: toDateColumn(day) },
+      },
+      select: { orderId: true, manifest: { select: { number: true } } },
+    });
+    const frozenIn = new Map(
+      frozen.map((line) => [line.orderId, line.manifest.number])
+    );
+
+    const lines = orders.map((order, index) => ({
+      ...this.toLine(order, index + 1),
+      manifestNumber: frozenIn.get(order.id) || null,
+    }));
+
+    return {
+      number: null,
+      driver: { id: driver.id, name: driver.name, phone: driver.phone },
+      date: day,
+      timezone: timeZone,
+      summary: this.summarize(lines),
+      orders: lines,
+    };
+  }
+
+  /**
+   * Freeze the orders a driver is leaving with into a numbered manifest.
+   * Orders already on an earlier manifest of the same driver and day are
+   * left out, so a second run in the afternoon gets its own manifest.
+   * Freezes of the same driver and day take turns (advisory lock), so two
+   * concurrent requests cannot put an order on two manifests.
+   */
+  async freeze(
+    driverId,
+    { date, timeZone = STORE_TIMEZONE, actor = null } = {}
+  ) {
+    const driver = await this.getDriver(driverId);
+    const day = this.resolveDay(date, timeZone);
+
+    return prisma.$transaction(async (tx) => {
+      // Held until the transaction ends; the next freeze then sees our lines
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`manifest:${driverId}:${day}`}))`;
+
+      const orders = await this.findDispatchedOrders(
+        driverId,
+        day,
+        timeZone,
+        tx
+      );
+      const alreadyFrozen = await tx.deliveryManifestOrder.findMany({
+        where: {
+          orderId: { in: orders.map((order) => order.id) },
+          manifest: { driverId, deliveryDate: toDateColumn(day) },
+        },
+        select: { orderId: true },
+      });
+      const skip = new Set(alreadyFrozen.map((line) => line.orderId));
+      const lines = orders
+        .filter((order) => !skip.has(order.id))
+        .map((order, index) => this.toLine(order, index + 1));
+
+      if (lines.length === 0) {
+        throw new ServiceError(
+          `${driver.name} has no dispatched orders on ${day} that are not on a manifest yet`,
+          409
+        );
+      }
+
+      const summary = this.summarize(lines);
+      const manifest = await tx.deliveryManifest.create({
+        data: {
+          driverId,
+          driverName: driver.name,
+          driverPhone: driver.phone,
+          deliveryDate: toDateColumn(day),
+          timezone: timeZone,
+          orderCount: summary.orderCount,
+          codTotal: summary.codTotal,
+          companyDeliveryTotal: summary.companyDeliveryTotal,
+          createdBy: actor?.id || null,
+          orders: { create: lines },
+        },
+        include: MANIFEST_INCLUDE,
+      });
+
+      return this.toManifest(manifest);
+    });
+  }
+
+  /**
+   * Frozen manifests, newest first, optionally for one driver and/or day
+   */
+  async listManifests({ driverId, date, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (driverId) where.driverId = driverId;
+    if (date) where.deliveryDate = toDateColumn(date);
+
+    const [manifests, total] = await Promise.all([
+      prisma.deliveryManifest.findMany({
+        where,
+        orderBy: { number: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: { creator: { select: { id: true, name: true } } },
+      }),
+      prisma.deliveryManifest.count({ where }),
+    ]);
+
+    return {
+      manifests: manifests.map((manifest) => this.toManifest(manifest)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * A frozen manifest with its lines, by number
+   */
+  async getManifest(number) {
+    const manifest = await prisma.deliveryManifest.findUnique({
+      where: { number },
+      include: MANIFEST_INCLUDE,
+    });
+    if (!manifest) {
+      throw new ServiceError("Manifest not found", 404);
+    }
+    return this.toManifest(manifest);
+  }
+
+  async getDriver(driverId) {
+    const driver = await prisma.driver.findUnique({
+      where: { id: driverId },
+      select: { id: true, name: true, phone: true },
+    });
+    if (!driver) {
+      throw new ServiceError("Driver not found", 404);
+    }
+    return driver;
+  }
+
+  async findDispatchedOrders(driverId, day, timeZone, client = prisma) {
+    const range = getDayRange(day, day, timeZone);
+    if (!range) {
+      throw new ServiceError("Invalid date format. Use YYYY-MM-DD");
+    }
+
+    return client.order.findMany({
+      where: {
+        driverId,
+        state: "DELIVERING",
+        assignedAt: { gte: range.from, lt: range.to },
+      },
+      orderBy: [{ assignedAt: "asc" }, { id: "asc" }],
+      include: {
+        orderItems: {
+          select: {
+            quantity: true,
+            price: true,
+            optionDetails: true,
+            productId: true,
+            product: { select: { name: true } },
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Manifest line for an order, in the shape stored when it is frozen
+   */
+  toLine(order, sequence) {
+    return {
+      orderId: order.id,
+      sequence,
+      customerName: order.customerName,
+      customerPhone: order.customerPhone,
+      customerLocation: order.customerLocation,
+      province: order.province,
+      remark: order.remark || null,
+      isPaid: order.isPaid,
+      totalPrice: order.totalPrice,
+      codAmount: order.isPaid ? 0 : order.totalPrice,
+      companyDeliveryPrice: order.companyDeliveryPrice,
+      items: order.orderItems.map((item) => ({
+        productName: item.product?.name || item.productId,
+        options: formatOptions(item.optionDetails),
+        quantity: item.quantity,
+        price: item.price,
+      })),
+    };
+  }
+
+  summarize(lines) {
+    return {
+      orderCount: lines.length,
+      itemCount: lines.reduce(
+        (sum, line) =>
+          sum + line.items.reduce((count, item) => count + item.quantity, 0),
+        0
+      ),
+      paidCount: lines.filter((line) => line.isPaid).length,
+      codTotal: round2(lines.reduce((sum, line) => sum + line.codAmount, 0)),
+      companyDeliveryTotal: round2(
+        lines.reduce((sum, line) => sum + line.companyDeliveryPrice, 0)
+      ),
+    };
+  }
+
+  toManifest(manifest) {
+    const { deliveryDate, driverName, driverPhone, orders, ...rest } = manifest;
+    return {
+      ...rest,
+      driver: { id: manifest.driverId, name: driverName, phone: driverPhone },
+      date: fromDateColumn(deliveryDate),
+      ...(orders && {
+        summary: this.summarize(orders),
+        orders,
+      }),
+    };
+  }
+}
+
+module.exports = new ManifestService();
@@ -0,0 +1,241 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError, InsufficientStockError } = require("../lib/errors");
+const orderLifecycleService = require("./orderLifecycleService");
+const stockManagementService = require("./stockManagementService");
+const prisma = getPrismaClient();
+
+const ACTIONS = ["state", "assign-driver", "mark-printed", "delete"];
+
+// Order IDs per bulk request
+const MAX_ORDERS = 500;
+
+// Orders changed per transaction
+const BATCH_SIZE = 25;
+
+class OrderBulkService {
+  getActions() {
+    return ACTIONS;
+  }
+
+  /**
+   * Apply one action to many orders. Every order goes through the same rules
+   * as the single-order endpoint; the ones that break them are reported
+   * with the reason and the rest still go through.
+   *
+   * @param {string} action - One of ACTIONS
+   * @param {string[]} orderIds
+   * @param {object} params
+   * @param {string} [params.state] - Target state (state)
+   * @param {string|null} [params.driverId] - Driver, or null to unassign
+   *   (assign-driver)
+   * @param {string} [params.assignedAt] - Custom assignment time
+   *   (assign-driver)
+   * @param {boolean} [params.isPrinted] - (mark-printed)
+   * @param {object} [params.actor] - User performing the action
+   * @returns {Promise<{action, summary, succeeded: string[], failed: Array}>}
+   */
+  async run(action, orderIds, params = {}) {
+    const ids = [...new Set(orderIds)];
+    if (ids.length > MAX_ORDERS) {
+      throw new ServiceError(`At most ${MAX_ORDERS} orders per request`);
+    }
+
+    const result = { succeeded: [], failed: [] };
+    if (action === "state") {
+      await this.changeState(
+        ids,
+        params.state,
+        { actor: params.actor },
+        result
+      );
+    } else if (action === "assign-driver") {
+      const assign = params.driverId !== null && params.driverId !== undefined;
+      await this.changeState(
+        ids,
+        assign ? "DELIVERING" : "PLACED",
+        {
+          actor: params.actor,
+          driverId: assign ? params.driverId : null,
+          assignedAt: assign ? params.assignedAt : undefined,
+        },
+        result
+      );
+    } else if (action === "mark-printed") {
+      await this.markPrinted(ids, params.isPrinted !== false, result);
+    } else if (action === "delete") {
+      await this.deleteOrders(ids, result, params.actor);
+    } else {
+      throw new ServiceError(`Action must be one of: ${ACTIONS.join(", ")}`);
+    }
+
+    return {
+      action,
+      summary: {
+        requested: ids.length,
+        succeeded: result.succeeded.length,
+        failed: result.failed.length,
+      },
+      ...result,
+    };
+  }
+
+  /**
+   * Move orders to `toState`. Transitions are checked up front, then the
+   * stock of every order about to leave the shelf is checked in a single
+   * pass (oldest order first) so short orders are rejected before anything
+   * is written.
+   */
+  async changeState(ids, toState, { actor, driverId, assignedAt }, result) {
+    if (driverId) {
+      const driver = await prisma.driver.findUnique({
+        where: { id: driverId },
+        select: { name: true, isActive: true },
+      });
+      if (!driver) {
+        throw new ServiceError("Invalid driver ID");
+      }
+      if (!driver.isActive) {
+        throw new ServiceError(`Driver ${driver.name} is inactive`);
+      }
+    }
+
+    const orders = await this.loadOrders(ids, result, {
+      state: true,
+      orderSource: true,
+      driverId: true,
+      stockDeductedAt: true,
+      settlementId: true,
+      heldForReview: true,
+      holdReason: true,
+    });
+
+    const allowed = [];
+    for (const order of orders) {
+      try {
+        orderLifecycleService.assertTransition(order, toState, { driverId });
+        allowed.push(order);
+      } catch (error) {
+        if (!(error instanceof ServiceError)) throw error;
+        this.fail(result, order.id, error);
+      }
+    }
+
+    const deducting = allowed.filter(
+      (order) =>
+        !order.stockDeductedAt && orderLifecycleService.holdsStock(toState)
+    );
+    const shortagesByOrder = await stockManagementService.checkStockForOrders(
+      deducting.map((order) => order.id)
+    );
+    for (const [orderId, shortages] of shortagesByOrder) {
+      this.fail(result, orderId, new InsufficientStockError(shortages));
+    }
+
+    await this.applyInBatches(
+      allowed
+        .filter((order) => !shortagesByOrder.has(order.id))
+        .map((order) => order.id),
+      (orderId, tx) =>
+        orderLifecycleService.transition(
+          orderId,
+          toState,
+          { actor, driverId, assignedAt },
+          tx
+        ),
+      result
+    );
+  }
+
+  async markPrinted(ids, isPrinted, result) {
+    const orders = await this.loadOrders(ids, result);
+    const found = orders.map((order) => order.id);
+    await prisma.order.updateMany({
+      where: { id: { in: found } },
+      data: { isPrinted },
+    });
+    result.succeeded.push(...found);
+  }
+
+  /**
+   * Delete orders like DELETE /api/orders/:id: stock is not restored, but
+   * reservations are released. Settled orders fail with a 409.
+   */
+  async deleteOrders(ids, result, actor = null) {
+    const orders = await this.loadOrders(ids, result);
+    await this.applyInBatches(
+      orders.map((order) => order.id),
+      (orderId, tx) =>
+        orderLifecycleService.deleteOrder(tx, orderId, { actor }),
+      result
+    );
+  }
+
+  /**
+   * Orders that exist, oldest first; the missing ones are failed
+   */
+  async loadOrders(ids, result, select = {}) {
+    const orders = await prisma.order.findMany({
+      where: { id: { in: ids } },
+      orderBy: [{ orderAt: "asc" }, { id: "asc" }],
+      select: { id: true, ...select },
+    });
+    const found = new Set(orders.map((order) => order.id));
+    for (const id of ids) {
+      if (!found.has(id)) {
+        this.fail(result, id, new ServiceError("Order not found", 404));
+      }
+    }
+    return orders;
+  }
+
+  /**
+   * Run `apply` for each order, BATCH_SIZE orders per transaction. If a
+   * batch fails, its orders are retried one at a time so a single bad order
+   * only fails itself.
+   */
+  async applyInBatches(ids, apply, result) {
+    for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+      const batch = ids.slice(start, start + BATCH_SIZE);
+      try {
+        await prisma.$transaction(
+          async (tx) => {
+            for (const orderId of batch) {
+              await apply(orderId, tx);
+            }
+          },
+          { timeout: 60000 }
+        );
+        result.succeeded.push(...batch);
+        continue;
+      } catch (error) {
+        if (batch.length === 1 && error instanceof ServiceError) {
+          this.fail(result, batch[0], error);
+          continue;
+        }
+      }
+
+      for (const orderId of batch) {
+        try {
+          await prisma.$transaction((tx) => apply(orderId, tx), {
+            timeout: 15000,
+          });
+          result.succeeded.push(orderId);
+        } catch (error) {
+          if (!(error instanceof ServiceError)) throw error;
+          this.fail(result, orderId, error);
+        }
+      }
+    }
+  }
+
+  fail(result, orderId, error) {
+    result.failed.push({
+      orderId,
+      message: error.message,
+      status: error.status,
+      ...error.details,
+    });
+  }
+}
+
+module.exports = new OrderBulkService();
@@ -0,0 +1,604 @@
+const PDFDocument = require("pdfkit");
+const bwipjs = require("bwip-js");
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { formatZoned } = require("../lib/timezone");
+const { formatOptions } = require("../lib/optionDetails");
+const store = require("../config/store");
+const prisma = getPrismaClient();
+
+// Most orders a single print request may cover
+const MAX_BATCH = 100;
+
+const DOCUMENT_TYPES = {
+  label: { size: "A6", margin: 16, draw: "drawLabel" },
+  invoice: { size: "A4", margin: 50, draw: "drawInvoice" },
+  "packing-slip": { size: "A4", margin: 50, draw: "drawPackingSlip" },
+};
+
+const GREY = "#666666";
+const LINE = "#cccccc";
+
+const money = (value) => `${store.currency}${Number(value || 0).toFixed(2)}`;
+
+const itemName = (item) => item.product?.name || item.productId;
+
+const itemCount = (order) =>
+  order.orderItems.reduce((sum, item) => sum + item.quantity, 0);
+
+class OrderDocumentService {
+  /**
+   * Printable document types
+   */
+  getTypes() {
+    return Object.keys(DOCUMENT_TYPES);
+  }
+
+  /**
+   * Load orders for printing, in the order the IDs were given.
+   * Throws a 404 ServiceError listing any ID that does not exist.
+   */
+  async loadOrders(orderIds) {
+    const ids = [...new Set(orderIds)];
+    if (ids.length === 0) {
+      throw new ServiceError("No orders to print");
+    }
+    if (ids.length > MAX_BATCH) {
+      throw new ServiceError(
+        `Print at most ${MAX_BATCH} orders at a time`,
+        400,
+        { max: MAX_BATCH }
+      );
+    }
+
+    const orders = await prisma.order.findMany({
+      where: { id: { in: ids } },
+      include: {
+        driver: { select: { name: true, phone: true } },
+        orderItems: {
+          include: {
+            product: { select: { name: true, sku: true } },
+          },
+        },
+      },
+    });
+
+    const byId = new Map(orders.map((order) => [order.id, order]));
+    const missing = ids.filter((id) => !byId.has(id));
+    if (missing.length > 0) {
+      throw new ServiceError(
+        `Order${missing.length > 1 ? "s" : ""} not found: ${missing.join(
+          ", "
+        )}`,
+        404,
+        { missing }
+      );
+    }
+
+    return ids.map((id) => byId.get(id));
+  }
+
+  /**
+   * Render one page (or more for long orders) per order into a PDF buffer.
+   * The whole file is built before anything is sent, so a failed render
+   * never leaves orders marked printed with no document.
+   */
+  async render(type, orders) {
+    const layout = DOCUMENT_TYPES[type];
+    if (!layout) {
+      throw new ServiceError(`Unknown document type: ${type}`, 400, {
+        available: this.getTypes(),
+      });
+    }
+
+    const codes = await this.renderCodes(orders, type === "label");
+
+    const { doc, done } = this.createDocument(layout, `${store.name} ${type}`);
+    for (const order of orders) {
+      doc.addPage();
+      this[layout.draw](doc, order, codes.get(order.id));
+    }
+
+    doc.end();
+    return done;
+  }
+
+  /**
+   * A4 landscape run sheet for a driver manifest, live or frozen
+   */
+  async renderManifest(manifest) {
+    const title = manifest.number
+      ? `Manifest #${manifest.number}`
+      : "Run sheet (not frozen)";
+    const { doc, done } = this.createDocument(
+      { size: "A4", layout: "landscape", margin: 36 },
+      `${store.name} ${title}`
+    );
+    doc.addPage();
+    this.drawManifest(doc, manifest, title);
+    doc.end();
+    return done;
+  }
+
+  /**
+   * PDF document collected into a buffer; `done` resolves once it is ended
+   */
+  createDocument({ size, layout = "portrait", margin }, title) {
+    const doc = new PDFDocument({
+      size,
+      layout,
+      margin,
+      autoFirstPage: false,
+      info: { Title: title, Author: store.name },
+    });
+    this.setupFonts(doc);
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+    });
+
+    return { doc, done };
+  }
+
+  /**
+   * Flag orders as printed after a batch print
+   */
+  async markPrinted(orderIds) {
+    const { count } = await prisma.order.updateMany({
+      where: { id: { in: orderIds } },
+      data: { isPrinted: true },
+    });
+    return count;
+  }
+
+  /**
+   * Code 128 barcode (and QR code for labels) PNGs of each order ID
+   */
+  async renderCodes(orders, withQr) {
+    const codes = new Map();
+    for (const order of orders) {
+      const barcode = await bwipjs.toBuffer({
+        bcid: "code128",
+        text: order.id,
+        scale: 3,
+        height: 10,
+        includetext: true,
+        textxalign: "center",
+      });
+      const qr = withQr
+        ? await bwipjs.toBuffer({ bcid: "qrcode", text: order.id, scale: 4 })
+        : null;
+      codes.set(order.id, { barcode, qr });
+    }
+    return codes;
+  }
+
+  setupFonts(doc) {
+    if (store.documentFont) {
+      doc.registerFont("Body", store.documentFont);
+      doc.registerFont("Bold", store.documentFont);
+    } else {
+      doc.registerFont("Body", "Helvetica");
+      doc.registerFont("Bold", "Helvetica-Bold");
+    }
+    doc.font("Body");
+  }
+
+  /**
+   * A6 delivery label: recipient, cash to collect and scannable order ID
+   */
+  drawLabel(doc, order, codes) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    doc.font("Bold").fontSize(11).text(store.name, left, doc.y, { width });
+    if (store.phone) {
+      doc.font("Body").fontSize(8).fillColor(GREY).text(store.phone);
+    }
+    doc.fillColor("black");
+    this.rule(doc, left, width);
+
+    doc.font("Body").fontSize(8).fillColor(GREY).text("DELIVER TO");
+    doc.fillColor("black");
+    doc.font("Bold").fontSize(14).text(order.customerName, { width });
+    doc.fontSize(16).text(order.customerPhone, { width });
+    doc.font("Body").fontSize(10).text(order.customerLocation, { width });
+    doc.font("Bold").fontSize(12).text(order.province, { width });
+    if (order.remark) {
+      doc
+        .font("Body")
+        .fontSize(8)
+        .fillColor(GREY)
+        .text(`Note: ${order.remark}`, { width });
+      doc.fillColor("black");
+    }
+    this.rule(doc, left, width);
+
+    // Cash on delivery box with the QR code beside it
+    const boxTop = doc.y;
+    const qrSize = 72;
+    const boxWidth = width - qrSize - 8;
+    doc.rect(left, boxTop, boxWidth, qrSize).lineWidth(1.5).stroke();
+    doc
+      .font("Body")
+      .fontSize(8)
+      .text(order.isPaid ? "PAID" : "COD - COLLECT", left + 6, boxTop + 6);
+    doc
+      .font("Bold")
+      .fontSize(22)
+      .text(money(order.isPaid ? 0 : order.totalPrice), left + 6, boxTop + 24, {
+        width: boxWidth - 12,
+      });
+    if (codes.qr) {
+      doc.image(codes.qr, left + width - qrSize, boxTop, {
+        fit: [qrSize, qrSize],
+      });
+    }
+
+    doc
+      .font("Body")
+      .fontSize(8)
+      .fillColor(GREY)
+      .text(
+        `${formatZoned(order.orderAt)}  ·  ${itemCount(order)} item(s)${
+          order.driver ? `  ·  ${order.driver.name}` : ""
+        }`,
+        left,
+        boxTop + qrSize + 6,
+        { width }
+      );
+    doc.fillColor("black");
+
+    doc.image(codes.barcode, left, bottom - 64, {
+      fit: [width, 64],
+      align: "center",
+    });
+  }
+
+  /**
+   * A4 invoice with line items and totals
+   */
+  drawInvoice(doc, order, codes) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    this.drawHeader(doc, "INVOICE", order, codes);
+
+    doc.font("Bold").fontSize(10).text("Bill to");
+    this.drawCustomer(doc, order, width);
+    doc.moveDown();
+
+    const columns = [
+      { label: "Item", x: left, width: width - 230 },
+      { label: "Qty", x: left + width - 220, width: 50, align: "right" },
+      { label: "Unit price", x: left + width - 160, width: 75, align: "right" },
+      { label: "Amount", x: left + width - 75, width: 75, align: "right" },
+    ];
+    this.drawTableHeader(doc, columns, left, width);
+
+    for (const item of order.orderItems) {
+      const options = formatOptions(item.optionDetails);
+      this.ensureSpace(doc, options ? 34 : 20, () =>
+        this.drawTableHeader(doc, columns, left, width)
+      );
+      const top = doc.y;
+      doc.font("Body").fontSize(10);
+      doc.text(itemName(item), columns[0].x, top, { width: columns[0].width });
+      if (options) {
+        doc
+          .fontSize(8)
+          .fillColor(GREY)
+          .text(options, { width: columns[0].width });
+        doc.fillColor("black").fontSize(10);
+      }
+      const rowBottom = doc.y;
+      const cells = [
+        String(item.quantity),
+        money(item.price),
+        money(item.price * item.quantity),
+      ];
+      cells.forEach((value, index) => {
+        const column = columns[index + 1];
+        doc.text(value, column.x, top, {
+          width: column.width,
+          align: column.align,
+        });
+      });
+      doc.y = Math.max(rowBottom, doc.y) + 4;
+      doc.x = left;
+    }
+
+    this.rule(doc, left, width);
+    this.ensureSpace(doc, 90);
+    const totals = [
+      ["Subtotal", money(order.subtotalPrice)],
+      ["Delivery", money(order.deliveryPrice)],
+      ["Total", money(order.totalPrice)],
+      ["Amount due (COD)", money(order.isPaid ? 0 : order.totalPrice)],
+    ];
+    for (const [label, value] of totals) {
+      const top = doc.y;
+      const bold = label === "Total";
+      doc.font(bold ? "Bold" : "Body").fontSize(bold ? 12 : 10);
+      doc.text(label, left + width - 230, top, { width: 140, align: "right" });
+      doc.text(value, left + width - 75, top, { width: 75, align: "right" });
+      doc.moveDown(0.3);
+    }
+    doc.x = left;
+
+    if (order.remark) {
+      doc.moveDown();
+      doc.font("Bold").fontSize(10).text("Note");
+      doc.font("Body").text(order.remark, { width });
+    }
+  }
+
+  /**
+   * A4 packing slip: what goes in the parcel, with a tick box per line
+   */
+  drawPackingSlip(doc, order, codes) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    this.drawHeader(doc, "PACKING SLIP", order, codes);
+
+    doc.font("Bold").fontSize(10).text("Ship to");
+    this.drawCustomer(doc, order, width);
+    if (order.driver) {
+      doc.fontSize(10).text(`Driver: ${order.driver.name}`);
+    }
+    doc.moveDown();
+
+    const columns = [
+      { label: "", x: left, width: 20 },
+      { label: "Product", x: left + 24, width: 190 },
+      { label: "Options", x: left + 220, width: width - 280 },
+      { label: "Qty", x: left + width - 50, width: 50, align: "right" },
+    ];
+    this.drawTableHeader(doc, columns, left, width);
+
+    for (const item of order.orderItems) {
+      this.ensureSpace(doc, 24, () =>
+        this.drawTableHeader(doc, columns, left, width)
+      );
+      const top = doc.y;
+      doc.rect(left, top, 10, 10).lineWidth(0.8).stroke();
+      doc.font("Body").fontSize(10);
+      const cells = [
+        item.product?.sku
+          ? `${itemName(item)} (${item.product.sku})`
+          : itemName(item),
+        formatOptions(item.optionDetails) || "-",
+        String(item.quantity),
+      ];
+      let rowBottom = top;
+      cells.forEach((value, index) => {
+        const column = columns[index + 1];
+        doc.text(value, column.x, top, {
+          width: column.width,
+          align: column.align,
+        });
+        rowBottom = Math.max(rowBottom, doc.y);
+      });
+      doc.y = rowBottom + 6;
+      doc.x = left;
+    }
+
+    this.rule(doc, left, width);
+    doc
+      .font("Bold")
+      .fontSize(10)
+      .text(`Total items: ${itemCount(order)}`, left, doc.y, {
+        width,
+        align: "right",
+      });
+
+    if (order.remark) {
+      doc.moveDown();
+      doc.font("Bold").fontSize(10).text("Note", left);
+      doc.font("Body").text(order.remark, { width });
+    }
+  }
+
+  /**
+   * Driver, day and totals, then one row per order with a column for the
+   * customer's signature
+   */
+  drawManifest(doc, manifest, title) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const { summary } = manifest;
+
+    const top = doc.y;
+    doc
+      .font("Bold")
+      .fontSize(16)
+      .text(store.name, left, top, {
+        width: width / 2,
+      });
+    doc.font("Body").fontSize(10);
+    doc.text(`Driver: ${manifest.driver.name}  ${manifest.driver.phone || ""}`);
+    doc.text(`Date: ${manifest.date}`);
+    const leftBottom = doc.y;
+
+    doc
+      .font("Bold")
+      .fontSize(16)
+      .text(title, left + width / 2, top, {
+        width: width / 2,
+        align: "right",
+      });
+    doc.font("Body").fontSize(10);
+    const totals = [
+      `Orders: ${summary.orderCount}   Items: ${summary.itemCount}`,
+      `COD to collect: ${money(summary.codTotal)}`,
+      `Delivery cost: ${money(summary.companyDeliveryTotal)}`,
+    ];
+    for (const line of totals) {
+      doc.text(line, { width: width / 2, align: "right" });
+    }
+
+    doc.y = Math.max(leftBottom, doc.y) + 8;
+    doc.x = left;
+    this.rule(doc, left, width);
+
+    const columns = [
+      { label: "#", x: left, width: 20 },
+      { label: "Order", x: left + 24, width: 100 },
+      { label: "Customer", x: left + 128, width: 130 },
+      { label: "Address", x: left + 262, width: 170 },
+      { label: "Items", x: left + 436, width: 170 },
+      { label: "COD", x: left + 610, width: 60, align: "right" },
+      { label: "Signature", x: left + 680, width: width - 680 },
+    ];
+    this.drawTableHeader(doc, columns, left, width);
+
+    for (const line of manifest.orders) {
+      const items = line.items
+        .map(
+          (item) =>
+            `${item.quantity} x ${item.productName}${
+              item.options ? ` (${item.options})` : ""
+            }`
+        )
+        .join("\n");
+      const cells = [
+        String(line.sequence),
+        line.orderId || "(deleted)",
+        `${line.customerName}\n${line.customerPhone}`,
+        `${line.customerLocation}\n${line.province}${
+          line.remark ? `\nNote: ${line.remark}` : ""
+        }`,
+        items,
+        line.isPaid ? "PAID" : money(line.codAmount),
+      ];
+
+      doc.font("Body").fontSize(9);
+      const height = Math.max(
+        ...cells.map((value, index) =>
+          doc.heightOfString(value, { width: columns[index].width })
+        )
+      );
+      this.ensureSpace(doc, height + 12, () =>
+        this.drawTableHeader(doc, columns, left, width)
+      );
+
+      const rowTop = doc.y;
+      cells.forEach((value, index) => {
+        const column = columns[index];
+        doc.text(value, column.x, rowTop, {
+          width: column.width,
+          align: column.align,
+        });
+      });
+      doc.y = rowTop + height + 2;
+      doc.x = left;
+      this.rule(doc, left, width);
+    }
+
+    this.ensureSpace(doc, 70);
+    doc.moveDown();
+    doc
+      .font("Bold")
+      .fontSize(10)
+      .text(`Total COD to collect: ${money(summary.codTotal)}`, left, doc.y, {
+        width,
+        align: "right",
+      });
+    doc.moveDown(2);
+    const signatureTop = doc.y;
+    doc.font("Body").fontSize(9);
+    doc.text("Dispatched by: ____________________", left, signatureTop);
+    doc.text("Driver: ____________________", left + width / 2, signatureTop);
+  }
+
+  /**
+   * Store details on the left, title, order ID, date and barcode on the right
+   */
+  drawHeader(doc, title, order, codes) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const top = doc.y;
+
+    doc
+      .font("Bold")
+      .fontSize(18)
+      .text(store.name, left, top, {
+        width: width / 2,
+      });
+    doc.font("Body").fontSize(9).fillColor(GREY);
+    if (store.address) doc.text(store.address, { width: width / 2 });
+    if (store.phone) doc.text(store.phone, { width: width / 2 });
+    doc.fillColor("black");
+    const leftBottom = doc.y;
+
+    const right = left + width / 2;
+    doc
+      .font("Bold")
+      .fontSize(16)
+      .text(title, right, top, {
+        width: width / 2,
+        align: "right",
+      });
+    doc.font("Body").fontSize(9);
+    doc.text(`Order ${order.id}`, { width: width / 2, align: "right" });
+    doc.text(formatZoned(order.orderAt), { width: width / 2, align: "right" });
+    doc.image(codes.barcode, left + width - 160, doc.y + 4, {
+      fit: [160, 44],
+    });
+
+    doc.y = Math.max(leftBottom, doc.y + 52) + 12;
+    doc.x = left;
+    this.rule(doc, left, width);
+  }
+
+  drawCustomer(doc, order, width) {
+    doc.font("Body").fontSize(10);
+    doc.text(order.customerName, { width });
+    doc.text(order.customerPhone, { width });
+    doc.text(order.customerLocation, { width });
+    doc.text(order.province, { width });
+  }
+
+  drawTableHeader(doc, columns, left, width) {
+    const top = doc.y;
+    doc.font("Bold").fontSize(9);
+    for (const column of columns) {
+      doc.text(column.label, column.x, top, {
+        width: column.width,
+        align: column.align,
+      });
+    }
+    doc.x = left;
+    doc.y = top + 14;
+    this.rule(doc, left, width);
+  }
+
+  /**
+   * Start a new page when fewer than `height` points are left, redrawing the
+   * table header there if given
+   */
+  ensureSpace(doc, height, onNewPage) {
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    if (doc.y + height <= bottom) return;
+    doc.addPage();
+    if (onNewPage) onNewPage();
+  }
+
+  rule(doc, left, width) {
+    doc
+      .moveTo(left, doc.y + 4)
+      .lineTo(left + width, doc.y + 4)
+      .lineWidth(0.5)
+      .strokeColor(LINE)
+      .stroke()
+      .strokeColor("black");
+    doc.y += 10;
+  }
+}
+
+module.exports = new OrderDocumentService();
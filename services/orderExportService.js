@@ -0,0 +1,316 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { csvCell } = require("../lib/csv");
+const { STORE_TIMEZONE, formatZoned } = require("../lib/timezone");
+const { formatOptions } = require("../lib/optionDetails");
+const prisma = getPrismaClient();
+
+// Orders are read in pages so an export never holds the whole result set
+const BATCH_SIZE = 500;
+
+const yesNo = (value) => (value ? "Yes" : "No");
+
+const driverName = (order) =>
+  order.driver?.name || order.deletedDriverName || "";
+
+const describeItem = (item) => {
+  const options = formatOptions(item.optionDetails);
+  const name = item.product?.name || item.productId;
+  return `${name}${options ? ` (${options})` : ""} x${item.quantity}`;
+};
+
+// Columns available in both modes; `value` receives (order, item, context)
+const ORDER_COLUMNS = {
+  id: { header: "Order ID", value: (order) => order.id },
+  orderAt: {
+    header: "Order Date",
+    value: (order, item, ctx) => ctx.formatDate(order.orderAt),
+  },
+  state: { header: "State", value: (order) => order.state },
+  orderSource: { header: "Source", value: (order) => order.orderSource },
+  customerName: { header: "Customer", value: (order) => order.customerName },
+  customerPhone: { header: "Phone", value: (order) => order.customerPhone },
+  customerLocation: {
+    header: "Location",
+    value: (order) => order.customerLocation,
+  },
+  province: { header: "Province", value: (order) => order.province },
+  remark: { header: "Remark", value: (order) => order.remark || "" },
+  items: {
+    header: "Items",
+    value: (order) => order.orderItems.map(describeItem).join("; "),
+  },
+  itemCount: {
+    header: "Item Count",
+    value: (order) =>
+      order.orderItems.reduce((sum, orderItem) => sum + orderItem.quantity, 0),
+  },
+  subtotalPrice: { header: "Subtotal", value: (order) => order.subtotalPrice },
+  deliveryPrice: {
+    header: "Delivery Fee",
+    value: (order) => order.deliveryPrice,
+  },
+  companyDeliveryPrice: {
+    header: "Delivery Cost",
+    value: (order) => order.companyDeliveryPrice,
+  },
+  totalPrice: { header: "Total", value: (order) => order.totalPrice },
+  isPaid: { header: "Paid", value: (order) => yesNo(order.isPaid) },
+  isPrinted: { header: "Printed", value: (order) => yesNo(order.isPrinted) },
+  driverName: { header: "Driver", value: driverName },
+  assignedAt: {
+    header: "Assigned At",
+    value: (order, item, ctx) => ctx.formatDate(order.assignedAt),
+  },
+  completedAt: {
+    header: "Completed At",
+    value: (order, item, ctx) => ctx.formatDate(order.completedAt),
+  },
+  returnedAt: {
+    header: "Returned At",
+    value: (order, item, ctx) => ctx.formatDate(order.returnedAt),
+  },
+  createdBy: {
+    header: "Created By",
+    value: (order) => order.creator?.name || "",
+  },
+};
+
+// Extra columns for one-line-per-item exports
+const ITEM_COLUMNS = {
+  productId: { header: "Product ID", value: (order, item) => item.productId },
+  productName: {
+    header: "Product",
+    value: (order, item) => item.product?.name || "",
+  },
+  options: {
+    header: "Options",
+    value: (order, item) => formatOptions(item.optionDetails),
+  },
+  quantity: { header: "Quantity", value: (order, item) => item.quantity },
+  price: { header: "Unit Price", value: (order, item) => item.price },
+  weight: { header: "Weight", value: (order, item) => item.weight },
+  lineTotal: {
+    header: "Line Total",
+    value: (order, item) => Math.round(item.price * item.quantity * 100) / 100,
+  },
+};
+
+const DEFAULT_COLUMNS = {
+  order: [
+    "id",
+    "orderAt",
+    "state",
+    "orderSource",
+    "customerName",
+    "customerPhone",
+    "customerLocation",
+    "province",
+    "items",
+    "subtotalPrice",
+    "deliveryPrice",
+    "totalPrice",
+    "isPaid",
+    "driverName",
+  ],
+  item: [
+    "id",
+    "orderAt",
+    "state",
+    "customerName",
+    "customerPhone",
+    "province",
+    "productName",
+    "options",
+    "quantity",
+    "price",
+    "lineTotal",
+    "driverName",
+  ],
+};
+
+class OrderExportService {
+  /**
+   * Column keys that may be requested for a mode
+   */
+  getAvailableColumns(mode = "order") {
+    return mode === "item"
+      ? [...Object.keys(ORDER_COLUMNS), ...Object.keys(ITEM_COLUMNS)]
+      : Object.keys(ORDER_COLUMNS);
+  }
+
+  /**
+   * Resolve requested column keys (array or comma-separated string) to column
+   * definitions, falling back to the mode's defaults
+   */
+  resolveColumns(mode = "order", requested) {
+    const keys = (
+      Array.isArray(requested) ? requested : String(requested || "").split(",")
+    )
+      .map((key) => key.trim())
+      .filter(Boolean);
+
+    const selected =
+      keys.length > 0 ? [...new Set(keys)] : DEFAULT_COLUMNS[mode];
+    const available = this.getAvailableColumns(mode);
+    const unknown = selected.filter((key) => !available.includes(key));
+    if (unknown.length > 0) {
+      throw new ServiceError(
+        `Unknown export columns: ${unknown.join(", ")}`,
+        400,
+        { unknown, available }
+      );
+    }
+
+    return selected.map((key) => ({
+      key,
+      ...(ORDER_COLUMNS[key] || ITEM_COLUMNS[key]),
+    }));
+  }
+
+  /**
+   * Read matching orders page by page with a cursor, keeping `orderBy` and
+   * breaking ties on id so pages never overlap
+   */
+  async *iterateOrders(where, orderBy = { orderAt: "desc" }) {
+    const order = orderBy.id ? [orderBy] : [orderBy, { id: "asc" }];
+    let cursor = null;
+
+    while (true) {
+      const batch = await prisma.order.findMany({
+        where,
+        orderBy: order,
+        take: BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+        include: {
+          driver: { select: { name: true } },
+          creator: { select: { name: true } },
+          orderItems: {
+            select: {
+              productId: true,
+              quantity: true,
+              price: true,
+              weight: true,
+              optionDetails: true,
+              product: { select: { name: true } },
+            },
+          },
+        },
+      });
+
+      if (batch.length === 0) return;
+      yield batch;
+      if (batch.length < BATCH_SIZE) return;
+      cursor = batch[batch.length - 1].id;
+    }
+  }
+
+  /**
+   * Stream matching orders to `res` as CSV or XLSX, one row per order or per
+   * order item. Headers are sent before the first query so long exports are
+   * not cut off by the request timeout.
+   */
+  async streamExport(
+    res,
+    {
+      where,
+      orderBy,
+      format = "csv",
+      mode = "order",
+      columns,
+      timeZone = STORE_TIMEZONE,
+    }
+  ) {
+    const selected = this.resolveColumns(mode, columns);
+    const ctx = { formatDate: (date) => this.formatDate(date, timeZone) };
+    const toRow = (order, item = null) =>
+      selected.map((column) => column.value(order, item, ctx));
+    const toRows = (order) =>
+      mode === "item"
+        ? order.orderItems.map((item) => toRow(order, item))
+        : [toRow(order)];
+
+    const today = this.formatDate(new Date(), timeZone, true);
+    const filename = `orders-${today}.${format}`;
+    res.status(200);
+    res.setHeader(
+      "Content-Type",
+      format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Cache-Control", "no-store");
+    res.flushHeaders();
+
+    if (format === "xlsx") {
+      return this.writeXlsx(res, selected, where, orderBy, toRows);
+    }
+    return this.writeCsv(res, selected, where, orderBy, toRows);
+  }
+
+  async writeCsv(res, selected, where, orderBy, toRows) {
+    const write = async (cells) => {
+      if (!res.write(`${cells.map(csvCell).join(",")}\r\n`)) {
+        await Promise.race([once(res, "drain"), once(res, "close")]);
+      }
+    };
+
+    // BOM so Excel opens Khmer text as UTF-8
+    res.write("\uFEFF");
+    await write(selected.map((column) => column.header));
+
+    let count = 0;
+    for await (const batch of this.iterateOrders(where, orderBy)) {
+      for (const order of batch) {
+        for (const row of toRows(order)) {
+          if (res.destroyed) return count;
+          await write(row);
+        }
+        count++;
+      }
+    }
+
+    res.end();
+    return count;
+  }
+
+  async writeXlsx(res, selected, where, orderBy, toRows) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet("Orders");
+    sheet.columns = selected.map((column) => ({
+      header: column.header,
+      key: column.key,
+    }));
+
+    let count = 0;
+    for await (const batch of this.iterateOrders(where, orderBy)) {
+      if (res.destroyed) return count;
+      for (const order of batch) {
+        for (const row of toRows(order)) {
+          sheet.addRow(row).commit();
+        }
+        count++;
+      }
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  /**
+   * "YYYY-MM-DD HH:mm" in `timeZone` (or just the date)
+   */
+  formatDate(date, timeZone = STORE_TIMEZONE, dateOnly = false) {
+    return formatZoned(date, timeZone, dateOnly);
+  }
+}
+
+module.exports = new OrderExportService();
@@ -0,0 +1,162 @@
+const getPrismaClient = require("../lib/prisma");
+const prisma = getPrismaClient();
+
+// Order fields whose changes are captured in the audit trail
+const TRACKED_FIELDS = [
+  "customerName",
+  "customerPhone",
+  "customerLocation",
+  "province",
+  "remark",
+  "subtotalPrice",
+  "companyDeliveryPrice",
+  "deliveryPrice",
+  "totalPrice",
+  "isPaid",
+  "orderSource",
+  "paymentProofUrl",
+];
+
+class OrderHistoryService {
+  /**
+   * Append an event to an order's history.
+   * Pass the transaction client when recording inside prisma.$transaction so
+   * the event is rolled back together with the change it describes.
+   */
+  async record(client, event) {
+    const {
+      orderId,
+      type,
+      actor = null,
+      actorType = actor ? "USER" : "SYSTEM",
+      fromState = null,
+      toState = null,
+      fromDriver = null,
+      toDriver = null,
+      changes = null,
+      note = null,
+    } = event;
+
+    return (client || prisma).orderEvent.create({
+      data: {
+        orderId,
+        type,
+        actorType,
+        actorId: actorType === "USER" ? actor?.id || null : null,
+        actorName: actor?.name || null,
+        fromState,
+        toState,
+        fromDriverId: fromDriver?.id || null,
+        toDriverId: toDriver?.id || null,
+        fromDriverName: fromDriver?.name || null,
+        toDriverName: toDriver?.name || null,
+        changes: changes && Object.keys(changes).length > 0 ? changes : null,
+        note,
+      },
+    });
+  }
+
+  /**
+   * Field-level diff between two order snapshots
+   */
+  diffOrder(before, after) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+      if (after[field] === undefined) continue;
+      const from = before[field] ?? null;
+      const to = after[field] ?? null;
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * The tracked fields of an order about to disappear, as changes to null,
+   * so a DELETED event keeps what the order was
+   */
+  snapshotOrder(order) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+      if (order[field] !== undefined && order[field] !== null) {
+        changes[field] = { from: order[field], to: null };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Diff two lists of order items, matching lines by product + variant/options
+   */
+  diffItems(oldItems, newItems) {
+    const keyOf = (item) => {
+      const details = item.optionDetails;
+      const variantKey =
+        details?.variantId ||
+        (details ? JSON.stringify(details.selections || details) : "");
+      return `${item.productId}:${variantKey}`;
+    };
+    const summarize = (item) => ({
+      productId: item.productId,
+      variantId: item.optionDetails?.variantId || null,
+      quantity: item.quantity,
+      price: item.price,
+    });
+
+    const oldMap = new Map(oldItems.map((item) => [keyOf(item), item]));
+    const newMap = new Map(newItems.map((item) => [keyOf(item), item]));
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [key, item] of newMap) {
+      const previous = oldMap.get(key);
+      if (!previous) {
+        added.push(summarize(item));
+      } else if (
+        previous.quantity !== item.quantity ||
+        previous.price !== item.price
+      ) {
+        changed.push({
+          ...summarize(item),
+          from: { quantity: previous.quantity, price: previous.price },
+        });
+      }
+    }
+    for (const [key, item] of oldMap) {
+      if (!newMap.has(key)) {
+        removed.push(summarize(item));
+      }
+    }
+
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+      return null;
+    }
+    return { added, removed, changed };
+  }
+
+  /**
+   * Get the full timeline for an order, oldest first. A deleted order's
+   * timeline is kept and ends with its DELETED event.
+   */
+  async getHistory(orderId) {
+    return prisma.orderEvent.findMany({
+      where: { OR: [{ orderId }, { deletedOrderId: orderId }] },
+      orderBy: { createdAt: "asc" },
+      include: {
+        actor: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            role: true,
+          },
+        },
+      },
+    });
+  }
+}
+
+module.exports = new OrderHistoryService();
@@ -0,0 +1,718 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { parseCsv, plainCell } = require("../lib/csv");
+const { generateOrderId } = require("../lib/orderId");
+const { normalizePhone } = require("../lib/phone");
+const { round2, resolveVariant, priceLine } = require("../lib/pricing");
+const { selectedOptionIds } = require("../lib/optionDetails");
+const orderHistoryService = require("./orderHistoryService");
+const reservationService = require("./reservationService");
+const blacklistService = require("./blacklistService");
+const customerService = require("./customerService");
+const deliveryRateService = require("./deliveryRateService");
+const prisma = getPrismaClient();
+
+// Keep a single upload's validation well inside the request timeout
+const MAX_ROWS = 1000;
+
+// Orders created per transaction when committing an import
+const BATCH_SIZE = 20;
+
+// Longest a batch's transaction may run
+const BATCH_TIMEOUT_MS = 8000;
+
+// The request times out after 25 s (server.js). A batch only starts if it
+// can finish, at its transaction timeout, within this long of the commit
+// starting, so the response always reports which orders were created.
+const COMMIT_DEADLINE_MS = 22000;
+
+const MAX_ID_RETRIES = 3;
+
+// Header aliases, compared lowercased with spaces and punctuation removed.
+// The export's headers are accepted too, so an export can be edited and
+// re-imported.
+const HEADER_ALIASES = {
+  orderRef: ["orderref", "ref", "reference", "order"],
+  customerName: ["customername", "customer", "name"],
+  customerPhone: ["customerphone", "phone"],
+  customerLocation: ["customerlocation", "location", "address"],
+  province: ["province"],
+  remark: ["remark", "note"],
+  isPaid: ["ispaid", "paid"],
+  product: ["product", "productid", "sku"],
+  quantity: ["quantity", "qty"],
+  price: ["price", "unitprice"],
+  options: ["options", "option"],
+};
+
+const REQUIRED_HEADERS = [
+  "customerName",
+  "customerPhone",
+  "customerLocation",
+  "province",
+  "product",
+  "quantity",
+];
+
+const TRUE_VALUES = ["true", "yes", "y", "1"];
+const FALSE_VALUES = ["false", "no", "n", "0"];
+
+const normalizeHeader = (header) =>
+  String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const sameName = (a, b) =>
+  String(a || "")
+    .trim()
+    .toLowerCase() ===
+  String(b || "")
+    .trim()
+    .toLowerCase();
+
+const parseAmount = (value) => {
+  if (value === "") return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : NaN;
+};
+
+class OrderImportService {
+  /**
+   * Parse CSV text into rows keyed by canonical column name.
+   * `line` is the 1-based spreadsheet row, counting the header as row 1.
+   * Throws a ServiceError when the file itself is unusable.
+   */
+  parseRows(text) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+      throw new ServiceError("The CSV file is empty");
+    }
+
+    const columns = header.map((name) => {
+      const normalized = normalizeHeader(name);
+      return (
+        Object.keys(HEADER_ALIASES).find((key) =>
+          HEADER_ALIASES[key].includes(normalized)
+        ) || null
+      );
+    });
+
+    const missing = REQUIRED_HEADERS.filter((key) => !columns.includes(key));
+    if (missing.length > 0) {
+      throw new ServiceError(
+        `Missing CSV columns: ${missing.join(", ")}`,
+        400,
+        { missing }
+      );
+    }
+    if (records.length === 0) {
+      throw new ServiceError("The CSV file has no order rows");
+    }
+    if (records.length > MAX_ROWS) {
+      throw new ServiceError(
+        `Too many rows: ${records.length}. Import at most ${MAX_ROWS} rows at a time`
+      );
+    }
+
+    return records.map((record, index) => {
+      const values = {};
+      columns.forEach((key, column) => {
+        if (key && values[key] === undefined) {
+          values[key] = plainCell((record[column] || "").trim());
+        }
+      });
+      return { line: index + 2, values };
+    });
+  }
+
+  /**
+   * Group rows into orders. Rows sharing an `orderRef` are items of one
+   * order and take the customer fields from its first row; rows without a
+   * reference are orders of their own.
+   */
+  groupRows(rows) {
+    const groups = [];
+    const byRef = new Map();
+
+    for (const row of rows) {
+      const ref = row.values.orderRef;
+      if (ref && byRef.has(ref)) {
+        byRef.get(ref).rows.push(row);
+        continue;
+      }
+      const group = { ref: ref || String(row.line), rows: [row] };
+      if (ref) byRef.set(ref, group);
+      groups.push(group);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Validate a CSV import without writing anything.
+   * Checks every field the order form checks, resolves products by SKU or ID
+   * and options by name, flags blacklisted phones and checks the file's
+   * total demand per SKU against available-to-sell, in file order.
+   * Delivery is priced by the delivery rates for `orderSource`. A price
+   * column that differs from the catalogue price is a staff override,
+   * listed in the order's `priceOverrides` and recorded when committed.
+   *
+   * @returns {Promise<{ orders: object[], summary: object }>} one entry per
+   *   order with its `errors`; orders without errors are `valid`
+   */
+  async validate(text, { orderSource = "ADMIN" } = {}) {
+    const rows = this.parseRows(text);
+    const orders = this.groupRows(rows).map((group) => this.buildOrder(group));
+
+    const [catalog, deliveryRules] = await Promise.all([
+      this.loadCatalog(rows),
+      deliveryRateService.loadRules(),
+    ]);
+    for (const order of orders) {
+      for (const item of order.items) {
+        this.resolveItem(order, item, catalog);
+      }
+      order.priceOverrides = this.findPriceOverrides(order);
+    }
+
+    await this.checkBlacklist(orders);
+    this.checkStock(orders);
+
+    for (const order of orders) {
+      order.valid = order.errors.length === 0;
+      if (order.valid) this.computeTotals(order, deliveryRules, orderSource);
+    }
+
+    return {
+      orders,
+      summary: {
+        rows: rows.length,
+        orders: orders.length,
+        valid: orders.filter((order) => order.valid).length,
+        invalid: orders.filter((order) => !order.valid).length,
+      },
+    };
+  }
+
+  /**
+   * Validate an import and create its valid orders as PLACED, reserving
+   * stock like any new order. Orders are committed in batches, each in one
+   * transaction: if any order in a batch fails, the whole batch is rolled
+   * back and reported as failed while the other batches still go through.
+   *
+   * A large import may run out of time: batches that could not be started
+   * before COMMIT_DEADLINE_MS are left `PENDING` and counted in
+   * `summary.pending`. Importing the rows of the pending orders again
+   * resumes the import; re-sending the whole file would duplicate the
+   * orders already `IMPORTED`.
+   */
+  async commit(text, { orderSource = "ADMIN", actor = null } = {}) {
+    const startedAt = Date.now();
+    const result = await this.validate(text, { orderSource });
+    const valid = result.orders.filter((order) => order.valid);
+
+    for (let i = 0; i < valid.length; i += BATCH_SIZE) {
+      const batch = valid.slice(i, i + BATCH_SIZE);
+      if (Date.now() - startedAt + BATCH_TIMEOUT_MS > COMMIT_DEADLINE_MS) {
+        for (const order of valid.slice(i)) order.status = "PENDING";
+        break;
+      }
+      try {
+        await this.createBatch(batch, { orderSource, actor });
+        for (const order of batch) order.status = "IMPORTED";
+      } catch (error) {
+        console.error("Import batch error:", error);
+        for (const order of batch) {
+          order.status = "FAILED";
+          order.orderId = null;
+          order.errors.push({
+            line: null,
+            field: null,
+            message: `Batch failed: ${error.message}`,
+          });
+        }
+      }
+    }
+
+    const count = (status) =>
+      valid.filter((order) => order.status === status).length;
+    result.summary.imported = count("IMPORTED");
+    result.summary.failed = count("FAILED");
+    result.summary.pending = count("PENDING");
+    return result;
+  }
+
+  /**
+   * Create a batch of validated orders in one transaction, retrying with
+   * fresh order IDs when one collides
+   */
+  async createBatch(batch, { orderSource, actor }) {
+    for (let attempt = 1; attempt <= MAX_ID_RETRIES; attempt++) {
+      for (const order of batch) order.orderId = generateOrderId();
+      try {
+        return await prisma.$transaction(
+          async (tx) => {
+            for (const order of batch) {
+              await this.createOrder(tx, order, { orderSource, actor });
+            }
+          },
+          { timeout: BATCH_TIMEOUT_MS }
+        );
+      } catch (error) {
+        if (error.code === "P2002" && attempt < MAX_ID_RETRIES) {
+          console.log(`Order ID collision, retrying... (attempt ${attempt})`);
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  async createOrder(tx, order, { orderSource, actor }) {
+    const customerId = await customerService.upsertFromOrder(tx, order);
+    await tx.order.create({
+      data: {
+        id: order.orderId,
+        customerName: order.customerName,
+        customerPhone: order.customerPhone,
+        customerLocation: order.customerLocation,
+        province: order.province,
+        customerId,
+        remark: order.remark,
+        state: "PLACED",
+        subtotalPrice: order.subtotalPrice,
+        companyDeliveryPrice: order.companyDeliveryPrice,
+        deliveryPrice: order.deliveryPrice,
+        totalPrice: order.totalPrice,
+        isPaid: order.isPaid,
+        orderSource,
+        createdBy: actor?.id || null,
+      },
+    });
+
+    await tx.orderItem.createMany({
+      data: order.items.map((item) => ({
+        orderId: order.orderId,
+        productId: item.productId,
+        quantity: item.quantity,
+        price: item.price,
+        weight: item.weight,
+        optionDetails:
+          item.optionDetails.length > 0
+            ? { variantId: item.variantId, selections: item.optionDetails }
+            : null,
+      })),
+    });
+
+    await orderHistoryService.record(tx, {
+      orderId: order.orderId,
+      type: "CREATED",
+      actor,
+      toState: "PLACED",
+      note: "Imported from CSV",
+    });
+
+    if (Object.keys(order.priceOverrides).length > 0) {
+      await orderHistoryService.record(tx, {
+        orderId: order.orderId,
+        type: "PRICE_OVERRIDDEN",
+        actor,
+        changes: order.priceOverrides,
+      });
+    }
+
+    await reservationService.reserveForOrder(order.orderId, tx);
+  }
+
+  /**
+   * Order fields from a group's first row plus one item per row
+   */
+  buildOrder(group) {
+    const [first] = group.rows;
+    const values = first.values;
+    const errors = [];
+    const fail = (line, field, message) =>
+      errors.push({ line, field, message });
+
+    const required = {
+      customerName: "Customer name is required",
+      customerPhone: "Customer phone is required",
+      customerLocation: "Customer location is required",
+      province: "Province is required",
+    };
+    for (const [field, message] of Object.entries(required)) {
+      if (!values[field]) fail(first.line, field, message);
+    }
+
+    const paid = (values.isPaid || "").toLowerCase();
+    if (paid && !TRUE_VALUES.includes(paid) && !FALSE_VALUES.includes(paid)) {
+      fail(first.line, "isPaid", "Paid must be yes or no");
+    }
+
+    const items = group.rows.map((row) => {
+      const quantity = Number(row.values.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        fail(row.line, "quantity", "Quantity must be positive");
+      }
+      const price = parseAmount(row.values.price || "");
+      if (price !== null && (isNaN(price) || price < 0)) {
+        fail(row.line, "price", "Price must be positive");
+      }
+      if (!row.values.product) {
+        fail(row.line, "product", "Product SKU or ID is required");
+      }
+      return {
+        line: row.line,
+        productRef: row.values.product,
+        options: row.values.options || "",
+        quantity,
+        price,
+      };
+    });
+
+    return {
+      ref: group.ref,
+      lines: group.rows.map((row) => row.line),
+      customerName: values.customerName,
+      customerPhone: values.customerPhone,
+      customerLocation: values.customerLocation,
+      province: values.province,
+      remark: values.remark || null,
+      isPaid: TRUE_VALUES.includes(paid),
+      items,
+      errors,
+      shortages: [],
+      blacklisted: false,
+    };
+  }
+
+  /**
+   * Active products referenced by the file, matched by SKU or ID, with their
+   * available options and variants
+   */
+  async loadCatalog(rows) {
+    const refs = [
+      ...new Set(rows.map((row) => row.values.product).filter(Boolean)),
+    ];
+    const products = await prisma.product.findMany({
+      where: {
+        isActive: true,
+        OR: [{ id: { in: refs } }, { sku: { in: refs } }],
+      },
+      select: {
+        id: true,
+        sku: true,
+        name: true,
+        price: true,
+        weight: true,
+        deliveryOverride: true,
+        delivery_price_for_pp: true,
+        delivery_price_for_province: true,
+        quantity: true,
+        reservedQuantity: true,
+        hasOptions: true,
+        optionGroups: {
+          where: { isActive: true },
+          select: {
+            id: true,
+            name: true,
+            options: {
+              where: { isAvailable: true },
+              select: {
+                id: true,
+                name: true,
+                priceType: true,
+                priceValue: true,
+              },
+            },
+          },
+        },
+        variants: {
+          where: { isActive: true },
+          select: {
+            id: true,
+            stock: true,
+            reservedStock: true,
+            priceAdjustment: true,
+            variantOptions: { select: { optionId: true } },
+          },
+        },
+      },
+    });
+
+    const byRef = new Map();
+    for (const product of products) {
+      byRef.set(product.id, product);
+      if (product.sku) byRef.set(product.sku, product);
+    }
+    return byRef;
+  }
+
+  /**
+   * Resolve an item's product, options, variant and unit price.
+   * `catalogPrice` is priced like the order form: the catalogue price with
+   * the selected options' price rules. A price column replaces it.
+   */
+  resolveItem(order, item, catalog) {
+    const fail = (field, message) =>
+      order.errors.push({ line: item.line, field, message });
+
+    item.optionDetails = [];
+    if (!item.productRef) return;
+
+    const product = catalog.get(item.productRef);
+    if (!product) {
+      fail("product", `Product ${item.productRef} not found`);
+      return;
+    }
+    item.product = product;
+    item.productId = product.id;
+    item.weight = product.weight || 0;
+
+    const { selections, error } = this.parseOptions(product, item.options);
+    if (error) {
+      fail("options", error);
+      return;
+    }
+    item.optionDetails = selections;
+
+    const variant = product.hasOptions
+      ? resolveVariant(product.variants, selectedOptionIds(selections))
+      : null;
+    item.variant = variant;
+    item.variantId = variant?.id || null;
+
+    item.catalogPrice = priceLine({
+      basePrice: product.price,
+      variant,
+      options: selections.flatMap((group) => group.selectedOptions),
+    });
+    item.price =
+      item.price === null || isNaN(item.price)
+        ? item.catalogPrice
+        : round2(item.price);
+  }
+
+  /**
+   * Items whose price column differs from the catalogue, as the changes of
+   * a PRICE_OVERRIDDEN event: `{ "items[i].price": { product, from, to } }`
+   */
+  findPriceOverrides(order) {
+    const changes = {};
+    order.items.forEach((item, index) => {
+      if (!item.product || item.price === item.catalogPrice) return;
+      changes[`items[${index}].price`] = {
+        product: item.product.name,
+        from: item.catalogPrice,
+        to: item.price,
+      };
+    });
+    return changes;
+  }
+
+  /**
+   * Match "Group: Option, Option; Group: Option" (the export's format) or a
+   * bare "Option; Option" against a product's option groups, by name and
+   * case-insensitively
+   */
+  parseOptions(product, text) {
+    const selections = [];
+    if (!text) return { selections };
+
+    for (const segment of text.split(";")) {
+      if (!segment.trim()) continue;
+      const separator = segment.indexOf(":");
+      const groupName = separator >= 0 ? segment.slice(0, separator) : null;
+      const optionNames = (
+        separator >= 0 ? segment.slice(separator + 1) : segment
+      )
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+      for (const optionName of optionNames) {
+        const groups = groupName
+          ? product.optionGroups.filter((group) =>
+              sameName(group.name, groupName)
+            )
+          : product.optionGroups;
+        if (groupName && groups.length === 0) {
+          return {
+            error: `${product.name} has no option group "${groupName.trim()}"`,
+          };
+        }
+
+        const matches = groups.flatMap((group) =>
+          group.options
+            .filter((option) => sameName(option.name, optionName))
+            .map((option) => ({ group, option }))
+        );
+        if (matches.length === 0) {
+          return {
+            error: `${product.name} has no available option "${optionName}"`,
+          };
+        }
+        if (matches.length > 1) {
+          return {
+            error: `Option "${optionName}" is ambiguous for ${product.name}; prefix it with its group name`,
+          };
+        }
+
+        const [{ group, option }] = matches;
+        let selection = selections.find((entry) => entry.groupId === group.id);
+        if (!selection) {
+          selection = {
+            groupId: group.id,
+            groupName: group.name,
+            selectedOptions: [],
+          };
+          selections.push(selection);
+        }
+        if (
+          !selection.selectedOptions.some((entry) => entry.id === option.id)
+        ) {
+          selection.selectedOptions.push({
+            id: option.id,
+            name: option.name,
+            priceType: option.priceType,
+            priceValue: option.priceValue,
+          });
+        }
+      }
+    }
+
+    return { selections };
+  }
+
+  /**
+   * Flag orders whose phone is on the blacklist
+   */
+  async checkBlacklist(orders) {
+    const reasons = await blacklistService.findEntries(
+      orders.map((order) => order.customerPhone)
+    );
+    if (reasons.size === 0) return;
+
+    for (const order of orders) {
+      const phone = normalizePhone(order.customerPhone);
+      if (!reasons.has(phone)) continue;
+      order.blacklisted = true;
+      const { reason } = reasons.get(phone);
+      order.errors.push({
+        line: order.lines[0],
+        field: "customerPhone",
+        message: `Phone ${order.customerPhone} is blacklisted${
+          reason ? `: ${reason}` : ""
+        }`,
+      });
+    }
+  }
+
+  /**
+   * Check each order's demand against available-to-sell, counting the
+   * orders above it in the file, so the stock a commit would reserve is
+   * never promised twice. Orders with other errors take no stock.
+   */
+  checkStock(orders) {
+    const remaining = new Map();
+    const availableFor = (key, sku) => {
+      if (!remaining.has(key)) {
+        remaining.set(key, reservationService.availableToSell(sku));
+      }
+      return remaining.get(key);
+    };
+
+    for (const order of orders) {
+      if (order.errors.length > 0) continue;
+
+      // Same SKU on several rows of one order draws from one line
+      const lines = new Map();
+      for (const item of order.items) {
+        const key = item.variant
+          ? `variant:${item.variant.id}`
+          : `product:${item.productId}`;
+        if (!lines.has(key)) {
+          lines.set(key, {
+            key,
+            sku: item.variant || item.product,
+            productName: item.product.name,
+            quantity: 0,
+          });
+        }
+        lines.get(key).quantity += item.quantity;
+      }
+
+      for (const line of lines.values()) {
+        const available = availableFor(line.key, line.sku);
+        if (available < line.quantity) {
+          order.shortages.push({
+            productName: line.productName,
+            requestedQuantity: line.quantity,
+            availableStock: available,
+          });
+        }
+      }
+
+      if (order.shortages.length > 0) {
+        order.errors.push({
+          line: order.lines[0],
+          field: "quantity",
+          message: `Insufficient stock: ${order.shortages
+            .map(
+              (shortage) =>
+                `${shortage.productName}: requested ${shortage.requestedQuantity}, available ${shortage.availableStock}`
+            )
+            .join("; ")}`,
+        });
+        continue;
+      }
+
+      for (const line of lines.values()) {
+        remaining.set(line.key, remaining.get(line.key) - line.quantity);
+      }
+    }
+  }
+
+  computeTotals(order, deliveryRules, orderSource) {
+    order.subtotalPrice = round2(
+      order.items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+    );
+    const delivery = deliveryRateService.compute(deliveryRules, {
+      orderSource,
+      province: order.province,
+      customerLocation: order.customerLocation,
+      subtotal: order.subtotalPrice,
+      items: order.items,
+    });
+    order.deliveryPrice = delivery.deliveryPrice;
+    order.companyDeliveryPrice = delivery.companyDeliveryPrice;
+    order.totalPrice = round2(order.subtotalPrice + order.deliveryPrice);
+  }
+
+  /**
+   * Report entry for an order, without the catalogue data used to build it
+   */
+  toReport(order) {
+    return {
+      ref: order.ref,
+      lines: order.lines,
+      status: order.status || (order.valid ? "VALID" : "INVALID"),
+      orderId: order.status === "IMPORTED" ? order.orderId : null,
+      customerName: order.customerName,
+      customerPhone: order.customerPhone,
+      itemCount: order.items.reduce(
+        (sum, item) =>
+          sum + (Number.isInteger(item.quantity) ? item.quantity : 0),
+        0
+      ),
+      subtotalPrice: order.subtotalPrice ?? null,
+      totalPrice: order.totalPrice ?? null,
+      priceOverrides: order.priceOverrides,
+      blacklisted: order.blacklisted,
+      shortages: order.shortages,
+      errors: order.errors,
+    };
+  }
+}
+
+module.exports = new OrderImportService();
@@ -0,0 +1,505 @@
+const getPrismaClient = require("../lib/prisma");
+const stockManagementService = require("./stockManagementService");
+const reservationService = require("./reservationService");
+const orderHistoryService = require("./orderHistoryService");
+const { ServiceError, OrderTransitionError } = require("../lib/errors");
+const prisma = getPrismaClient();
+
+/**
+ * Legal state transitions per order source.
+ * Staying in the same state is always allowed (e.g. swapping the driver of a
+ * DELIVERING order) and is not listed here.
+ */
+const TRANSITIONS = {
+  ADMIN: {
+    PLACED: ["DELIVERING", "CANCELLED"],
+    DELIVERING: ["PLACED", "COMPLETED", "RETURNED", "CANCELLED"],
+    COMPLETED: ["RETURNED"],
+    RETURNED: ["PLACED", "DELIVERING"],
+    CANCELLED: ["PLACED"],
+  },
+  CUSTOMER: {
+    PLACED: ["DELIVERING", "CANCELLED"],
+    DELIVERING: ["PLACED", "COMPLETED", "RETURNED", "CANCELLED"],
+    COMPLETED: ["RETURNED"],
+    RETURNED: ["PLACED", "DELIVERING"],
+    CANCELLED: ["PLACED"],
+  },
+  // Walk-in customers: never dispatched, handed over at the counter
+  PICKUP: {
+    PLACED: ["COMPLETED", "CANCELLED"],
+    COMPLETED: ["RETURNED"],
+    RETURNED: ["PLACED"],
+    CANCELLED: ["PLACED"],
+  },
+};
+
+// States in which the order's items are out of the warehouse.
+// Entering one deducts stock once; leaving them all restores it.
+const STOCK_HOLDING_STATES = ["DELIVERING", "COMPLETED"];
+
+// State in which the order's items are reserved but still on the shelf
+const RESERVING_STATE = "PLACED";
+
+// States that require an assigned driver
+const DRIVER_STATES = ["DELIVERING"];
+
+const ORDER_INCLUDE = {
+  driver: true,
+  creator: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      role: true,
+    },
+  },
+  orderItems: {
+    include: {
+      product: true,
+    },
+  },
+};
+
+class OrderLifecycleService {
+  /**
+   * States an order can move to from its current state
+   */
+  getAllowedTransitions(order) {
+    const bySource = TRANSITIONS[order.orderSource] || TRANSITIONS.ADMIN;
+    return bySource[order.state] || [];
+  }
+
+  canTransition(order, toState) {
+    return (
+      order.state === toState ||
+      this.getAllowedTransitions(order).includes(toState)
+    );
+  }
+
+  holdsStock(state) {
+    return STOCK_HOLDING_STATES.includes(state);
+  }
+
+  /**
+   * Throw if `toState` (optionally with `driverId`) is not reachable from the
+   * order's current state. Does not touch the database.
+   */
+  assertTransition(order, toState, { driverId } = {}) {
+    // The driver's cash for a settled order has been accounted for
+    if (order.settlementId && toState !== order.state) {
+      throw new OrderTransitionError(
+        "Order has been settled with its driver and can no longer change state",
+        409
+      );
+    }
+
+    // A held order stays in the warehouse until staff release it
+    if (
+      order.heldForReview &&
+      toState !== order.state &&
+      this.holdsStock(toState)
+    ) {
+      throw new OrderTransitionError(
+        `Order is held for review${
+          order.holdReason ? ` (${order.holdReason})` : ""
+        } and must be released before it is ${toState}`,
+        409,
+        { heldForReview: true }
+      );
+    }
+
+    if (!this.canTransition(order, toState)) {
+      throw new OrderTransitionError(
+        `Cannot change ${order.orderSource} order from ${order.state} to ${toState}`,
+        400,
+        {
+          currentState: order.state,
+          requestedState: toState,
+          allowedStates: this.getAllowedTransitions(order),
+        }
+      );
+    }
+
+    const nextDriverId = driverId !== undefined ? driverId : order.driverId;
+
+    if (order.orderSource === "PICKUP" && driverId) {
+      throw new OrderTransitionError(
+        "Cannot assign driver to a pickup order. Pickup orders are for walk-in customers."
+      );
+    }
+
+    if (DRIVER_STATES.includes(toState) && !nextDriverId) {
+      throw new OrderTransitionError(
+        `A driver must be assigned before an order can be ${toState}`
+      );
+    }
+  }
+
+  /**
+   * Move an order to `toState`, applying guards and side effects:
+   * stock deduction/restoration, driver and timestamp bookkeeping and an
+   * audit event. Runs in its own transaction unless `client` is a
+   * transaction client, in which case it joins the caller's transaction.
+   *
+   * @param {string} orderId
+   * @param {string} toState
+   * @param {object} options
+   * @param {object} [options.actor] - User performing the change
+   * @param {string} [options.actorType] - USER, CUSTOMER, DRIVER or SYSTEM
+   * @param {string|null} [options.driverId] - Driver to assign (DELIVERING)
+   * @param {Date} [options.assignedAt] - Custom assignment time
+   * @param {object} [options.data] - Extra order fields to write
+   * @param {string} [options.eventType] - Audit event type (STATE_CHANGED)
+   * @param {object} [options.changes] - Extra audit diff
+   * @param {string} [options.note] - Audit note
+   * @param {string} [options.fromState] - Only move the order from this state
+   */
+  async transition(orderId, toState, options = {}, client = null) {
+    if (!client) {
+      return prisma.$transaction(
+        (tx) => this.transition(orderId, toState, options, tx),
+        { timeout: 15000 }
+      );
+    }
+
+    const {
+      actor = null,
+      actorType,
+      driverId,
+      assignedAt,
+      data = {},
+      eventType = "STATE_CHANGED",
+      changes = {},
+      note = null,
+      fromState,
+    } = options;
+
+    const order = await client.order.findUnique({
+      where: { id: orderId },
+      include: {
+        driver: {
+          select: { id: true, name: true, isActive: true },
+        },
+      },
+    });
+
+    if (!order) {
+      throw new OrderTransitionError("Order not found", 404);
+    }
+    if (fromState && order.state !== fromState) {
+      throw new OrderTransitionError(
+        `Order is ${order.state}, not ${fromState}`,
+        409,
+        { currentState: order.state }
+      );
+    }
+
+    this.assertTransition(order, toState, { driverId });
+
+    const updateData = { ...data, state: toState };
+    const now = new Date();
+
+    // Driver bookkeeping
+    let nextDriver = order.driver;
+    if (DRIVER_STATES.includes(toState)) {
+      const nextDriverId = driverId !== undefined ? driverId : order.driverId;
+      if (nextDriverId !== order.driverId) {
+        nextDriver = await client.driver.findUnique({
+          where: { id: nextDriverId },
+          select: { id: true, name: true, isActive: true },
+        });
+        if (!nextDriver) {
+          throw new OrderTransitionError("Invalid driver ID");
+        }
+      }
+      if (!nextDriver.isActive) {
+        throw new OrderTransitionError(`Driver ${nextDriver.name} is inactive`);
+      }
+      if (
+        nextDriver.id !== order.driverId ||
+        order.state !== toState ||
+        assignedAt
+      ) {
+        updateData.driverId = nextDriver.id;
+        updateData.assignedAt = assignedAt ? new Date(assignedAt) : now;
+      }
+    } else if (toState === "PLACED") {
+      // Back in the queue: release the driver
+      updateData.driverId = null;
+      updateData.assignedAt = null;
+      nextDriver = null;
+    }
+
+    // Timestamps
+    if (toState !== order.state) {
+      if (toState === "COMPLETED") {
+        updateData.completedAt = now;
+      }
+      if (toState === "RETURNED") {
+        updateData.returnedAt = now;
+      }
+    }
+
+    // Stock: deduct once on entering a holding state, restore once on leaving
+    const wasHolding = !!order.stockDeductedAt;
+    const willHold = this.holdsStock(toState);
+    if (willHold && !wasHolding) {
+      updateData.stockDeductedAt = now;
+    } else if (!willHold && wasHolding) {
+      updateData.stockDeductedAt = null;
+    }
+
+    // Conditional update guards against concurrent transitions of the same
+    // order: only one request can move it away from the state it just read.
+    const { count } = await client.order.updateMany({
+      where: {
+        id: orderId,
+        state: order.state,
+        stockDeductedAt: order.stockDeductedAt,
+        settlementId: order.settlementId,
+      },
+      data: updateData,
+    });
+    if (count === 0) {
+      throw new OrderTransitionError(
+        "Order was modified by another request, please retry",
+        409
+      );
+    }
+
+    // Deduction is all-or-nothing and throws InsufficientStockError, rolling
+    // back the state change with it
+    const stockOptions = {
+      userId: this.getLedgerUserId(actor, actorType),
+      note: `Order ${order.state} -> ${toState}`,
+    };
+
+    // Leaving the queue: a reservation becomes a deduction or is dropped
+    if (order.state === RESERVING_STATE && toState !== RESERVING_STATE) {
+      if (willHold) {
+        await reservationService.consumeForOrder(orderId, client);
+      } else {
+        await reservationService.releaseForOrder(orderId, client);
+      }
+    }
+
+    if (willHold && !wasHolding) {
+      await stockManagementService.deductStockForOrder(
+        orderId,
+        client,
+        stockOptions
+      );
+    } else if (!willHold && wasHolding) {
+      await stockManagementService.restoreStockForOrder(
+        orderId,
+        client,
+        stockOptions
+      );
+    }
+
+    // Back in the queue (after any restore above): promise the items again
+    if (toState === RESERVING_STATE && order.state !== RESERVING_STATE) {
+      await reservationService.reserveForOrder(orderId, client);
+    }
+
+    const driverChanged =
+      (order.driverId || null) !== (nextDriver?.id || null);
+    const eventChanges = { ...changes };
+    if (updateData.assignedAt !== undefined) {
+      eventChanges.assignedAt = {
+        from: order.assignedAt,
+        to: updateData.assignedAt,
+      };
+    }
+
+    await orderHistoryService.record(client, {
+      orderId,
+      type:
+        driverChanged && eventType === "STATE_CHANGED"
+          ? "DRIVER_CHANGED"
+          : eventType,
+      actor,
+      actorType,
+      fromState: order.state,
+      toState,
+      ...(driverChanged && {
+        fromDriver: order.driver,
+        toDriver: nextDriver,
+      }),
+      changes: eventChanges,
+      note,
+    });
+
+    return client.order.findUnique({
+      where: { id: orderId },
+      include: ORDER_INCLUDE,
+    });
+  }
+
+  /**
+   * Let a held order be dispatched again. The release is recorded in the
+   * order's history together with the reason it was held.
+   */
+  async releaseHold(orderId, { actor = null, note = null } = {}) {
+    return prisma.$transaction(async (tx) => {
+      const order = await tx.order.findUnique({
+        where: { id: orderId },
+        select: { id: true, heldForReview: true, holdReason: true },
+      });
+      if (!order) {
+        throw new OrderTransitionError("Order not found", 404);
+      }
+
+      const { count } = await tx.order.updateMany({
+        where: { id: orderId, heldForReview: true },
+        data: { heldForReview: false, holdReason: null },
+      });
+      if (count === 0) {
+        throw new OrderTransitionError("Order is not held for review", 409);
+      }
+
+      await orderHistoryService.record(tx, {
+        orderId,
+        type: "HOLD_RELEASED",
+        actor,
+        changes: {
+          heldForReview: { from: true, to: false },
+          holdReason: { from: order.holdReason, to: null },
+        },
+        note,
+      });
+
+      return tx.order.findUnique({
+        where: { id: orderId },
+        include: ORDER_INCLUDE,
+      });
+    });
+  }
+
+  /**
+   * Stock ledger entries reference staff users only
+   */
+  getLedgerUserId(actor, actorType) {
+    const type = actorType || (actor ? "USER" : "SYSTEM");
+    return type === "USER" ? actor?.id || null : null;
+  }
+
+  /**
+   * Replace an order's items inside a transaction. If the order currently
+   * holds stock, the old items are put back and the new ones taken out so the
+   * warehouse always matches what is on the order. A PLACED order's
+   * reservation is redone for the new items.
+   *
+   * @param {object} [options]
+   * @param {string} [options.userId] - Staff member editing, for the ledger
+   * @returns {Promise<Array>} the created order items
+   */
+  async replaceItems(client, orderId, itemsData, { userId = null } = {}) {
+    const stockOptions = { userId, note: "Order items edited" };
+    const order = await client.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, state: true, stockDeductedAt: true },
+    });
+
+    if (order.stockDeductedAt) {
+      await stockManagementService.restoreStockForOrder(
+        order.id,
+        client,
+        stockOptions
+      );
+    }
+
+    await client.orderItem.deleteMany({
+      where: { orderId: order.id },
+    });
+
+    const newItems = [];
+    for (const itemData of itemsData) {
+      const newItem = await client.orderItem.create({
+        data: { ...itemData, orderId: order.id },
+      });
+      newItems.push(newItem);
+    }
+
+    if (order.stockDeductedAt) {
+      await stockManagementService.deductStockForOrder(
+        order.id,
+        client,
+        stockOptions
+      );
+    }
+
+    if (order.state === RESERVING_STATE) {
+      await reservationService.reserveForOrder(order.id, client);
+    }
+
+    return newItems;
+  }
+
+  /**
+   * Delete an order and its items inside a transaction. Its reservation is
+   * released; stock it holds goes back only with `restoreStock`. An order
+   * counted in a driver settlement is part of a reconciled cash handover and
+   * cannot be deleted.
+   *
+   * The order's history is kept, closed by a DELETED event with a snapshot
+   * of the order, and still found under its ID.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.restoreStock] - Put held stock back
+   * @param {object} [options.actor] - Staff member deleting the order
+   */
+  async deleteOrder(
+    client,
+    orderId,
+    { restoreStock = false, actor = null } = {}
+  ) {
+    const order = await client.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new ServiceError("Order not found", 404);
+    }
+    if (order.settlementId) {
+      throw new OrderTransitionError(
+        "Order has been settled with its driver and can no longer be deleted",
+        409
+      );
+    }
+
+    await reservationService.releaseForOrder(orderId, client);
+    if (restoreStock && order.stockDeductedAt) {
+      await stockManagementService.restoreStockForOrder(orderId, client, {
+        userId: this.getLedgerUserId(actor),
+        note: `Order ${orderId} deleted`,
+      });
+    }
+
+    await orderHistoryService.record(client, {
+      orderId,
+      type: "DELETED",
+      actor,
+      fromState: order.state,
+      changes: orderHistoryService.snapshotOrder(order),
+    });
+    // Deleting the order clears orderId; keep the trail findable
+    await client.orderEvent.updateMany({
+      where: { orderId },
+      data: { deletedOrderId: orderId },
+    });
+
+    await client.orderItem.deleteMany({ where: { orderId } });
+
+    // Conditional, so a settlement closing meanwhile aborts the delete
+    const { count } = await client.order.deleteMany({
+      where: { id: orderId, settlementId: null },
+    });
+    if (count === 0) {
+      throw new OrderTransitionError(
+        "Order has been settled with its driver and can no longer be deleted",
+        409
+      );
+    }
+  }
+}
+
+module.exports = new OrderLifecycleService();
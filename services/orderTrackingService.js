@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { normalizePhone } = require("../lib/phone");
+const { formatOptions } = require("../lib/optionDetails");
+const prisma = getPrismaClient();
+
+// Only a hash of the token is stored, so a database leak does not expose
+// customers' orders
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Steps a customer sees, in order. An order ends in exactly one of the
+// final states.
+const STEP_LABELS = {
+  PLACED: "Order placed",
+  DELIVERING: "Out for delivery",
+  COMPLETED: "Delivered",
+  RETURNED: "Returned",
+  CANCELLED: "Cancelled",
+};
+
+const sameHash = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+class OrderTrackingService {
+  /**
+   * A new tracking token for a customer order: the plain token to hand to
+   * the customer once and the hash to store on the order
+   */
+  createToken() {
+    const token = crypto.randomBytes(24).toString("base64url");
+    return { token, hash: hashToken(token) };
+  }
+
+  /**
+   * The customer order `orderId` if the caller proved they own it with its
+   * tracking token or the phone number it was placed with. Any mismatch
+   * answers "not found" so order IDs cannot be probed.
+   */
+  async authorize(orderId, { token, phone } = {}, client = prisma) {
+    const notFound = new ServiceError("Order not found", 404);
+    if (!token && !phone) {
+      throw new ServiceError(
+        "A tracking token or the order's phone number is required",
+        401
+      );
+    }
+
+    const order = await client.order.findFirst({
+      where: { id: orderId, orderSource: "CUSTOMER" },
+      select: {
+        id: true,
+        state: true,
+        customerName: true,
+        customerPhone: true,
+        trackingTokenHash: true,
+      },
+    });
+    if (!order) throw notFound;
+
+    if (token) {
+      if (
+        !order.trackingTokenHash ||
+        !sameHash(hashToken(String(token)), order.trackingTokenHash)
+      ) {
+        throw notFound;
+      }
+      return order;
+    }
+
+    const digits = normalizePhone(String(phone));
+    if (!digits || digits !== normalizePhone(order.customerPhone)) {
+      throw notFound;
+    }
+    return order;
+  }
+
+  /**
+   * What a customer may see of their order: its state timeline, the
+   * driver's first name and phone once assigned, and the items and totals.
+   * Staff-only fields (internal delivery cost, creator, remark, review hold)
+   * are never included.
+   */
+  async getTracking(orderId, client = prisma) {
+    const order = await client.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        state: true,
+        customerName: true,
+        customerLocation: true,
+        province: true,
+        subtotalPrice: true,
+        deliveryPrice: true,
+        totalPrice: true,
+        isPaid: true,
+        orderAt: true,
+        assignedAt: true,
+        completedAt: true,
+        returnedAt: true,
+        driver: { select: { name: true, phone: true } },
+        orderItems: {
+          select: {
+            quantity: true,
+            price: true,
+            optionDetails: true,
+            product: { select: { id: true, name: true, imageUrl: true } },
+          },
+        },
+      },
+    });
+    if (!order) {
+      throw new ServiceError("Order not found", 404);
+    }
+
+    const cancelledAt =
+      order.state === "CANCELLED"
+        ? await this.getCancelledAt(order.id, client)
+        : null;
+
+    return {
+      id: order.id,
+      state: order.state,
+      stateLabel: STEP_LABELS[order.state],
+      timeline: this.buildTimeline(order, cancelledAt),
+      driver:
+        order.driver && ["DELIVERING", "COMPLETED"].includes(order.state)
+          ? {
+              firstName: order.driver.name.trim().split(/\s+/)[0],
+              phone: order.driver.phone,
+            }
+          : null,
+      customerName: order.customerName,
+      customerLocation: order.customerLocation,
+      province: order.province,
+      items: order.orderItems.map((item) => ({
+        productId: item.product.id,
+        name: item.product.name,
+        imageUrl: item.product.imageUrl,
+        options: formatOptions(item.optionDetails) || null,
+        quantity: item.quantity,
+        price: item.price,
+        total: item.price * item.quantity,
+      })),
+      subtotalPrice: order.subtotalPrice,
+      deliveryPrice: order.deliveryPrice,
+      totalPrice: order.totalPrice,
+      isPaid: order.isPaid,
+    };
+  }
+
+  /**
+   * Placed, out for delivery and delivered, each with when it happened
+   * (null while still to come). A returned or cancelled order ends with that
+   * step instead of the ones it never reached.
+   */
+  buildTimeline(order, cancelledAt = null) {
+    const step = (state, at) => ({
+      state,
+      label: STEP_LABELS[state],
+      at: at || null,
+      done: !!at,
+    });
+
+    const steps = [step("PLACED", order.orderAt)];
+    // An order cancelled before dispatch never went out for delivery
+    if (order.state !== "CANCELLED" || order.assignedAt) {
+      steps.push(step("DELIVERING", order.assignedAt));
+    }
+
+    if (order.state === "CANCELLED") {
+      steps.push(step("CANCELLED", cancelledAt || order.orderAt));
+    } else if (order.state === "RETURNED") {
+      steps.push(step("RETURNED", order.returnedAt));
+    } else {
+      steps.push(step("COMPLETED", order.completedAt));
+    }
+    return steps;
+  }
+
+  async getCancelledAt(orderId, client = prisma) {
+    const event = await client.orderEvent.findFirst({
+      where: { orderId, toState: "CANCELLED" },
+      orderBy: { createdAt: "desc" },
+      select: { createdAt: true },
+    });
+    return event?.createdAt || null;
+  }
+}
+
+module.exports = new OrderTrackingService();
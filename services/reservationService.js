@@ -0,0 +1,217 @@
+const getPrismaClient = require("../lib/prisma");
+const stockManagementService = require("./stockManagementService");
+const { InsufficientStockError } = require("../lib/errors");
+const prisma = getPrismaClient();
+
+// How long a PLACED order may hold stock before the expiry job frees it
+const RESERVATION_TTL_HOURS =
+  parseInt(process.env.RESERVATION_TTL_HOURS) || 72;
+
+class ReservationService {
+  /**
+   * Available-to-sell for a product or variant row: on-hand minus reserved
+   */
+  availableToSell(sku) {
+    const onHand = sku.stock !== undefined ? sku.stock : sku.quantity;
+    const reserved =
+      sku.reservedStock !== undefined ? sku.reservedStock : sku.reservedQuantity;
+    return Math.max(0, (onHand || 0) - (reserved || 0));
+  }
+
+  /**
+   * Reserve an order's items. Any reservation the order already holds is
+   * released first, so this is safe to call again after the items change.
+   *
+   * Each SKU's reserved counter is raised with a conditional update
+   * (`on-hand - reserved >= quantity`), so concurrent orders cannot promise
+   * the same unit twice. Throws InsufficientStockError listing every short
+   * line; the caller's transaction then rolls back.
+   */
+  async reserveForOrder(orderId, client = null) {
+    if (!client) {
+      return prisma.$transaction((tx) => this.reserveForOrder(orderId, tx));
+    }
+
+    await this.releaseForOrder(orderId, client);
+
+    const lines = await stockManagementService.getOrderStockLines(
+      orderId,
+      client
+    );
+    const expiresAt = new Date(
+      Date.now() + RESERVATION_TTL_HOURS * 60 * 60 * 1000
+    );
+    const shortages = [];
+
+    for (const line of lines) {
+      const count = line.variantId
+        ? await client.$executeRaw`
+            UPDATE "product_variants"
+            SET "reservedStock" = "reservedStock" + ${line.quantity}
+            WHERE "id" = ${line.variantId}
+              AND "stock" - "reservedStock" >= ${line.quantity}`
+        : await client.$executeRaw`
+            UPDATE "products"
+            SET "reservedQuantity" = "reservedQuantity" + ${line.quantity}
+            WHERE "id" = ${line.productId}
+              AND "quantity" - "reservedQuantity" >= ${line.quantity}`;
+
+      if (count === 0) {
+        shortages.push({
+          ...stockManagementService.describeLine(line),
+          availableStock: await this.getAvailableForLine(line, client),
+        });
+        continue;
+      }
+
+      await client.stockReservation.create({
+        data: {
+          orderId,
+          productId: line.productId,
+          variantId: line.variantId,
+          quantity: line.quantity,
+          expiresAt,
+        },
+      });
+    }
+
+    if (shortages.length > 0) {
+      throw new InsufficientStockError(shortages);
+    }
+
+    return { orderId, expiresAt, lines };
+  }
+
+  /**
+   * Drop an order's active reservations (cancelled, deleted or edited)
+   */
+  async releaseForOrder(orderId, client = prisma) {
+    return this.closeReservations(client, { orderId }, "RELEASED");
+  }
+
+  /**
+   * Close an order's active reservations because its stock is being deducted
+   */
+  async consumeForOrder(orderId, client = prisma) {
+    return this.closeReservations(client, { orderId }, "CONSUMED");
+  }
+
+  /**
+   * Release every active reservation past its expiry time
+   *
+   * @returns {Promise<number>} number of reservations expired
+   */
+  async expireStale(client = null) {
+    if (!client) {
+      return prisma.$transaction((tx) => this.expireStale(tx), {
+        timeout: 15000,
+      });
+    }
+    return this.closeReservations(
+      client,
+      { expiresAt: { lt: new Date() } },
+      "EXPIRED"
+    );
+  }
+
+  /**
+   * Move matching ACTIVE reservations to `status` and lower the reserved
+   * counters. Each row is claimed with a conditional update so a reservation
+   * is never released twice (e.g. expiry racing a cancellation).
+   */
+  async closeReservations(client, where, status) {
+    const reservations = await client.stockReservation.findMany({
+      where: { ...where, status: "ACTIVE" },
+    });
+
+    let closed = 0;
+    for (const reservation of reservations) {
+      const { count } = await client.stockReservation.updateMany({
+        where: { id: reservation.id, status: "ACTIVE" },
+        data: { status, releasedAt: new Date() },
+      });
+      if (count === 0) continue;
+
+      if (reservation.variantId) {
+        await client.$executeRaw`
+          UPDATE "product_variants"
+          SET "reservedStock" = GREATEST("reservedStock" - ${reservation.quantity}, 0)
+          WHERE "id" = ${reservation.variantId}`;
+      } else {
+        await client.$executeRaw`
+          UPDATE "products"
+          SET "reservedQuantity" = GREATEST("reservedQuantity" - ${reservation.quantity}, 0)
+          WHERE "id" = ${reservation.productId}`;
+      }
+      closed++;
+    }
+
+    return closed;
+  }
+
+  /**
+   * Reserve stock for PLACED orders that never held a reservation, i.e.
+   * orders placed before reservations existed. Oldest orders are served
+   * first, one transaction each; an order stock cannot cover is reported
+   * and left unreserved. Safe to run again.
+   *
+   * @returns {Promise<{reserved: number, short: Array}>} short lists
+   *   `{ orderId, shortages }`
+   */
+  async backfill() {
+    const orders = await prisma.order.findMany({
+      where: { state: "PLACED", reservations: { none: {} } },
+      orderBy: [{ orderAt: "asc" }, { id: "asc" }],
+      select: { id: true },
+    });
+
+    let reserved = 0;
+    const short = [];
+    for (const order of orders) {
+      try {
+        await this.reserveForOrder(order.id);
+        reserved++;
+      } catch (error) {
+        if (!(error instanceof InsufficientStockError)) throw error;
+        short.push({ orderId: order.id, shortages: error.shortages });
+      }
+    }
+
+    return { reserved, short };
+  }
+
+  async getAvailableForLine(line, client = prisma) {
+    const sku = line.variantId
+      ? await client.productVariant.findUnique({
+          where: { id: line.variantId },
+          select: { stock: true, reservedStock: true },
+        })
+      : await client.product.findUnique({
+          where: { id: line.productId },
+          select: { quantity: true, reservedQuantity: true },
+        });
+    return sku ? this.availableToSell(sku) : 0;
+  }
+
+  /**
+   * Active reservations, optionally for one product or order
+   */
+  async getActive({ productId, variantId, orderId } = {}) {
+    const where = { status: "ACTIVE" };
+    if (productId) where.productId = productId;
+    if (variantId) where.variantId = variantId;
+    if (orderId) where.orderId = orderId;
+
+    return prisma.stockReservation.findMany({
+      where,
+      orderBy: { expiresAt: "asc" },
+      include: {
+        product: { select: { id: true, name: true } },
+        variant: { select: { id: true, name: true } },
+        order: { select: { id: true, state: true, customerName: true } },
+      },
+    });
+  }
+}
+
+module.exports = new ReservationService();
@@ -0,0 +1,417 @@
+const getPrismaClient = require("../lib/prisma");
+const { ServiceError } = require("../lib/errors");
+const { round2 } = require("../lib/pricing");
+const prisma = getPrismaClient();
+
+// Orders a driver has finished with and must account for
+const SETTLEABLE_STATES = ["COMPLETED", "RETURNED"];
+
+const ORDER_SELECT = {
+  id: true,
+  state: true,
+  customerName: true,
+  customerPhone: true,
+  province: true,
+  isPaid: true,
+  totalPrice: true,
+  companyDeliveryPrice: true,
+  assignedAt: true,
+  completedAt: true,
+  returnedAt: true,
+  settledAt: true,
+};
+
+class SettlementService {
+  /**
+   * What an order contributes to a settlement. Unpaid COMPLETED orders bring
+   * in their totalPrice in cash and every COMPLETED order earns the driver
+   * its companyDeliveryPrice; RETURNED orders are listed but count for
+   * nothing.
+   */
+  toLine(order) {
+    const completed = order.state === "COMPLETED";
+    return {
+      ...order,
+      codAmount: completed && !order.isPaid ? order.totalPrice : 0,
+      deliveryFee: completed ? order.companyDeliveryPrice : 0,
+    };
+  }
+
+  summarize(lines) {
+    const codCollected = round2(
+      lines.reduce((sum, line) => sum + line.codAmount, 0)
+    );
+    const deliveryFees = round2(
+      lines.reduce((sum, line) => sum + line.deliveryFee, 0)
+    );
+    return {
+      orderCount: lines.length,
+      completedCount: lines.filter((line) => line.state === "COMPLETED").length,
+      returnedCount: lines.filter((line) => line.state === "RETURNED").length,
+      codCollected,
+      deliveryFees,
+      amountDue: round2(codCollected - deliveryFees),
+    };
+  }
+
+  /**
+   * A driver's COMPLETED and RETURNED orders that no settlement has
+   * accounted for yet, with the cash they add up to
+   */
+  async getUnsettled(driverId, client = prisma) {
+    await this.getDriver(driverId, client);
+    const orders = await client.order.findMany({
+      where: {
+        driverId,
+        state: { in: SETTLEABLE_STATES },
+        settlementId: null,
+      },
+      orderBy: [{ assignedAt: "asc" }, { id: "asc" }],
+      select: ORDER_SELECT,
+    });
+    const lines = orders.map((order) => this.toLine(order));
+    return { summary: this.summarize(lines), orders: lines };
+  }
+
+  /**
+   * Refuse (409) while a driver still has cash to account for: unsettled
+   * COMPLETED or RETURNED orders, or an open settlement. Deleting the driver
+   * would detach those orders and the balance would vanish.
+   */
+  async assertNothingOutstanding(driverId, client = prisma) {
+    const [unsettled, openSettlement] = await Promise.all([
+      client.order.count({
+        where: {
+          driverId,
+          state: { in: SETTLEABLE_STATES },
+          settlementId: null,
+        },
+      }),
+      client.driverSettlement.findFirst({
+        where: { driverId, status: "OPEN" },
+        select: { number: true },
+      }),
+    ]);
+
+    if (unsettled > 0 || openSettlement) {
+      throw new ServiceError(
+        openSettlement
+          ? `Driver has open settlement #${openSettlement.number}; close it first`
+          : `Driver has ${unsettled} unsettled order(s); settle them first`,
+        409,
+        {
+          unsettledOrders: unsettled,
+          openSettlement: openSettlement?.number || null,
+        }
+      );
+    }
+  }
+
+  /**
+   * Open a settlement for a driver. A driver has at most one open
+   * settlement at a time, enforced by a partial unique index so concurrent
+   * requests cannot open two.
+   */
+  async open(driverId, { actor = null, note = null } = {}) {
+    const driver = await this.getDriver(driverId);
+
+    let settlement;
+    try {
+      settlement = await prisma.driverSettlement.create({
+        data: {
+          driverId,
+          driverName: driver.name,
+          note,
+          openedBy: actor?.id || null,
+        },
+      });
+    } catch (error) {
+      if (error.code !== "P2002") throw error;
+      const existing = await prisma.driverSettlement.findFirst({
+        where: { driverId, status: "OPEN" },
+        select: { number: true },
+      });
+      throw new ServiceError(
+        `${driver.name} already has open settlement${
+          existing ? ` #${existing.number}` : ""
+        }`,
+        409,
+        { number: existing?.number ?? null }
+      );
+    }
+
+    return this.getSettlement(settlement.number);
+  }
+
+  /**
+   * A settlement with its orders. An open settlement previews the driver's
+   * unsettled orders; a closed one lists the orders it settled.
+   */
+  async getSettlement(number, client = prisma) {
+    const settlement = await client.driverSettlement.findUnique({
+      where: { number },
+      include: {
+        opener: { select: { id: true, name: true } },
+        closer: { select: { id: true, name: true } },
+      },
+    });
+    if (!settlement) {
+      throw new ServiceError("Settlement not found", 404);
+    }
+
+    if (settlement.status === "OPEN" && settlement.driverId) {
+      const unsettled = await this.getUnsettled(settlement.driverId, client);
+      return { ...settlement, ...unsettled };
+    }
+
+    const orders = await client.order.findMany({
+      where: { settlementId: settlement.id },
+      orderBy: [{ assignedAt: "asc" }, { id: "asc" }],
+      select: ORDER_SELECT,
+    });
+    const lines = orders.map((order) => this.toLine(order));
+    return { ...settlement, summary: this.summarize(lines), orders: lines };
+  }
+
+  /**
+   * Record the cash a driver handed over and settle their orders: all
+   * unsettled ones, or just `orderIds`. Totals are frozen on the settlement
+   * and each order is stamped with it so it is never counted twice.
+   */
+  async close(
+    number,
+    { amountReceived, orderIds = null, note, actor = null } = {}
+  ) {
+    return prisma.$transaction(async (tx) => {
+      const settlement = await tx.driverSettlement.findUnique({
+        where: { number },
+      });
+      if (!settlement) {
+        throw new ServiceError("Settlement not found", 404);
+      }
+      if (settlement.status !== "OPEN" || !settlement.driverId) {
+        throw new ServiceError(
+          `Settlement #${number} is ${settlement.status.toLowerCase()}`,
+          409
+        );
+      }
+
+      const unsettled = await this.getUnsettled(settlement.driverId, tx);
+      let lines = unsettled.orders;
+      if (orderIds) {
+        const available = new Set(lines.map((line) => line.id));
+        const unknown = orderIds.filter((id) => !available.has(id));
+        if (unknown.length > 0) {
+          throw new ServiceError(
+            "Some orders are not unsettled orders of this driver",
+            400,
+            { orderIds: unknown }
+          );
+        }
+        const wanted = new Set(orderIds);
+        lines = lines.filter((line) => wanted.has(line.id));
+      }
+      if (lines.length === 0) {
+        throw new ServiceError("There are no orders to settle");
+      }
+
+      // Stamp orders in the state they were counted in, so an order that
+      // changed state or was settled meanwhile aborts the whole settlement
+      const now = new Date();
+      for (const state of SETTLEABLE_STATES) {
+        const ids = lines
+          .filter((line) => line.state === state)
+          .map((line) => line.id);
+        if (ids.length === 0) continue;
+        const { count } = await tx.order.updateMany({
+          where: {
+            id: { in: ids },
+            state,
+            driverId: settlement.driverId,
+            settlementId: null,
+          },
+          data: { settlementId: settlement.id, settledAt: now },
+        });
+        if (count !== ids.length) {
+          throw new ServiceError(
+            "Orders changed while settling, please retry",
+            409
+          );
+        }
+      }
+
+      const summary = this.summarize(lines);
+      const received = round2(amountReceived);
+      const { count } = await tx.driverSettlement.updateMany({
+        where: { id: settlement.id, status: "OPEN" },
+        data: {
+          status: "CLOSED",
+          orderCount: summary.orderCount,
+          codCollected: summary.codCollected,
+          deliveryFees: summary.deliveryFees,
+          amountDue: summary.amountDue,
+          amountReceived: received,
+          difference: round2(received - summary.amountDue),
+          note: note !== undefined ? note : settlement.note,
+          closedBy: actor?.id || null,
+          closedAt: now,
+        },
+      });
+      if (count === 0) {
+        throw new ServiceError(
+          "Settlement was modified by another request, please retry",
+          409
+        );
+      }
+
+      return this.getSettlement(number, tx);
+    });
+  }
+
+  /**
+   * Abandon an open settlement without settling anything
+   */
+  async cancel(number, { actor = null } = {}) {
+    const { count } = await prisma.driverSettlement.updateMany({
+      where: { number, status: "OPEN" },
+      data: {
+        status: "CANCELLED",
+        closedBy: actor?.id || null,
+        closedAt: new Date(),
+      },
+    });
+    if (count === 0) {
+      // Tell a missing settlement apart from one that is no longer open
+      await this.getSettlement(number);
+      throw new ServiceError(`Settlement #${number} is not open`, 409);
+    }
+    return this.getSettlement(number);
+  }
+
+  /**
+   * Settlements, newest first
+   */
+  async listSettlements({ driverId, status, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (driverId) where.driverId = driverId;
+    if (status) where.status = status;
+
+    const [settlements, total] = await Promise.all([
+      prisma.driverSettlement.findMany({
+        where,
+        orderBy: { number: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: {
+          opener: { select: { id: true, name: true } },
+          closer: { select: { id: true, name: true } },
+        },
+      }),
+      prisma.driverSettlement.count({ where }),
+    ]);
+
+    return {
+      settlements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * What each driver owes the shop right now: the amount due on unsettled
+   * orders plus any shortfall carried over from closed settlements (an
+   * overpayment is carried as a credit). Pass `driverId` for one driver.
+   */
+  async getBalances({ driverId } = {}) {
+    const [drivers, unsettled, carried] = await Promise.all([
+      prisma.driver.findMany({
+        where: driverId ? { id: driverId } : {},
+        select: { id: true, name: true, phone: true, isActive: true },
+        orderBy: { name: "asc" },
+      }),
+      prisma.order.groupBy({
+        by: ["driverId", "state", "isPaid"],
+        where: {
+          ...(driverId ? { driverId } : { driverId: { not: null } }),
+          state: { in: SETTLEABLE_STATES },
+          settlementId: null,
+        },
+        _count: { _all: true },
+        _sum: { totalPrice: true, companyDeliveryPrice: true },
+      }),
+      prisma.driverSettlement.groupBy({
+        by: ["driverId"],
+        where: {
+          ...(driverId ? { driverId } : { driverId: { not: null } }),
+          status: "CLOSED",
+        },
+        _sum: { difference: true },
+      }),
+    ]);
+
+    if (driverId && drivers.length === 0) {
+      throw new ServiceError("Driver not found", 404);
+    }
+
+    const balances = new Map(
+      drivers.map((driver) => [
+        driver.id,
+        {
+          driver,
+          unsettledOrders: 0,
+          codCollected: 0,
+          deliveryFees: 0,
+          carriedOver: 0,
+        },
+      ])
+    );
+
+    for (const group of unsettled) {
+      const balance = balances.get(group.driverId);
+      if (!balance) continue;
+      balance.unsettledOrders += group._count._all;
+      if (group.state !== "COMPLETED") continue;
+      if (!group.isPaid) {
+        balance.codCollected += group._sum.totalPrice || 0;
+      }
+      balance.deliveryFees += group._sum.companyDeliveryPrice || 0;
+    }
+
+    for (const group of carried) {
+      const balance = balances.get(group.driverId);
+      // A positive difference was an overpayment, i.e. a credit
+      if (balance) balance.carriedOver -= group._sum.difference || 0;
+    }
+
+    return [...balances.values()].map((balance) => {
+      const unsettledDue = round2(balance.codCollected - balance.deliveryFees);
+      const carriedOver = round2(balance.carriedOver);
+      return {
+        driver: balance.driver,
+        unsettledOrders: balance.unsettledOrders,
+        codCollected: round2(balance.codCollected),
+        deliveryFees: round2(balance.deliveryFees),
+        unsettledDue,
+        carriedOver,
+        outstanding: round2(unsettledDue + carriedOver),
+      };
+    });
+  }
+
+  async getDriver(driverId, client = prisma) {
+    const driver = await client.driver.findUnique({
+      where: { id: driverId },
+      select: { id: true, name: true },
+    });
+    if (!driver) {
+      throw new ServiceError("Driver not found", 404);
+    }
+    return driver;
+  }
+}
+
+module.exports = new SettlementService();
@@ -1,264 +1,377 @@
 const getPrismaClient = require("../lib/prisma");
+const { InsufficientStockError } = require("../lib/errors");
+const inventoryLedgerService = require("./inventoryLedgerService");
 const prisma = getPrismaClient();
 
 class StockManagementService {
   /**
-   * Deduct stock when order is assigned to driver
+   * Deduct stock when order is assigned to driver.
+   *
+   * The whole order is deducted atomically: every SKU is decremented with a
+   * conditional update, so two concurrent assignments can never both take
+   * the last unit. Units reserved for other PLACED orders are off limits: a
+   * line needs `stock - reserved >= quantity`, where the order's own active
+   * reservation counts as its own. If any line is short, nothing is deducted
+   * and an InsufficientStockError listing every short line is thrown.
+   *
+   * Every decrement is logged to the stock ledger as ORDER_DEDUCT.
+   * Pass a transaction client to run inside the caller's transaction.
+   *
+   * @param {object} [options]
+   * @param {string} [options.userId] - Staff member responsible, for the ledger
+   * @param {string} [options.note] - Ledger note
    */
-  async deductStockForOrder(orderId) {
-    try {
-      console.log(`[STOCK] Deducting stock for order: ${orderId}`);
-
-      // Get order with items
-      const order = await prisma.order.findUnique({
-        where: { id: orderId },
-        include: {
-          orderItems: {
-            include: {
-              product: true,
-            },
-          },
-        },
-      });
-
-      if (!order) {
-        throw new Error("Order not found");
-      }
+  async deductStockForOrder(orderId, client = null, options = {}) {
+    if (!client) {
+      return prisma.$transaction((tx) =>
+        this.deductStockForOrder(orderId, tx, options)
+      );
+    }
 
-      // Process each order item
-      for (const item of order.orderItems) {
-        await this.deductStockForItem(item);
+    console.log(`[STOCK] Deducting stock for order: ${orderId}`);
+
+    const lines = await this.getOrderStockLines(orderId, client);
+    const reserved = await this.getReservedForOrders([orderId], client);
+    const shortages = [];
+
+    for (const line of lines) {
+      const own = reserved.get(`${orderId}:${line.key}`) || 0;
+      const count = line.variantId
+        ? await client.$executeRaw`
+            UPDATE "product_variants"
+            SET "stock" = "stock" - ${line.quantity}
+            WHERE "id" = ${line.variantId}
+              AND "stock" >= ${line.quantity}
+              AND "stock" - "reservedStock" + ${own} >= ${line.quantity}`
+        : await client.$executeRaw`
+            UPDATE "products"
+            SET "quantity" = "quantity" - ${line.quantity}
+            WHERE "id" = ${line.productId}
+              AND "quantity" >= ${line.quantity}
+              AND "quantity" - "reservedQuantity" + ${own} >= ${line.quantity}`;
+
+      if (count === 0) {
+        shortages.push({
+          ...this.describeLine(line),
+          availableStock: await this.getSellableStock(line, own, client),
+        });
+      } else {
+        await this.recordMovement(client, line, -line.quantity, {
+          ...options,
+          orderId,
+          reason: "ORDER_DEDUCT",
+        });
       }
+    }
 
-      console.log(`[STOCK] Successfully deducted stock for order: ${orderId}`);
-      return { success: true, orderId };
-    } catch (error) {
-      console.error("Deduct stock for order error:", error);
-      throw error;
+    // Throwing rolls back the lines that were already decremented
+    if (shortages.length > 0) {
+      throw new InsufficientStockError(shortages);
     }
+
+    console.log(`[STOCK] Successfully deducted stock for order: ${orderId}`);
+    return { success: true, orderId, lines };
   }
 
   /**
-   * Restore stock when order status changes from DELIVERING or order is deleted
+   * Restore stock when order status changes from DELIVERING or order is deleted.
+   * All lines are restored in one transaction and logged as ORDER_RETURN.
+   *
+   * Pass a transaction client to run inside the caller's transaction.
+   * Takes the same options as deductStockForOrder.
    */
-  async restoreStockForOrder(orderId) {
-    try {
-      console.log(`[STOCK] Restoring stock for order: ${orderId}`);
-
-      // Get order with items
-      const order = await prisma.order.findUnique({
-        where: { id: orderId },
-        include: {
-          orderItems: {
-            include: {
-              product: true,
-            },
-          },
-        },
-      });
-
-      if (!order) {
-        throw new Error("Order not found");
-      }
+  async restoreStockForOrder(orderId, client = null, options = {}) {
+    if (!client) {
+      return prisma.$transaction((tx) =>
+        this.restoreStockForOrder(orderId, tx, options)
+      );
+    }
 
-      // Process each order item
-      for (const item of order.orderItems) {
-        await this.restoreStockForItem(item);
-      }
+    console.log(`[STOCK] Restoring stock for order: ${orderId}`);
 
-      console.log(`[STOCK] Successfully restored stock for order: ${orderId}`);
-      return { success: true, orderId };
-    } catch (error) {
-      console.error("Restore stock for order error:", error);
-      throw error;
-    }
-  }
+    const lines = await this.getOrderStockLines(orderId, client);
+    const skipped = [];
 
-  /**
-   * Deduct stock for a single order item
-   */
-  async deductStockForItem(orderItem) {
-    try {
-      const { productId, quantity, optionDetails } = orderItem;
-
-      // Resolve variantId from optionDetails if available
-      let variantId = optionDetails?.variantId;
-      if (!variantId && optionDetails) {
-        // Legacy payload support: optionDetails might be an array of groups
-        const selections = Array.isArray(optionDetails)
-          ? optionDetails
-          : optionDetails.selections;
-        if (selections && selections.length > 0) {
-          const selectedOptionIds = selections
-            .flatMap((g) => (g.selectedOptions || []).map((o) => o.id))
-            .filter(Boolean);
-          variantId = await this.resolveVariantId(productId, selectedOptionIds);
-        }
-      }
+    for (const line of lines) {
+      const { count } = line.variantId
+        ? await client.productVariant.updateMany({
+            where: { id: line.variantId },
+            data: { stock: { increment: line.quantity } },
+          })
+        : await client.product.updateMany({
+            where: { id: line.productId },
+            data: { quantity: { increment: line.quantity } },
+          });
 
-      if (variantId) {
-        await this.deductVariantStock(variantId, quantity);
-        console.log(`[STOCK] Deducted ${quantity} from variant ${variantId}`);
+      // The variant was deleted since the order was placed; nothing to restore
+      if (count === 0) {
+        console.warn(
+          `[STOCK] Could not restore ${line.quantity} to missing ${
+            line.variantId ? `variant ${line.variantId}` : `product ${line.productId}`
+          }`
+        );
+        skipped.push(this.describeLine(line));
       } else {
-        await this.deductProductStock(productId, quantity);
-        console.log(`[STOCK] Deducted ${quantity} from product ${productId}`);
+        await this.recordMovement(client, line, line.quantity, {
+          ...options,
+          orderId,
+          reason: "ORDER_RETURN",
+        });
       }
-    } catch (error) {
-      console.error("Deduct stock for item error:", error);
-      throw error;
     }
+
+    console.log(`[STOCK] Successfully restored stock for order: ${orderId}`);
+    return { success: true, orderId, lines, skipped };
   }
 
   /**
-   * Restore stock for a single order item
+   * Check whether stock covers deducting several orders, handing it to them
+   * in the given order. As in deductStockForOrder, an order may use what is
+   * not reserved plus its own reservation. Stock is read once for all SKUs.
+   * Nothing is written.
+   *
+   * @returns {Promise<Map<string, Array>>} orderId -> shortages, only for
+   *   orders that cannot be covered (they take nothing)
    */
-  async restoreStockForItem(orderItem) {
-    try {
-      const { productId, quantity, optionDetails } = orderItem;
-
-      // Resolve variantId from optionDetails if available
-      let variantId = optionDetails?.variantId;
-      if (!variantId && optionDetails) {
-        const selections = Array.isArray(optionDetails)
-          ? optionDetails
-          : optionDetails.selections;
-        if (selections && selections.length > 0) {
-          const selectedOptionIds = selections
-            .flatMap((g) => (g.selectedOptions || []).map((o) => o.id))
-            .filter(Boolean);
-          variantId = await this.resolveVariantId(productId, selectedOptionIds);
-        }
-      }
+  async checkStockForOrders(orderIds, client = prisma) {
+    const linesByOrder = new Map();
+    for (const orderId of orderIds) {
+      linesByOrder.set(orderId, await this.getOrderStockLines(orderId, client));
+    }
 
-      if (variantId) {
-        await this.restoreVariantStock(variantId, quantity);
-        console.log(`[STOCK] Restored ${quantity} to variant ${variantId}`);
-      } else {
-        await this.restoreProductStock(productId, quantity);
-        console.log(`[STOCK] Restored ${quantity} to product ${productId}`);
+    const allLines = [...linesByOrder.values()].flat();
+    const variantIds = [
+      ...new Set(allLines.map((line) => line.variantId).filter(Boolean)),
+    ];
+    const productIds = [
+      ...new Set(
+        allLines.filter((line) => !line.variantId).map((line) => line.productId)
+      ),
+    ];
+    const [variants, products, reserved] = await Promise.all([
+      client.productVariant.findMany({
+        where: { id: { in: variantIds } },
+        select: { id: true, stock: true, reservedStock: true },
+      }),
+      client.product.findMany({
+        where: { id: { in: productIds } },
+        select: { id: true, quantity: true, reservedQuantity: true },
+      }),
+      this.getReservedForOrders(orderIds, client),
+    ]);
+
+    // Unreserved stock per SKU, and on-hand as a hard cap
+    const remaining = new Map([
+      ...variants.map((variant) => [
+        `variant:${variant.id}`,
+        variant.stock - variant.reservedStock,
+      ]),
+      ...products.map((product) => [
+        `product:${product.id}`,
+        product.quantity - product.reservedQuantity,
+      ]),
+    ]);
+    const onHand = new Map([
+      ...variants.map((variant) => [`variant:${variant.id}`, variant.stock]),
+      ...products.map((product) => [`product:${product.id}`, product.quantity]),
+    ]);
+
+    const shortagesByOrder = new Map();
+    for (const [orderId, lines] of linesByOrder) {
+      const sellable = (line) =>
+        Math.min(
+          (remaining.get(line.key) || 0) +
+            (reserved.get(`${orderId}:${line.key}`) || 0),
+          onHand.get(line.key) || 0
+        );
+      const shortages = lines
+        .filter((line) => sellable(line) < line.quantity)
+        .map((line) => ({
+          ...this.describeLine(line),
+          availableStock: Math.max(sellable(line), 0),
+        }));
+
+      if (shortages.length > 0) {
+        shortagesByOrder.set(orderId, shortages);
+        continue;
+      }
+      for (const line of lines) {
+        const own = reserved.get(`${orderId}:${line.key}`) || 0;
+        remaining.set(line.key, remaining.get(line.key) + own - line.quantity);
+        onHand.set(line.key, onHand.get(line.key) - line.quantity);
       }
-    } catch (error) {
-      console.error("Restore stock for item error:", error);
-      throw error;
     }
+
+    return shortagesByOrder;
   }
 
   /**
-   * Deduct stock from product variant
+   * Load an order's items and aggregate them into one line per SKU
+   * (variant or simple product), sorted by SKU so concurrent transactions
+   * lock rows in the same order and cannot deadlock.
    */
-  async deductVariantStock(variantId, quantity) {
-    try {
-      const variant = await prisma.productVariant.findUnique({
-        where: { id: variantId },
-      });
+  async getOrderStockLines(orderId, client = prisma) {
+    const order = await client.order.findUnique({
+      where: { id: orderId },
+      include: {
+        orderItems: {
+          include: {
+            product: {
+              select: { id: true, name: true, quantity: true },
+            },
+          },
+        },
+      },
+    });
 
-      if (!variant) {
-        throw new Error(`Variant not found: ${variantId}`);
-      }
+    if (!order) {
+      throw new Error("Order not found");
+    }
 
-      if (variant.stock < quantity) {
-        throw new Error(
-          `Insufficient stock for variant ${variantId}. Available: ${variant.stock}, Requested: ${quantity}`
-        );
+    const linesByKey = new Map();
+    for (const item of order.orderItems) {
+      const variantId = await this.resolveItemVariantId(item, client);
+      const key = variantId ? `variant:${variantId}` : `product:${item.productId}`;
+
+      if (!linesByKey.has(key)) {
+        linesByKey.set(key, {
+          key,
+          productId: item.productId,
+          variantId,
+          productName: item.product?.name || item.productId,
+          quantity: 0,
+        });
       }
-
-      await prisma.productVariant.update({
-        where: { id: variantId },
-        data: {
-          stock: {
-            decrement: quantity,
-          },
-        },
-      });
-    } catch (error) {
-      console.error("Deduct variant stock error:", error);
-      throw error;
+      linesByKey.get(key).quantity += item.quantity;
     }
+
+    return [...linesByKey.values()].sort((a, b) => a.key.localeCompare(b.key));
   }
 
   /**
-   * Restore stock to product variant
+   * Resolve the variant an order item draws stock from, if any
    */
-  async restoreVariantStock(variantId, quantity) {
-    try {
-      const variant = await prisma.productVariant.findUnique({
-        where: { id: variantId },
-      });
-      if (!variant) {
-        throw new Error(`Variant not found: ${variantId}`);
+  async resolveItemVariantId(orderItem, client = prisma) {
+    const { productId, optionDetails } = orderItem;
+
+    let variantId = optionDetails?.variantId;
+    if (!variantId && optionDetails) {
+      // Legacy payload support: optionDetails might be an array of groups
+      const selections = Array.isArray(optionDetails)
+        ? optionDetails
+        : optionDetails.selections;
+      if (selections && selections.length > 0) {
+        const selectedOptionIds = selections
+          .flatMap((g) => (g.selectedOptions || []).map((o) => o.id))
+          .filter(Boolean);
+        variantId = await this.resolveVariantId(
+          productId,
+          selectedOptionIds,
+          client
+        );
       }
-      await prisma.productVariant.update({
-        where: { id: variantId },
-        data: {
-          stock: {
-            increment: quantity,
-          },
-        },
-      });
-    } catch (error) {
-      console.error("Restore variant stock error:", error);
-      throw error;
     }
+
+    return variantId || null;
   }
 
   /**
-   * Deduct stock from simple product
+   * Current on-hand stock for a stock line
    */
-  async deductProductStock(productId, quantity) {
-    try {
-      const product = await prisma.product.findUnique({
-        where: { id: productId },
+  async getAvailableStock(line, client = prisma) {
+    if (line.variantId) {
+      const variant = await client.productVariant.findUnique({
+        where: { id: line.variantId },
+        select: { stock: true },
       });
+      return variant?.stock || 0;
+    }
 
-      if (!product) {
-        throw new Error(`Product not found: ${productId}`);
-      }
+    const product = await client.product.findUnique({
+      where: { id: line.productId },
+      select: { quantity: true },
+    });
+    return product?.quantity || 0;
+  }
 
-      if (product.quantity < quantity) {
-        throw new Error(
-          `Insufficient stock for product ${productId}. Available: ${product.quantity}, Requested: ${quantity}`
-        );
-      }
+  /**
+   * Active reservations held by orders, as "orderId:sku key" -> quantity
+   */
+  async getReservedForOrders(orderIds, client = prisma) {
+    const reservations = await client.stockReservation.findMany({
+      where: { orderId: { in: orderIds }, status: "ACTIVE" },
+      select: {
+        orderId: true,
+        productId: true,
+        variantId: true,
+        quantity: true,
+      },
+    });
 
-      await prisma.product.update({
-        where: { id: productId },
-        data: {
-          quantity: {
-            decrement: quantity,
-          },
-        },
-      });
-    } catch (error) {
-      console.error("Deduct product stock error:", error);
-      throw error;
+    const reserved = new Map();
+    for (const reservation of reservations) {
+      const key = `${reservation.orderId}:${
+        reservation.variantId
+          ? `variant:${reservation.variantId}`
+          : `product:${reservation.productId}`
+      }`;
+      reserved.set(key, (reserved.get(key) || 0) + reservation.quantity);
     }
+    return reserved;
   }
 
   /**
-   * Restore stock to simple product
+   * What a stock line may take: on-hand stock not reserved for other orders,
+   * `own` being what the line's order has reserved itself
    */
-  async restoreProductStock(productId, quantity) {
-    try {
-      await prisma.product.update({
-        where: { id: productId },
-        data: {
-          quantity: {
-            increment: quantity,
-          },
-        },
-      });
-    } catch (error) {
-      console.error("Restore product stock error:", error);
-      throw error;
-    }
+  async getSellableStock(line, own = 0, client = prisma) {
+    const sku = line.variantId
+      ? await client.productVariant.findUnique({
+          where: { id: line.variantId },
+          select: { stock: true, reservedStock: true },
+        })
+      : await client.product.findUnique({
+          where: { id: line.productId },
+          select: { quantity: true, reservedQuantity: true },
+        });
+    if (!sku) return 0;
+
+    const onHand = line.variantId ? sku.stock : sku.quantity;
+    const reserved = line.variantId ? sku.reservedStock : sku.reservedQuantity;
+    return Math.max(0, Math.min(onHand, onHand - reserved + own));
+  }
+
+  /**
+   * Log a stock line's change to the inventory ledger
+   */
+  async recordMovement(client, line, delta, { reason, orderId, userId, note }) {
+    return inventoryLedgerService.record(client, {
+      productId: line.productId,
+      variantId: line.variantId,
+      delta,
+      balanceAfter: await this.getAvailableStock(line, client),
+      reason,
+      orderId,
+      userId,
+      note,
+    });
+  }
+
+  describeLine(line) {
+    return {
+      productId: line.productId,
+      variantId: line.variantId,
+      productName: line.productName,
+      requestedQuantity: line.quantity,
+    };
   }
 
   /**
    * Resolve a variantId from a product and list of selected option IDs
    */
-  async resolveVariantId(productId, optionIds) {
+  async resolveVariantId(productId, optionIds, client = prisma) {
     if (!optionIds || optionIds.length === 0) return null;
-    const variants = await prisma.productVariant.findMany({
+    const variants = await client.productVariant.findMany({
       where: { productId },
       include: { variantOptions: true },
     });
@@ -301,72 +414,27 @@ class StockManagementService {
   }
 
   /**
-   * Validate stock availability before assignment
+   * Validate stock availability before assignment.
+   * Advisory only: the authoritative check is the conditional update in
+   * deductStockForOrder.
    */
-  async validateStockForOrder(orderId) {
+  async validateStockForOrder(orderId, client = prisma) {
     try {
-      const order = await prisma.order.findUnique({
-        where: { id: orderId },
-        include: {
-          orderItems: {
-            include: {
-              product: true,
-            },
-          },
-        },
-      });
-
-      if (!order) {
-        throw new Error("Order not found");
-      }
+      const lines = await this.getOrderStockLines(orderId, client);
+      const reserved = await this.getReservedForOrders([orderId], client);
 
       const validationResults = [];
-
-      for (const item of order.orderItems) {
-        const { productId, quantity, optionDetails } = item;
-
-        // Try to resolve variantId from optionDetails
-        let variantId = optionDetails?.variantId;
-        if (!variantId && optionDetails) {
-          const selections = Array.isArray(optionDetails)
-            ? optionDetails
-            : optionDetails.selections;
-          if (selections && selections.length > 0) {
-            const selectedOptionIds = selections
-              .flatMap((g) => (g.selectedOptions || []).map((o) => o.id))
-              .filter(Boolean);
-            variantId = await this.resolveVariantId(
-              productId,
-              selectedOptionIds
-            );
-          }
-        }
-
-        if (variantId) {
-          // Check variant stock
-          const variant = await prisma.productVariant.findUnique({
-            where: { id: variantId },
-          });
-
-          validationResults.push({
-            productId,
-            variantId,
-            requestedQuantity: quantity,
-            availableStock: variant?.stock || 0,
-            isValid: (variant?.stock || 0) >= quantity,
-            productName: item.product.name,
-          });
-        } else {
-          // Check product stock
-          validationResults.push({
-            productId,
-            variantId: null,
-            requestedQuantity: quantity,
-            availableStock: item.product.quantity || 0,
-            isValid: (item.product.quantity || 0) >= quantity,
-            productName: item.product.name,
-          });
-        }
+      for (const line of lines) {
+        const availableStock = await this.getSellableStock(
+          line,
+          reserved.get(`${orderId}:${line.key}`) || 0,
+          client
+        );
+        validationResults.push({
+          ...this.describeLine(line),
+          availableStock,
+          isValid: availableStock >= line.quantity,
+        });
       }
 
       return {
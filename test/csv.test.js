@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { csvCell, plainCell, parseCsv } = require("../lib/csv");
+
+test("csvCell quotes cells with commas, quotes and newlines", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell("a, b"), '"a, b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell("two\nlines"), '"two\nlines"');
+  assert.equal(csvCell(null), "");
+});
+
+test("csvCell keeps formula-like text as text", () => {
+  assert.equal(
+    csvCell('=HYPERLINK("http://x")'),
+    '"\'=HYPERLINK(""http://x"")"'
+  );
+  assert.equal(csvCell("+855 12 345 678"), "'+855 12 345 678");
+  assert.equal(csvCell("-1+2"), "'-1+2");
+  assert.equal(csvCell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(csvCell("\tcmd"), "'\tcmd");
+});
+
+test("csvCell writes numbers as they are", () => {
+  assert.equal(csvCell(-2.5), "-2.5");
+  assert.equal(csvCell(0), "0");
+});
+
+test("parseCsv reads back quoted cells", () => {
+  const line = ["a, b", 'say "hi"', "x"].map(csvCell).join(",");
+  assert.deepEqual(parseCsv(`${line}\r\n`), [["a, b", 'say "hi"', "x"]]);
+});
+
+test("plainCell removes the guard csvCell adds", () => {
+  assert.equal(plainCell("'=1+1"), "=1+1");
+  assert.equal(plainCell("'+855 12 345 678"), "+855 12 345 678");
+  assert.equal(plainCell("'quoted'"), "'quoted'");
+  assert.equal(plainCell("plain"), "plain");
+});
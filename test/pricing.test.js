@@ -0,0 +1,191 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  round2,
+  resolveVariant,
+  applyOptionRules,
+  variantAdjustment,
+  priceLine,
+} = require("../lib/pricing");
+
+const option = (id, priceType, priceValue = null) => ({
+  id,
+  priceType,
+  priceValue,
+});
+
+const variant = (id, optionIds, priceAdjustment = 0) => ({
+  id,
+  priceAdjustment,
+  variantOptions: optionIds.map((optionId) => ({ optionId })),
+});
+
+test("round2 rounds to cents", () => {
+  assert.equal(round2(10.005 + 0.001), 10.01);
+  assert.equal(round2(3.333333), 3.33);
+});
+
+test("resolveVariant returns null without variants or options", () => {
+  assert.equal(resolveVariant([], ["red"]), null);
+  assert.equal(resolveVariant(null, ["red"]), null);
+  assert.equal(resolveVariant([variant("v1", ["red"])], []), null);
+});
+
+test("resolveVariant prefers an exact match", () => {
+  const variants = [
+    variant("red", ["red"]),
+    variant("red-large", ["red", "large"]),
+  ];
+  assert.equal(resolveVariant(variants, ["large", "red"]).id, "red-large");
+});
+
+test("resolveVariant falls back to the largest subset", () => {
+  const variants = [
+    variant("red", ["red"]),
+    variant("red-large", ["red", "large"]),
+    variant("blue-large", ["blue", "large"]),
+  ];
+  // Gift wrap is not part of any variant
+  assert.equal(
+    resolveVariant(variants, ["red", "large", "gift"]).id,
+    "red-large"
+  );
+  assert.equal(resolveVariant(variants, ["red", "small"]).id, "red");
+});
+
+test("resolveVariant ignores variants with unselected options", () => {
+  const variants = [variant("red-large", ["red", "large"])];
+  assert.equal(resolveVariant(variants, ["red"]), null);
+});
+
+test("applyOptionRules without options is the base price", () => {
+  assert.equal(applyOptionRules(12.5), 12.5);
+  assert.equal(applyOptionRules(null), 0);
+});
+
+test("applyOptionRules: FREE adds nothing", () => {
+  assert.equal(applyOptionRules(10, [option("a", "FREE", 5)]), 10);
+});
+
+test("applyOptionRules: FIXED adds its value", () => {
+  assert.equal(
+    applyOptionRules(10, [option("a", "FIXED", 2.5), option("b", "FIXED", 1)]),
+    13.5
+  );
+});
+
+test("applyOptionRules: PERCENTAGE adds a share of the base", () => {
+  assert.equal(applyOptionRules(20, [option("a", "PERCENTAGE", 15)]), 23);
+});
+
+test("applyOptionRules: BASE replaces the base price, highest wins", () => {
+  assert.equal(applyOptionRules(10, [option("a", "BASE", 18)]), 18);
+  assert.equal(
+    applyOptionRules(10, [option("a", "BASE", 18), option("b", "BASE", 25)]),
+    25
+  );
+  assert.equal(applyOptionRules(10, [option("a", "BASE")]), 10);
+});
+
+test("applyOptionRules takes percentages of the replaced base", () => {
+  assert.equal(
+    applyOptionRules(10, [
+      option("a", "BASE", 40),
+      option("b", "PERCENTAGE", 10),
+      option("c", "FIXED", 1),
+    ]),
+    45
+  );
+});
+
+test("variantAdjustment is the flat amount the options add", () => {
+  assert.equal(variantAdjustment([]), 0);
+  assert.equal(variantAdjustment([option("a", "FREE", 5)]), 0);
+  assert.equal(
+    variantAdjustment([option("a", "FIXED", 3), option("b", "FIXED", 1.5)]),
+    4.5
+  );
+  assert.equal(variantAdjustment([option("a", "PERCENTAGE", 25)]), 0);
+  assert.equal(variantAdjustment([option("a", "BASE", 14)]), 0);
+});
+
+test("priceLine without a variant applies every option's rule", () => {
+  assert.equal(priceLine({ basePrice: 10 }), 10);
+  assert.equal(
+    priceLine({
+      basePrice: 10,
+      options: [option("a", "FIXED", 2), option("b", "PERCENTAGE", 10)],
+    }),
+    13
+  );
+});
+
+test("priceLine prices a variant's options by its adjustment", () => {
+  const red = option("red", "FIXED", 2);
+  // Staff changed the adjustment after generation: it wins over the rule
+  assert.equal(
+    priceLine({
+      basePrice: 10,
+      variant: variant("v-red", ["red"], 5),
+      options: [red],
+    }),
+    15
+  );
+});
+
+test("priceLine applies rules to options outside a subset variant", () => {
+  const options = [
+    option("red", "FIXED", 2),
+    option("gift", "FIXED", 1.5),
+    option("rush", "PERCENTAGE", 10),
+  ];
+  assert.equal(
+    priceLine({
+      basePrice: 20,
+      variant: variant("v-red", ["red"], 2),
+      options,
+    }),
+    25.5
+  );
+});
+
+test("priceLine: BASE outside the variant replaces the base", () => {
+  assert.equal(
+    priceLine({
+      basePrice: 10,
+      variant: variant("v-red", ["red"], 1),
+      options: [option("red", "FIXED", 1), option("xl", "BASE", 30)],
+    }),
+    31
+  );
+});
+
+test("priceLine follows the product price after variants are generated", () => {
+  const large = option("large", "BASE", 30);
+  const rush = option("rush", "PERCENTAGE", 10);
+  const red = option("red", "FIXED", 2);
+  const options = [large, rush, red];
+  const generated = variant(
+    "v-large-rush-red",
+    ["large", "rush", "red"],
+    variantAdjustment(options)
+  );
+  // BASE wins whatever the product costs; the percentage follows the base
+  assert.equal(priceLine({ basePrice: 20, variant: generated, options }), 35);
+  assert.equal(priceLine({ basePrice: 25, variant: generated, options }), 35);
+
+  const medium = variant(
+    "v-rush-red",
+    ["rush", "red"],
+    variantAdjustment([rush, red])
+  );
+  assert.equal(
+    priceLine({ basePrice: 20, variant: medium, options: [rush, red] }),
+    24
+  );
+  assert.equal(
+    priceLine({ basePrice: 40, variant: medium, options: [rush, red] }),
+    46
+  );
+});
@@ -0,0 +1,297 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const { InsufficientStockError } = require("../lib/errors");
+
+// In-memory stand-in for the tables stock deduction touches. Every call
+// yields to the event loop first, so deductions run in parallel interleave
+// the way concurrent requests do. `$executeRaw` applies the conditional
+// UPDATE atomically, as the database does for a single row, and
+// `$transaction` undoes a failed transaction's writes.
+const createDatabase = ({ products = [], variants = [], orders = [] }) => {
+  const db = {
+    products: new Map(products.map((row) => [row.id, { ...row }])),
+    variants: new Map(variants.map((row) => [row.id, { ...row }])),
+    orders: new Map(orders.map((row) => [row.id, row])),
+    reservations: orders.flatMap((order) => order.reservations || []),
+    movements: [],
+  };
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+  const createClient = (undo) => ({
+    order: {
+      async findUnique({ where }) {
+        await tick();
+        const order = db.orders.get(where.id);
+        return (
+          order && {
+            ...order,
+            orderItems: order.items.map((item) => ({
+              ...item,
+              product: db.products.get(item.productId),
+            })),
+          }
+        );
+      },
+    },
+    stockReservation: {
+      async findMany({ where }) {
+        await tick();
+        return db.reservations.filter(
+          (reservation) =>
+            where.orderId.in.includes(reservation.orderId) &&
+            reservation.status === where.status
+        );
+      },
+    },
+    product: {
+      async findUnique({ where }) {
+        await tick();
+        const row = db.products.get(where.id);
+        return row && { ...row };
+      },
+    },
+    productVariant: {
+      async findUnique({ where }) {
+        await tick();
+        const row = db.variants.get(where.id);
+        return row && { ...row };
+      },
+    },
+    stockMovement: {
+      async create({ data }) {
+        await tick();
+        db.movements.push(data);
+        undo.push(() => db.movements.splice(db.movements.indexOf(data), 1));
+        return data;
+      },
+    },
+    // UPDATE ... SET on-hand = on-hand - quantity WHERE id AND on-hand >=
+    // quantity AND on-hand - reserved + own >= quantity
+    async $executeRaw(strings, quantity, id, minimum, own, wanted) {
+      await tick();
+      const isVariant = strings.join("?").includes('"product_variants"');
+      const row = (isVariant ? db.variants : db.products).get(id);
+      const field = isVariant ? "stock" : "quantity";
+      const reserved = isVariant ? row?.reservedStock : row?.reservedQuantity;
+      if (
+        !row ||
+        row[field] < minimum ||
+        row[field] - reserved + own < wanted
+      ) {
+        return 0;
+      }
+      row[field] -= quantity;
+      undo.push(() => {
+        row[field] += quantity;
+      });
+      return 1;
+    },
+  });
+
+  const client = createClient([]);
+  client.$transaction = async (fn) => {
+    const undo = [];
+    try {
+      return await fn(createClient(undo));
+    } catch (error) {
+      undo.reverse().forEach((revert) => revert());
+      throw error;
+    }
+  };
+  return { db, client };
+};
+
+// The service loads its Prisma client when required; hand it the fake
+const loadService = (client) => {
+  const prismaPath = path.resolve(__dirname, "../lib/prisma.js");
+  require.cache[prismaPath] = {
+    id: prismaPath,
+    filename: prismaPath,
+    loaded: true,
+    exports: () => client,
+  };
+  for (const name of ["stockManagementService", "inventoryLedgerService"]) {
+    delete require.cache[path.resolve(__dirname, `../services/${name}.js`)];
+  }
+  return require("../services/stockManagementService");
+};
+
+const order = (id, items, reservations = []) => ({
+  id,
+  items: items.map((item) => ({ optionDetails: null, ...item })),
+  reservations: reservations.map((reservation) => ({
+    orderId: id,
+    variantId: null,
+    status: "ACTIVE",
+    ...reservation,
+  })),
+});
+
+const deductAll = (service, orderIds) =>
+  Promise.allSettled(
+    orderIds.map((orderId) => service.deductStockForOrder(orderId))
+  );
+
+test("parallel deductions never take more than the product has", async () => {
+  const orders = Array.from({ length: 10 }, (_, index) =>
+    order(`order-${index}`, [{ productId: "shirt", quantity: 1 }])
+  );
+  const { db, client } = createDatabase({
+    products: [
+      { id: "shirt", name: "Shirt", quantity: 3, reservedQuantity: 0 },
+    ],
+    orders,
+  });
+  const service = loadService(client);
+
+  const results = await deductAll(
+    service,
+    orders.map((entry) => entry.id)
+  );
+
+  const fulfilled = results.filter((result) => result.status === "fulfilled");
+  assert.equal(fulfilled.length, 3);
+  for (const result of results.filter((r) => r.status === "rejected")) {
+    assert.ok(result.reason instanceof InsufficientStockError);
+  }
+  assert.equal(db.products.get("shirt").quantity, 0);
+  assert.equal(db.movements.length, 3);
+});
+
+test("parallel deductions never take more than a variant has", async () => {
+  const orders = Array.from({ length: 5 }, (_, index) =>
+    order(`order-${index}`, [
+      {
+        productId: "shirt",
+        quantity: 2,
+        optionDetails: { variantId: "shirt-red" },
+      },
+    ])
+  );
+  const { db, client } = createDatabase({
+    products: [
+      { id: "shirt", name: "Shirt", quantity: 0, reservedQuantity: 0 },
+    ],
+    variants: [{ id: "shirt-red", stock: 5, reservedStock: 0 }],
+    orders,
+  });
+  const service = loadService(client);
+
+  const results = await deductAll(
+    service,
+    orders.map((entry) => entry.id)
+  );
+
+  assert.equal(results.filter((r) => r.status === "fulfilled").length, 2);
+  assert.equal(db.variants.get("shirt-red").stock, 1);
+});
+
+test("units reserved for other orders cannot be deducted", async () => {
+  // 5 on hand, 3 of them promised to a PLACED order elsewhere
+  const orders = [
+    order("legacy", [{ productId: "shirt", quantity: 3 }]),
+    order("small", [{ productId: "shirt", quantity: 2 }]),
+  ];
+  const { db, client } = createDatabase({
+    products: [
+      { id: "shirt", name: "Shirt", quantity: 5, reservedQuantity: 3 },
+    ],
+    orders,
+  });
+  const service = loadService(client);
+
+  await assert.rejects(
+    service.deductStockForOrder("legacy"),
+    (error) =>
+      error instanceof InsufficientStockError &&
+      error.shortages[0].availableStock === 2
+  );
+  await service.deductStockForOrder("small");
+  assert.equal(db.products.get("shirt").quantity, 3);
+});
+
+test("an order may use its own reservation", async () => {
+  const orders = [
+    order(
+      "placed",
+      [{ productId: "shirt", quantity: 2 }],
+      [{ productId: "shirt", quantity: 2 }]
+    ),
+    order("other", [{ productId: "shirt", quantity: 1 }]),
+  ];
+  const { db, client } = createDatabase({
+    products: [
+      { id: "shirt", name: "Shirt", quantity: 2, reservedQuantity: 2 },
+    ],
+    orders,
+  });
+  const service = loadService(client);
+
+  const [placed, other] = await deductAll(service, ["placed", "other"]);
+
+  assert.equal(placed.status, "fulfilled");
+  assert.equal(other.status, "rejected");
+  assert.equal(db.products.get("shirt").quantity, 0);
+});
+
+test("a short line rolls back the whole order", async () => {
+  const orders = [
+    order("mixed", [
+      { productId: "shirt", quantity: 1 },
+      { productId: "hat", quantity: 4 },
+    ]),
+  ];
+  const { db, client } = createDatabase({
+    products: [
+      { id: "shirt", name: "Shirt", quantity: 3, reservedQuantity: 0 },
+      { id: "hat", name: "Hat", quantity: 3, reservedQuantity: 0 },
+    ],
+    orders,
+  });
+  const service = loadService(client);
+
+  await assert.rejects(
+    service.deductStockForOrder("mixed"),
+    (error) =>
+      error instanceof InsufficientStockError &&
+      error.shortages.length === 1 &&
+      error.shortages[0].productId === "hat"
+  );
+  assert.equal(db.products.get("shirt").quantity, 3);
+  assert.equal(db.products.get("hat").quantity, 3);
+  assert.equal(db.movements.length, 0);
+});
+
+test("checkStockForOrders hands unreserved stock out in order", async () => {
+  const orders = [
+    order(
+      "first",
+      [{ productId: "shirt", quantity: 2 }],
+      [{ productId: "shirt", quantity: 2 }]
+    ),
+    order("second", [{ productId: "shirt", quantity: 2 }]),
+    order("third", [{ productId: "shirt", quantity: 1 }]),
+  ];
+  const { client } = createDatabase({
+    products: [
+      { id: "shirt", name: "Shirt", quantity: 5, reservedQuantity: 4 },
+    ],
+    orders,
+  });
+  client.product.findMany = async () => [
+    { id: "shirt", quantity: 5, reservedQuantity: 4 },
+  ];
+  client.productVariant.findMany = async () => [];
+  const service = loadService(client);
+
+  const shortages = await service.checkStockForOrders([
+    "first",
+    "second",
+    "third",
+  ]);
+
+  assert.deepEqual([...shortages.keys()], ["second"]);
+  assert.equal(shortages.get("second")[0].availableStock, 1);
+});